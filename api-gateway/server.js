@@ -6,6 +6,7 @@ const axios = require('axios');
 
 // Importar service registry
 const serviceRegistry = require('../shared/serviceRegistry');
+const LoadBalancer = require('../shared/LoadBalancer');
 
 class APIGateway {
     constructor() {
@@ -14,6 +15,9 @@ class APIGateway {
         
         // Circuit breaker simples
         this.circuitBreakers = new Map();
+
+        // Rotas fixadas em uma faixa de versão: /api/items -> '^1.2'
+        this.routeVersions = this.loadRouteVersions();
         
         this.setupMiddleware();
         this.setupRoutes();
@@ -48,8 +52,8 @@ class APIGateway {
 
     setupRoutes() {
         // Gateway health check
-        this.app.get('/health', (req, res) => {
-            const services = serviceRegistry.listServices();
+        this.app.get('/health', this.asyncRoute(async (req, res) => {
+            const services = await serviceRegistry.listServices();
             res.json({
                 service: 'api-gateway',
                 status: 'healthy',
@@ -58,10 +62,10 @@ class APIGateway {
                 services: services,
                 serviceCount: Object.keys(services).length
             });
-        });
+        }));
 
         // Gateway info
-        this.app.get('/', (req, res) => {
+        this.app.get('/', this.asyncRoute(async (req, res) => {
             res.json({
                 service: 'Shopping List API Gateway',
                 version: '1.0.0',
@@ -79,30 +83,31 @@ class APIGateway {
                     dashboard: '/api/dashboard',
                     search: '/api/search'
                 },
-                services: serviceRegistry.listServices()
+                services: await serviceRegistry.listServices()
             });
-        });
+        }));
 
         // Service registry endpoint
-        this.app.get('/registry', (req, res) => {
-            const services = serviceRegistry.listServices();
+        this.app.get('/registry', this.asyncRoute(async (req, res) => {
+            const services = await serviceRegistry.listServices();
             res.json({
                 success: true,
                 services: services,
                 count: Object.keys(services).length,
+                routeVersions: Object.fromEntries(this.routeVersions),
                 timestamp: new Date().toISOString()
             });
-        });
+        }));
 
         // Debug endpoint para troubleshooting
-        this.app.get('/debug/services', (req, res) => {
-            serviceRegistry.debugListServices();
+        this.app.get('/debug/services', this.asyncRoute(async (req, res) => {
+            await serviceRegistry.debugListServices();
             res.json({
                 success: true,
-                services: serviceRegistry.listServices(),
-                stats: serviceRegistry.getStats()
+                services: await serviceRegistry.listServices(),
+                stats: await serviceRegistry.getStats()
             });
-        });
+        }));
 
         // Auth routes (User Service)
         this.app.use('/api/auth', (req, res, next) => {
@@ -144,6 +149,37 @@ class APIGateway {
         this.app.get('/api/dashboard', this.getDashboard.bind(this));
         this.app.get('/api/search', this.globalSearch.bind(this));
     }
+
+    /**
+     * Faixas de versão por rota, de GATEWAY_ROUTE_VERSIONS
+     * (ex.: "/api/items=^1.2,/api/lists=~1.0"). O discover dessas rotas só
+     * considera instâncias cuja versão registrada atende à faixa.
+     */
+    loadRouteVersions() {
+        const routeVersions = new Map();
+        (process.env.GATEWAY_ROUTE_VERSIONS || '').split(',').filter(entry => entry.trim()).forEach(entry => {
+            const [route, range] = entry.split('=').map(part => (part || '').trim());
+            if (!route.startsWith('/') || !LoadBalancer.isValidRange(range)) {
+                console.warn(`GATEWAY_ROUTE_VERSIONS: entrada inválida ignorada: ${entry}`);
+                return;
+            }
+            routeVersions.set(route, range);
+            console.log(`📌 Rota ${route} fixada na versão ${range}`);
+        });
+        return routeVersions;
+    }
+
+    // Opções do discover para a rota (req.baseUrl é o prefixo montado, ex.: /api/items)
+    discoverOptionsFor(route) {
+        const version = this.routeVersions.get(route);
+        return version ? { version } : {};
+    }
+
+    // Rotas async: erros (ex.: registry server fora do ar) vão para o error handler
+    asyncRoute(handler) {
+        return (req, res, next) => Promise.resolve(handler(req, res)).catch(next);
+    }
+
     setupErrorHandling() {
         // 404 handler
         this.app.use('*', (req, res) => {
@@ -191,21 +227,25 @@ class APIGateway {
                 });
             }
 
-            // Descobrir serviço com debug
+            // Descobrir instância com debug
+            const discoverOptions = this.discoverOptionsFor(req.baseUrl);
             let service;
             try {
-                service = serviceRegistry.discover(serviceName);
+                service = await serviceRegistry.discover(serviceName, discoverOptions);
             } catch (error) {
                 console.error(`❌ Erro na descoberta do serviço ${serviceName}:`, error.message);
                 
                 // Debug: listar serviços disponíveis
-                const availableServices = serviceRegistry.listServices();
+                const availableServices = await serviceRegistry.listServices();
                 console.log(`📋 Serviços disponíveis:`, Object.keys(availableServices));
                 
                 return res.status(503).json({
                     success: false,
-                    message: `Serviço ${serviceName} não encontrado`,
+                    message: error.code === 'NO_MATCHING_INSTANCE'
+                        ? `Nenhuma instância de ${serviceName} na versão ${discoverOptions.version}`
+                        : `Serviço ${serviceName} não encontrado`,
                     service: serviceName,
+                    ...(discoverOptions.version ? { version: discoverOptions.version } : {}),
                     availableServices: Object.keys(availableServices)
                 });
             }
@@ -267,14 +307,9 @@ class APIGateway {
                 }
             }
             
-            const targetUrl = `${service.url}${targetPath}`;
-            
-            console.log(`🎯 Target URL: ${targetUrl}`);
-            
             // Configurar requisição
             const config = {
                 method: req.method,
-                url: targetUrl,
                 headers: { ...req.headers },
                 timeout: 10000,
                 family: 4,  // Força IPv4
@@ -297,16 +332,19 @@ class APIGateway {
             delete config.headers.host;
             delete config.headers['content-length'];
 
-            console.log(`📤 Enviando ${req.method} para ${targetUrl}`);
-
-            // Fazer requisição
-            const response = await axios(config);
+            // Fazer requisição (em outra instância se esta não responder)
+            const response = await this.sendToInstance(serviceName, service, targetPath, config, discoverOptions);
             
             // Resetar circuit breaker em caso de sucesso
             this.resetCircuitBreaker(serviceName);
             
             console.log(`📥 Resposta recebida: ${response.status}`);
             
+            // Repassar ETag para permitir atualizações condicionais (If-Match)
+            if (response.headers.etag) {
+                res.set('ETag', response.headers.etag);
+            }
+            
             // Retornar resposta
             res.status(response.status).json(response.data);
 
@@ -331,6 +369,9 @@ class APIGateway {
             } else if (error.response) {
                 // Encaminhar resposta de erro do serviço
                 console.log(`🔄 Encaminhando erro ${error.response.status} do serviço`);
+                if (error.response.headers.etag) {
+                    res.set('ETag', error.response.headers.etag);
+                }
                 res.status(error.response.status).json(error.response.data);
             } else {
                 res.status(500).json({
@@ -342,6 +383,43 @@ class APIGateway {
             }
         }
     }
+
+    /**
+     * Enviar a requisição a uma instância; se ela não responder, marcar a falha
+     * no registry e tentar a próxima instância saudável. Só repete quando é
+     * seguro: conexão recusada (a requisição não chegou) ou método idempotente.
+     * A próxima instância respeita os mesmos filtros do discover (ex.: versão).
+     */
+    async sendToInstance(serviceName, instance, targetPath, config, discoverOptions = {}) {
+        const tried = [];
+
+        for (;;) {
+            const targetUrl = `${instance.url}${targetPath}`;
+            console.log(`🎯 Target URL: ${targetUrl} [${instance.id}]`);
+            console.log(`📤 Enviando ${config.method} para ${targetUrl}`);
+
+            try {
+                return await axios({ ...config, url: targetUrl });
+            } catch (error) {
+                if (error.response) throw error;
+
+                await serviceRegistry.reportFailure(serviceName, instance.id);
+                tried.push(instance.id);
+
+                const retryable = error.code === 'ECONNREFUSED' || ['GET', 'HEAD', 'OPTIONS'].includes(config.method);
+                if (!retryable) throw error;
+
+                try {
+                    instance = await serviceRegistry.discover(serviceName, { ...discoverOptions, exclude: tried });
+                } catch (discoveryError) {
+                    // Nenhuma outra instância saudável: falha da última tentativa
+                    throw error;
+                }
+                console.log(`🔁 Tentando outra instância de ${serviceName}: ${instance.id}`);
+            }
+        }
+    }
+
     // Circuit Breaker 
     isCircuitOpen(serviceName) {
         const breaker = this.circuitBreakers.get(serviceName);
@@ -405,10 +483,10 @@ class APIGateway {
 
             // Buscar dados de múltiplos serviços
             const [userResponse, itemsResponse, listsResponse, categoriesResponse] = await Promise.allSettled([
-                this.callService('user-service', '/users/profile', 'GET', authHeader, {}),
-                this.callService('item-service', '/items', 'GET', null, { limit: 10 }),
-                this.callService('list-service', '/lists', 'GET', authHeader, { limit: 5 }),
-                this.callService('item-service', '/categories', 'GET', null, {})
+                this.callService('user-service', '/users/profile', 'GET', authHeader, {}, '/api/users'),
+                this.callService('item-service', '/items', 'GET', null, { limit: 10 }, '/api/items'),
+                this.callService('list-service', '/lists', 'GET', authHeader, { limit: 5 }, '/api/lists'),
+                this.callService('item-service', '/categories', 'GET', null, {}, '/api/categories')
             ]);
 
             const dashboard = {
@@ -416,7 +494,7 @@ class APIGateway {
                 domain: 'Sistema de Lista de Compras',
                 architecture: 'Microservices with NoSQL',
                 database_approach: 'Database per Service',
-                services_status: serviceRegistry.listServices(),
+                services_status: await serviceRegistry.listServices(),
                 user_data: {
                     profile: {
                         available: userResponse.status === 'fulfilled',
@@ -472,13 +550,13 @@ class APIGateway {
             // Buscar em itens e listas (se autenticado)
             const authHeader = req.header('Authorization');
             const searches = [
-                this.callService('item-service', '/search', 'GET', null, { q })
+                this.callService('item-service', '/search', 'GET', null, { q }, '/api/search/items')
             ];
 
             // Adicionar busca de listas se autenticado
             if (authHeader) {
                 searches.push(
-                    this.callService('list-service', '/search', 'GET', authHeader, { q, limit: 10 })
+                    this.callService('list-service', '/search', 'GET', authHeader, { q, limit: 10 }, '/api/lists')
                 );
             }
 
@@ -516,13 +594,13 @@ class APIGateway {
         }
     }
 
-    // Helper para chamar serviços
-    async callService(serviceName, path, method = 'GET', authHeader = null, params = {}) {
-        const service = serviceRegistry.discover(serviceName);
+    // Helper para chamar serviços; route é a rota do gateway equivalente (mesma versão fixada)
+    async callService(serviceName, path, method = 'GET', authHeader = null, params = {}, route = null) {
+        const discoverOptions = this.discoverOptionsFor(route);
+        const service = await serviceRegistry.discover(serviceName, discoverOptions);
         
         const config = {
             method,
-            url: `${service.url}${path}`,
             timeout: 5000
         };
 
@@ -534,7 +612,7 @@ class APIGateway {
             config.params = params;
         }
 
-        const response = await axios(config);
+        const response = await this.sendToInstance(serviceName, service, path, config, discoverOptions);
         return response.data;
     }
 
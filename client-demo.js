@@ -86,7 +86,7 @@ class ShoppingListDemo {
         };
 
         try {
-            const result = await this.makeRequest('POST', '/api/auth/register', userData);
+            const { data: result } = await this.makeRequest('POST', '/api/auth/register', userData);
             console.log('✅ Usuário registrado com sucesso!');
             console.log(`   ID: ${result.user.id}`);
             console.log(`   Email: ${result.user.email}`);
@@ -101,8 +101,8 @@ class ShoppingListDemo {
             
             return result;
         } catch (error) {
-            if (error.response && error.response.status === 400 && 
-                error.response.data.message && error.response.data.message.includes('já existe')) {
+            // Usuário de demonstração já cadastrado (o User Service o cria na primeira execução)
+            if (error.response && error.response.status === 409) {
                 console.log('ℹ️  Usuário já existe, continuando com login...');
                 return null;
             }
@@ -117,12 +117,12 @@ class ShoppingListDemo {
         console.log('\n🔐 PASSO 2: Fazendo login...');
         
         const loginData = {
-            email: 'demo@example.com',
+            identifier: 'demo@example.com',
             password: 'demo123456'
         };
 
         try {
-            const result = await this.makeRequest('POST', '/api/auth/login', loginData);
+            const { data: result } = await this.makeRequest('POST', '/api/auth/login', loginData);
             console.log('✅ Login realizado com sucesso!');
             console.log(`   Usuário: ${result.user.username}`);
             console.log(`   Nome: ${result.user.firstName} ${result.user.lastName}`);
@@ -0,0 +1,308 @@
+const express = require('express');
+const morgan = require('morgan');
+const path = require('path');
+
+const FileBasedServiceRegistry = require('../shared/FileBasedServiceRegistry');
+
+// Espera máxima de um long-poll em GET /watch
+const MAX_WATCH_TIMEOUT = 60000;
+
+/**
+ * Registry server: o service registry como processo próprio, para serviços
+ * que não compartilham o mesmo sistema de arquivos. Guarda as instâncias
+ * em um FileBasedServiceRegistry (REGISTRY_FILE, padrão data/registry.json),
+ * com os mesmos leases e remoção de instâncias mortas; os serviços usam o
+ * HttpServiceRegistry (SERVICE_REGISTRY_URL) para falar com ele.
+ *
+ * Mudanças (instâncias que entram, saem ou mudam de saúde) incrementam um
+ * índice e são entregues em GET /watch, por long-polling (?index=) ou SSE
+ * (Accept: text/event-stream).
+ */
+class RegistryServer {
+    constructor() {
+        this.app = express();
+        this.port = process.env.PORT || 3004;
+        this.registry = new FileBasedServiceRegistry({
+            registryFile: process.env.REGISTRY_FILE || path.join(__dirname, 'data', 'registry.json')
+        });
+
+        // Estado do watch
+        this.index = 1;
+        this.signature = this.snapshotSignature();
+        this.longPolls = new Set();
+        this.streams = new Set();
+
+        this.setupMiddleware();
+        this.setupRoutes();
+        this.setupErrorHandling();
+    }
+
+    setupMiddleware() {
+        // Heartbeats e long-polls são periódicos: fora do log
+        this.app.use(morgan('dev', { skip: req => req.path === '/heartbeat' || req.path === '/watch' }));
+        this.app.use(express.json());
+    }
+
+    setupRoutes() {
+        this.app.get('/health', (req, res) => {
+            res.json({
+                service: 'registry-server',
+                status: 'healthy',
+                timestamp: new Date().toISOString(),
+                registryFile: this.registry.registryFile,
+                stats: this.registry.getStats()
+            });
+        });
+
+        this.app.post('/register', this.register.bind(this));
+        this.app.put('/heartbeat', this.heartbeat.bind(this));
+        this.app.put('/instances/:id/health', this.updateHealth.bind(this));
+        this.app.delete('/instances/:id', this.unregister.bind(this));
+        this.app.get('/services', (req, res) => {
+            res.json({ success: true, services: this.registry.listServices() });
+        });
+        this.app.get('/services/:name', this.getService.bind(this));
+        this.app.get('/stats', (req, res) => {
+            res.json({ success: true, stats: this.registry.getStats() });
+        });
+        this.app.get('/watch', this.watch.bind(this));
+    }
+
+    setupErrorHandling() {
+        this.app.use('*', (req, res) => {
+            res.status(404).json({
+                success: false,
+                message: 'Endpoint não encontrado',
+                service: 'registry-server'
+            });
+        });
+
+        this.app.use((error, req, res, next) => {
+            console.error('Registry Server Error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Erro interno do registry server',
+                code: error.code
+            });
+        });
+    }
+
+    // POST /register { serviceName, serviceInfo, id, pid, host }
+    async register(req, res, next) {
+        try {
+            const { serviceName, serviceInfo, id, pid, host } = req.body;
+            if (!serviceName || !serviceInfo || !serviceInfo.url || !pid) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'serviceName, serviceInfo.url e pid são obrigatórios',
+                    code: 'INVALID_REGISTRATION'
+                });
+            }
+
+            const instance = await this.registry.register(serviceName, serviceInfo, { id, pid, host });
+            this.publish();
+            res.status(201).json({ success: true, instance });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    // PUT /heartbeat { serviceName, instanceId, healthy }
+    async heartbeat(req, res, next) {
+        try {
+            const { serviceName, instanceId, healthy = true } = req.body;
+            if (!await this.registry.heartbeat(serviceName, instanceId, Boolean(healthy))) {
+                return this.sendInstanceNotFound(res, instanceId);
+            }
+            this.publish();
+            res.json({ success: true, instance: this.registry.findInstance(instanceId) });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    // PUT /instances/:id/health { healthy }
+    async updateHealth(req, res, next) {
+        try {
+            const instance = this.registry.findInstance(req.params.id);
+            if (!instance) {
+                return this.sendInstanceNotFound(res, req.params.id);
+            }
+            await this.registry.updateHealth(instance.serviceName, instance.id, Boolean(req.body.healthy));
+            this.publish();
+            res.json({ success: true, instance: this.registry.findInstance(instance.id) });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    // DELETE /instances/:id
+    async unregister(req, res, next) {
+        try {
+            const instance = this.registry.findInstance(req.params.id);
+            if (!instance || !await this.registry.unregister(instance.serviceName, instance.id)) {
+                return this.sendInstanceNotFound(res, req.params.id);
+            }
+            this.publish();
+            res.json({ success: true, removed: instance.id });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    // GET /services/:name - instâncias registradas (a escolha é feita pelo cliente)
+    getService(req, res) {
+        const service = this.registry.listServices()[req.params.name];
+        if (!service) {
+            return res.status(404).json({
+                success: false,
+                message: `Serviço não encontrado: ${req.params.name}`,
+                code: 'SERVICE_NOT_FOUND'
+            });
+        }
+        res.json({
+            success: true,
+            service: req.params.name,
+            ...service,
+            instances: this.registry.listInstances(req.params.name)
+        });
+    }
+
+    sendInstanceNotFound(res, instanceId) {
+        return res.status(404).json({
+            success: false,
+            message: `Instância não registrada: ${instanceId}`,
+            code: 'INSTANCE_NOT_FOUND'
+        });
+    }
+
+    /**
+     * GET /watch?index=N&timeout=ms&service=nome
+     * Long-poll: responde quando o índice passar de N (ou no timeout, com o
+     * mesmo índice). Com Accept: text/event-stream, mantém a conexão aberta
+     * e envia um evento 'change' a cada mudança.
+     */
+    watch(req, res) {
+        const serviceName = req.query.service || null;
+
+        if ((req.get('Accept') || '').includes('text/event-stream')) {
+            res.set({
+                'Content-Type': 'text/event-stream',
+                'Cache-Control': 'no-cache',
+                Connection: 'keep-alive'
+            });
+            res.flushHeaders();
+
+            const stream = { res, serviceName };
+            this.streams.add(stream);
+            this.sendEvent(stream);
+
+            // Comentário periódico para proxies não encerrarem a conexão
+            const keepAlive = setInterval(() => res.write(': keep-alive\n\n'), 15000);
+            req.on('close', () => {
+                clearInterval(keepAlive);
+                this.streams.delete(stream);
+            });
+            return;
+        }
+
+        const index = Number(req.query.index) || 0;
+        if (index !== this.index) {
+            return res.json(this.watchPayload(serviceName));
+        }
+
+        const timeout = Math.min(Number(req.query.timeout) || 30000, MAX_WATCH_TIMEOUT);
+        const poll = {
+            respond: () => {
+                clearTimeout(poll.timer);
+                this.longPolls.delete(poll);
+                res.json(this.watchPayload(serviceName));
+            }
+        };
+        poll.timer = setTimeout(poll.respond, timeout);
+        this.longPolls.add(poll);
+        req.on('close', () => {
+            clearTimeout(poll.timer);
+            this.longPolls.delete(poll);
+        });
+    }
+
+    watchPayload(serviceName) {
+        const services = this.registry.listServices();
+        return {
+            index: this.index,
+            services: serviceName
+                ? (services[serviceName] ? { [serviceName]: services[serviceName] } : {})
+                : services
+        };
+    }
+
+    sendEvent(stream) {
+        stream.res.write(`event: change\ndata: ${JSON.stringify(this.watchPayload(stream.serviceName))}\n\n`);
+    }
+
+    // Quais instâncias existem e se estão saudáveis (heartbeats sem mudança não notificam)
+    snapshotSignature() {
+        const services = this.registry.listServices();
+        return JSON.stringify(Object.keys(services).sort().map(name => [
+            name,
+            services[name].instances.map(instance => `${instance.id}:${instance.healthy}`).sort()
+        ]));
+    }
+
+    // Notificar o watch se o conjunto de instâncias mudou
+    publish() {
+        const signature = this.snapshotSignature();
+        if (signature === this.signature) return;
+
+        this.signature = signature;
+        this.index++;
+        [...this.longPolls].forEach(poll => poll.respond());
+        this.streams.forEach(stream => this.sendEvent(stream));
+    }
+
+    // Leases vencidos não geram requisição: varrer periodicamente
+    startEvictionSweep() {
+        const sweep = async () => {
+            try {
+                await this.registry.updateRegistry(() => {});
+                this.publish();
+            } catch (error) {
+                console.error('Erro ao remover instâncias expiradas:', error.message);
+            }
+        };
+        setInterval(sweep, Math.max(1000, Math.floor(this.registry.leaseTtl / 3))).unref();
+    }
+
+    start() {
+        this.startEvictionSweep();
+        this.app.listen(this.port, () => {
+            console.log('=====================================');
+            console.log(`📒 Registry Server iniciado na porta ${this.port}`);
+            console.log(`URL: http://localhost:${this.port}`);
+            console.log(`Health: http://localhost:${this.port}/health`);
+            console.log(`Arquivo: ${this.registry.registryFile}`);
+            console.log(`Lease TTL: ${this.registry.leaseTtl}ms`);
+            console.log('=====================================');
+            console.log('   POST   /register - Registrar instância');
+            console.log('   PUT    /heartbeat - Renovar lease');
+            console.log('   DELETE /instances/:id - Remover instância');
+            console.log('   GET    /services/:name - Instâncias de um serviço');
+            console.log('   GET    /watch - Mudanças (long-poll ou SSE)');
+            console.log('=====================================');
+            console.log(`Nos serviços: SERVICE_REGISTRY_URL=http://localhost:${this.port}`);
+        });
+    }
+}
+
+// Start registry server
+if (require.main === module) {
+    const server = new RegistryServer();
+    server.start();
+
+    // Graceful shutdown
+    process.on('SIGTERM', () => process.exit(0));
+    process.on('SIGINT', () => process.exit(0));
+}
+
+module.exports = RegistryServer;
@@ -0,0 +1,104 @@
+#!/usr/bin/env node
+/**
+ * Benchmark dos modos de armazenamento do JsonDatabase (snapshot x journal)
+ *
+ * Uso: node scripts/benchmark-storage.js [--sizes=10000,100000] [--ops=50]
+ *
+ * Para cada tamanho de coleção mede a carga inicial (leitura + replay),
+ * o tempo médio de create/update/delete e, no modo journal, a compactação.
+ * Os dados ficam em um diretório temporário removido ao final.
+ */
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const JsonDatabase = require('../shared/JsonDatabase');
+const FileLock = require('../shared/FileLock');
+
+const args = Object.fromEntries(process.argv.slice(2).map(arg => {
+    const [key, value] = arg.replace(/^--/, '').split('=');
+    return [key, value];
+}));
+
+const SIZES = (args.sizes || '10000,100000').split(',').map(Number);
+const OPS = Number(args.ops || 50);
+
+function makeDocument(position) {
+    const now = new Date().toISOString();
+    return {
+        id: uuidv4(),
+        name: `Item ${position}`,
+        category: ['Alimentos', 'Limpeza', 'Higiene', 'Bebidas', 'Padaria'][position % 5],
+        averagePrice: Math.round(Math.random() * 10000) / 100,
+        active: true,
+        createdAt: now,
+        updatedAt: now,
+        _version: 1
+    };
+}
+
+async function measure(operation, times = 1) {
+    const startedAt = process.hrtime.bigint();
+    for (let i = 0; i < times; i++) {
+        await operation(i);
+    }
+    return Number(process.hrtime.bigint() - startedAt) / 1e6 / times;
+}
+
+async function runMode(baseDir, mode, seed) {
+    const dbPath = path.join(baseDir, mode);
+    await fs.ensureDir(dbPath);
+    // Mesmo ponto de partida para os dois modos: snapshot com N documentos
+    await FileLock.writeJsonAtomic(path.join(dbPath, 'items.json'), seed);
+
+    const options = { storage: mode, compactAfter: 0 };
+    const db = new JsonDatabase(dbPath, 'items', options);
+
+    const load = await measure(() => db.count());
+    const created = [];
+    const create = await measure(async i => {
+        created.push(await db.create(makeDocument(seed.length + i)));
+    }, OPS);
+    const update = await measure(i => db.update(created[i].id, { averagePrice: i }), OPS);
+    const remove = await measure(i => db.delete(created[i].id), OPS);
+
+    // Carga a frio depois das mutações (no modo journal inclui o replay)
+    const replay = await measure(() => new JsonDatabase(dbPath, 'items', options).count());
+    const compact = mode === 'journal' ? await measure(() => db.compact()) : null;
+
+    return { mode, load, create, update, remove, replay, compact };
+}
+
+async function main() {
+    const baseDir = await fs.mkdtemp(path.join(os.tmpdir(), 'jsondb-bench-'));
+    const format = value => value === null ? '-' : value.toFixed(2);
+
+    try {
+        for (const size of SIZES) {
+            console.log(`\n📊 ${size} documentos, ${OPS} operações de cada tipo (ms)`);
+            const seed = Array.from({ length: size }, (_, position) => makeDocument(position));
+
+            const rows = [];
+            for (const mode of ['snapshot', 'journal']) {
+                const result = await runMode(path.join(baseDir, String(size)), mode, seed);
+                rows.push({
+                    modo: result.mode,
+                    'carga inicial': format(result.load),
+                    'create (média)': format(result.create),
+                    'update (média)': format(result.update),
+                    'delete (média)': format(result.remove),
+                    'carga após mutações': format(result.replay),
+                    'compactação': format(result.compact)
+                });
+            }
+            console.table(rows);
+        }
+    } finally {
+        await fs.remove(baseDir);
+    }
+}
+
+main().catch(error => {
+    console.error('Erro no benchmark:', error);
+    process.exit(1);
+});
@@ -0,0 +1,390 @@
+#!/usr/bin/env node
+/**
+ * Backup e restauração dos bancos JsonDatabase de todos os serviços
+ *
+ * Uso:
+ *   node scripts/db-backup.js backup [--out=backups]
+ *   node scripts/db-backup.js restore <arquivo> [--service=user-service] [--dry-run]
+ *   node scripts/db-backup.js verify <arquivo>
+ *
+ * O backup percorre services/<serviço>/database e services/<serviço>/data,
+ * adquire o lock de escrita de todas as coleções de cada diretório ao mesmo
+ * tempo (só pelo tempo da leitura) e grava um único arquivo .backup.json.gz
+ * com o manifesto (serviço, coleção, modo de armazenamento, documentos,
+ * tamanho e sha256 de cada entrada) e o conteúdo das coleções. Coleções
+ * cifradas são copiadas como estão: lê-las exige a chave da época do backup
+ * (ver db-crypt.js).
+ *
+ * A restauração sempre verifica o arquivo antes de escrever. Cada coleção é
+ * substituída com o lock adquirido, registrando as diferenças no registro
+ * de mudanças (serviços em execução e watch() veem a restauração). Com
+ * --dry-run apenas verifica e mostra o que mudaria.
+ */
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const path = require('path');
+const zlib = require('zlib');
+const JsonDatabase = require('../shared/JsonDatabase');
+const FileLock = require('../shared/FileLock');
+const Encryption = require('../shared/Encryption');
+const IndexManager = require('../shared/IndexManager');
+const QueryMatcher = require('../shared/QueryMatcher');
+const Transaction = require('../shared/Transaction');
+
+const ROOT = path.join(__dirname, '..');
+const SERVICES_DIR = path.join(ROOT, 'services');
+const DATA_DIRS = ['database', 'data'];
+const FORMAT = 'jsondb-backup';
+const VERSION = 1;
+
+const args = process.argv.slice(2);
+const command = args[0];
+const positional = args.slice(1).filter(arg => !arg.startsWith('--'));
+const flags = Object.fromEntries(args.filter(arg => arg.startsWith('--')).map(arg => {
+    const [key, value] = arg.replace(/^--/, '').split('=');
+    return [key, value === undefined ? true : value];
+}));
+
+function sha256(content) {
+    return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+function relative(filePath) {
+    return path.relative(ROOT, filePath).split(path.sep).join('/');
+}
+
+/**
+ * Localizar coleções e demais arquivos JSON dos serviços
+ * @returns {Array} [{ service, dir, collections: [{ name, storage }], files: [nome] }]
+ */
+async function discover() {
+    const databases = [];
+    const services = (await fs.readdir(SERVICES_DIR)).sort();
+
+    for (const service of services) {
+        for (const dataDir of DATA_DIRS) {
+            await scanDirectory(service, path.join(SERVICES_DIR, service, dataDir), databases);
+        }
+    }
+    return databases;
+}
+
+async function scanDirectory(service, dir, databases) {
+    let entries;
+    try {
+        entries = await fs.readdir(dir, { withFileTypes: true });
+    } catch (error) {
+        if (error.code === 'ENOENT') return;
+        throw error;
+    }
+
+    const names = new Set(entries.map(entry => entry.name));
+    const database = { service, dir, collections: [], files: [] };
+
+    for (const entry of entries.sort((a, b) => a.name.localeCompare(b.name))) {
+        if (entry.name.startsWith('.') || entry.name === '_transactions') continue;
+
+        if (entry.isDirectory()) {
+            await scanDirectory(service, path.join(dir, entry.name), databases);
+            continue;
+        }
+        // Coleção no modo sqlite (os arquivos -wal/-shm pertencem a ela)
+        if (entry.name.endsWith('.sqlite')) {
+            database.collections.push({ name: entry.name.slice(0, -'.sqlite'.length), storage: 'sqlite' });
+            continue;
+        }
+        if (!entry.name.endsWith('.json') || entry.name.endsWith('_index.json')) continue;
+
+        const name = entry.name.slice(0, -'.json'.length);
+        const storage = names.has(`${name}.journal.ndjson`) ? 'journal' : 'snapshot';
+
+        // Coleção cifrada: copiada como está (o backup não guarda os dados em texto claro)
+        if (Encryption.isEncrypted(await fs.readFile(path.join(dir, entry.name), 'utf8'))) {
+            database.files.push(entry.name);
+            if (storage === 'journal') database.files.push(`${name}.journal.ndjson`);
+            continue;
+        }
+
+        // Coleção = array JSON (ou snapshot de journal); o resto é copiado como arquivo
+        if (storage === 'journal' || Array.isArray(await fs.readJson(path.join(dir, entry.name)).catch(() => null))) {
+            database.collections.push({ name, storage });
+        } else {
+            database.files.push(entry.name);
+        }
+    }
+
+    if (database.collections.length > 0 || database.files.length > 0) {
+        databases.push(database);
+    }
+}
+
+function openCollection(dir, collection) {
+    return new JsonDatabase(dir, collection.name, { storage: collection.storage, compactAfter: 0 });
+}
+
+async function backup() {
+    const outDir = path.resolve(ROOT, flags.out || 'backups');
+    const createdAt = new Date().toISOString();
+    const entries = [];
+    const data = {};
+
+    for (const database of await discover()) {
+        const handles = database.collections.map(collection => openCollection(database.dir, collection));
+
+        // Todas as coleções do diretório lidas no mesmo instante (locks em ordem fixa)
+        const sorted = [...handles].sort((a, b) => a.filePath.localeCompare(b.filePath));
+        const snapshots = await Transaction.withLocks(sorted, async () => {
+            const states = new Map();
+            for (const handle of handles) {
+                states.set(handle, (await handle.load()).documents);
+            }
+            return states;
+        });
+
+        database.collections.forEach((collection, position) => {
+            const documents = snapshots.get(handles[position]);
+            const content = JSON.stringify(documents, null, 2);
+            const file = collection.storage === 'sqlite' ? `${collection.name}.sqlite` : `${collection.name}.json`;
+            const key = relative(path.join(database.dir, file));
+            data[key] = content;
+            entries.push({
+                path: key,
+                service: database.service,
+                type: 'collection',
+                collection: collection.name,
+                storage: collection.storage,
+                documents: documents.length,
+                bytes: Buffer.byteLength(content),
+                sha256: sha256(content)
+            });
+        });
+        handles.forEach(handle => handle.close());
+
+        for (const file of database.files) {
+            const content = await fs.readFile(path.join(database.dir, file), 'utf8');
+            const key = relative(path.join(database.dir, file));
+            data[key] = content;
+            entries.push({
+                path: key,
+                service: database.service,
+                type: 'file',
+                bytes: Buffer.byteLength(content),
+                sha256: sha256(content)
+            });
+        }
+    }
+
+    const manifest = { format: FORMAT, version: VERSION, createdAt, entries };
+    const archive = zlib.gzipSync(JSON.stringify({ manifest, data }));
+    const fileName = `db-${createdAt.replace(/[-:]/g, '').replace(/\.\d+Z$/, 'Z')}.backup.json.gz`;
+    const archivePath = path.join(outDir, fileName);
+
+    await fs.ensureDir(outDir);
+    await FileLock.writeAtomic(archivePath, archive);
+
+    console.table(entries.map(entry => ({
+        serviço: entry.service,
+        arquivo: entry.path,
+        documentos: entry.type === 'collection' ? entry.documents : '-',
+        bytes: entry.bytes
+    })));
+    console.log(`✅ Backup gravado em ${relative(archivePath)} (${archive.length} bytes compactados)`);
+}
+
+/**
+ * Ler e verificar o arquivo de backup
+ * @returns {Object} { manifest, data, problems }
+ */
+async function readArchive(archivePath) {
+    const problems = [];
+    let parsed;
+
+    try {
+        parsed = JSON.parse(zlib.gunzipSync(await fs.readFile(archivePath)).toString('utf8'));
+    } catch (error) {
+        return { manifest: null, data: null, problems: [`Arquivo ilegível (compactação ou JSON): ${error.message}`] };
+    }
+
+    const { manifest, data } = parsed || {};
+    if (!manifest || manifest.format !== FORMAT || manifest.version !== VERSION || !Array.isArray(manifest.entries) || !data) {
+        return { manifest: null, data: null, problems: ['Manifesto ausente ou de formato desconhecido'] };
+    }
+
+    manifest.entries.forEach(entry => {
+        const content = data[entry.path];
+        if (typeof content !== 'string') {
+            problems.push(`${entry.path}: conteúdo ausente`);
+            return;
+        }
+        if (sha256(content) !== entry.sha256 || Buffer.byteLength(content) !== entry.bytes) {
+            problems.push(`${entry.path}: checksum não confere`);
+            return;
+        }
+        if (entry.type !== 'collection') return;
+
+        let documents;
+        try {
+            documents = JSON.parse(content);
+        } catch (error) {
+            problems.push(`${entry.path}: JSON inválido`);
+            return;
+        }
+        if (!Array.isArray(documents) || documents.length !== entry.documents) {
+            problems.push(`${entry.path}: esperados ${entry.documents} documentos`);
+            return;
+        }
+        const ids = new Set();
+        documents.forEach((document, position) => {
+            if (!document || typeof document.id !== 'string' || ids.has(document.id)) {
+                problems.push(`${entry.path}: documento ${position} sem id ou com id repetido`);
+            }
+            ids.add(document && document.id);
+        });
+    });
+
+    const known = new Set(manifest.entries.map(entry => entry.path));
+    Object.keys(data).filter(key => !known.has(key)).forEach(key => {
+        problems.push(`${key}: presente no arquivo mas fora do manifesto`);
+    });
+
+    return { manifest, data, problems };
+}
+
+async function verify(archivePath) {
+    const result = await readArchive(archivePath);
+    if (result.problems.length > 0) {
+        console.error(`❌ Backup inválido: ${archivePath}`);
+        result.problems.forEach(problem => console.error(`   - ${problem}`));
+        process.exitCode = 1;
+        return null;
+    }
+
+    const { manifest } = result;
+    const services = [...new Set(manifest.entries.map(entry => entry.service))];
+    console.log(`✅ Backup íntegro: ${manifest.entries.length} arquivo(s) de ${services.join(', ')} (criado em ${manifest.createdAt})`);
+    return result;
+}
+
+// Substituir a coleção pelo conteúdo do backup (deve ser chamada com o lock adquirido)
+async function restoreCollection(database, documents) {
+    const { documents: current } = await database.load();
+    const before = new Map(current.map(document => [document.id, document]));
+    const restoredIds = new Set(documents.map(document => document.id));
+
+    const changes = [];
+    documents.forEach(document => {
+        const previous = before.get(document.id);
+        if (!previous || !QueryMatcher.deepEqual(previous, document)) {
+            changes.push({ op: 'put', doc: document, before: previous });
+        }
+    });
+    current.filter(document => !restoredIds.has(document.id)).forEach(document => {
+        changes.push({ op: 'del', id: document.id, before: document });
+    });
+
+    if (changes.length > 0) {
+        await database.commit(documents, changes, () => IndexManager.build(database.indexDefinitions, documents));
+        // No modo journal, o snapshot passa a refletir exatamente o backup
+        await database.runCompaction();
+    }
+    return changes;
+}
+
+function summarize(changes) {
+    return {
+        inseridos: changes.filter(change => change.op === 'put' && !change.before).length,
+        atualizados: changes.filter(change => change.op === 'put' && change.before).length,
+        removidos: changes.filter(change => change.op === 'del').length
+    };
+}
+
+async function restore(archivePath) {
+    const result = await verify(archivePath);
+    if (!result) return;
+
+    const { manifest, data } = result;
+    const dryRun = Boolean(flags['dry-run']);
+    const entries = manifest.entries.filter(entry => !flags.service || entry.service === flags.service);
+    if (entries.length === 0) {
+        console.error(`❌ Nenhum arquivo do serviço ${flags.service} no backup`);
+        process.exitCode = 1;
+        return;
+    }
+
+    // Agrupar por diretório para adquirir os locks de todas as coleções juntas
+    const byDir = new Map();
+    entries.forEach(entry => {
+        const dir = path.join(ROOT, path.dirname(entry.path));
+        if (!byDir.has(dir)) byDir.set(dir, []);
+        byDir.get(dir).push(entry);
+    });
+
+    const rows = [];
+    for (const [dir, dirEntries] of byDir) {
+        await fs.ensureDir(dir);
+        const collections = dirEntries.filter(entry => entry.type === 'collection');
+        const handles = await Promise.all(collections.map(async entry => {
+            // Mantém o modo atual da coleção (snapshot ou journal); se ela não existir, usa o do backup
+            const journal = entry.storage !== 'sqlite'
+                && await fs.pathExists(path.join(dir, `${entry.collection}.journal.ndjson`));
+            return openCollection(dir, { name: entry.collection, storage: journal ? 'journal' : entry.storage });
+        }));
+        const sorted = [...handles].sort((a, b) => a.filePath.localeCompare(b.filePath));
+
+        await Transaction.withLocks(sorted, async () => {
+            for (let position = 0; position < collections.length; position++) {
+                const entry = collections[position];
+                const documents = JSON.parse(data[entry.path]);
+                let changes;
+
+                if (dryRun) {
+                    const { documents: current } = await handles[position].load();
+                    const currentById = new Map(current.map(document => [document.id, document]));
+                    const restoredIds = new Set(documents.map(document => document.id));
+                    changes = documents
+                        .filter(document => !QueryMatcher.deepEqual(currentById.get(document.id), document))
+                        .map(document => ({ op: 'put', before: currentById.get(document.id) }))
+                        .concat(current.filter(document => !restoredIds.has(document.id)).map(() => ({ op: 'del' })));
+                } else {
+                    changes = await restoreCollection(handles[position], documents);
+                }
+                rows.push({ serviço: entry.service, arquivo: entry.path, ...summarize(changes) });
+            }
+        });
+        handles.forEach(handle => handle.close());
+
+        for (const entry of dirEntries.filter(fileEntry => fileEntry.type === 'file')) {
+            if (!dryRun) {
+                await FileLock.writeAtomic(path.join(ROOT, entry.path), data[entry.path]);
+            }
+            rows.push({ serviço: entry.service, arquivo: entry.path, inseridos: '-', atualizados: '-', removidos: '-' });
+        }
+    }
+
+    console.table(rows);
+    console.log(dryRun
+        ? '🔎 Simulação concluída: nenhum arquivo foi alterado'
+        : `✅ Restauração concluída a partir de ${archivePath}`);
+}
+
+async function main() {
+    switch (command) {
+        case 'backup':
+            return backup();
+        case 'verify':
+        case 'restore': {
+            if (!positional[0]) {
+                throw new Error(`Informe o arquivo de backup: node scripts/db-backup.js ${command} <arquivo>`);
+            }
+            const archivePath = path.resolve(positional[0]);
+            return command === 'verify' ? verify(archivePath) : restore(archivePath);
+        }
+        default:
+            throw new Error('Comando desconhecido. Use: backup | restore <arquivo> [--service=nome] [--dry-run] | verify <arquivo>');
+    }
+}
+
+main().catch(error => {
+    console.error('Erro no backup/restauração:', error.message);
+    process.exit(1);
+});
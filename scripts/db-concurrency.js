@@ -0,0 +1,200 @@
+#!/usr/bin/env node
+/**
+ * Teste de concorrência do JsonDatabase: escritas paralelas entre processos
+ *
+ * Uso: node scripts/db-concurrency.js [--processes=4] [--writes=100] [--storage=json,journal]
+ *
+ * Em cada modo, N processos filhos disparam ao mesmo tempo `writes`
+ * criações e `writes` incrementos ($inc) de um mesmo contador na mesma
+ * coleção. Verifica que nenhuma escrita se perdeu, inclusive ao reabrir a
+ * coleção, e que não sobrou lock nem arquivo temporário. Verifica também
+ * a retomada de locks: um .lock de processo morto disputado por vários
+ * processos é retomado por um de cada vez, e um dono vivo mais lento que
+ * staleAfter não perde o lock. Termina com código 1 se algo falhar.
+ */
+const assert = require('assert');
+const { fork, spawnSync } = require('child_process');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const JsonDatabase = require('../shared/JsonDatabase');
+const FileLock = require('../shared/FileLock');
+
+const args = Object.fromEntries(process.argv.slice(2).map(arg => {
+    const [key, value] = arg.replace(/^--/, '').split('=');
+    return [key, value === undefined ? true : value];
+}));
+
+const PROCESSES = Number(args.processes) || 4;
+const WRITES = Number(args.writes) || 100;
+const MODES = (args.storage || 'json,journal').split(',');
+
+// Processo filho: executa um comando e responde com o resultado
+function runChild() {
+    console.log = () => {};
+
+    process.on('message', async message => {
+        try {
+            if (message.command === 'writes') {
+                const db = new JsonDatabase(message.dir, 'items', { storage: message.storage });
+                await Promise.all(Array.from({ length: message.writes }, (_, i) => [
+                    db.create({ name: `Item ${process.pid}-${i}`, owner: process.pid }),
+                    db.updateOne({ id: message.counterId }, { $inc: { value: 1 } })
+                ]).flat());
+                process.send({ event: 'done' });
+            } else if (message.command === 'hold') {
+                // Segurar o lock por holdMs e informar o intervalo em que o deteve
+                const lock = new FileLock(message.target, { staleAfter: message.staleAfter, timeout: 20000 });
+                await lock.acquire();
+                const acquiredAt = Date.now();
+                process.send({ event: 'acquired' });
+                await FileLock.sleep(message.holdMs);
+                const releasedAt = Date.now();
+                await lock.release();
+                process.send({ event: 'done', interval: [acquiredAt, releasedAt] });
+            }
+        } catch (error) {
+            process.send({ event: 'error', message: error.message });
+        } finally {
+            process.disconnect();
+        }
+    });
+    process.send({ event: 'ready' });
+}
+
+// Iniciar um filho e aguardar que esteja pronto
+function start() {
+    const child = fork(__filename, ['--child'], { stdio: ['ignore', 'ignore', 'inherit', 'ipc'] });
+    return waitFor(child, 'ready').then(() => child);
+}
+
+function waitFor(child, event) {
+    return new Promise((resolve, reject) => {
+        const onMessage = message => {
+            if (message.event === 'error') {
+                child.off('message', onMessage);
+                reject(new Error(`Processo ${child.pid}: ${message.message}`));
+            } else if (message.event === event) {
+                child.off('message', onMessage);
+                resolve(message);
+            }
+        };
+        child.on('message', onMessage);
+        child.once('exit', code => reject(new Error(`Processo ${child.pid} terminou (código ${code}) antes de '${event}'`)));
+    });
+}
+
+// Arquivos que não deveriam sobrar no diretório da coleção
+async function leftovers(dir) {
+    return (await fs.readdir(dir)).filter(file => /\.(lock|tmp|stale|reclaim)$/.test(file));
+}
+
+// Intervalos de posse do lock não podem se sobrepor
+function assertExclusive(intervals) {
+    const sorted = [...intervals].sort((a, b) => a[0] - b[0]);
+    sorted.slice(1).forEach((interval, i) => {
+        assert.ok(interval[0] >= sorted[i][1], `Lock detido por dois processos ao mesmo tempo: ${JSON.stringify([sorted[i], interval])}`);
+    });
+}
+
+// Pid de um processo que já terminou
+function deadPid() {
+    return spawnSync(process.execPath, ['-e', '']).pid;
+}
+
+async function checkParallelWrites(baseDir, mode) {
+    const dir = path.join(baseDir, mode);
+    const db = new JsonDatabase(dir, 'items', { storage: mode });
+    const counter = await db.create({ name: 'contador', value: 0 });
+    db.close();
+
+    const children = await Promise.all(Array.from({ length: PROCESSES }, start));
+    const done = children.map(child => waitFor(child, 'done'));
+    children.forEach(child => child.send({ command: 'writes', dir, storage: mode, counterId: counter.id, writes: WRITES }));
+    await Promise.all(done);
+
+    // Nova instância: os dados vêm do arquivo, não do cache de um processo
+    const reopened = new JsonDatabase(dir, 'items', { storage: mode });
+    try {
+        const total = PROCESSES * WRITES;
+        assert.strictEqual(await reopened.count({ owner: { $exists: true } }), total, 'criações perdidas');
+        const { value, _version } = await reopened.findById(counter.id);
+        assert.strictEqual(value, total, 'incrementos perdidos');
+        assert.strictEqual(_version, total + 1);
+        assert.deepStrictEqual(await leftovers(dir), []);
+        return `${total} criações e ${total} incrementos de ${PROCESSES} processos, nenhum perdido`;
+    } finally {
+        reopened.close();
+    }
+}
+
+async function checkAbandonedLock(baseDir) {
+    const target = path.join(baseDir, 'abandoned.json');
+    await fs.writeFile(`${target}.lock`, JSON.stringify({ pid: deadPid(), host: os.hostname(), acquiredAt: Date.now() }));
+
+    const children = await Promise.all(Array.from({ length: PROCESSES * 2 }, start));
+    const done = children.map(child => waitFor(child, 'done'));
+    children.forEach(child => child.send({ command: 'hold', target, staleAfter: 10000, holdMs: 20 }));
+    const intervals = (await Promise.all(done)).map(message => message.interval);
+
+    assertExclusive(intervals);
+    assert.deepStrictEqual(await leftovers(baseDir), []);
+    return `lock de processo morto retomado; ${intervals.length} processos o detiveram um de cada vez`;
+}
+
+async function checkSlowHolder(baseDir) {
+    const target = path.join(baseDir, 'slow.json');
+    const holder = await start();
+    const holding = waitFor(holder, 'acquired');
+    const holderDone = waitFor(holder, 'done');
+    holder.send({ command: 'hold', target, staleAfter: 100, holdMs: 600 });
+    await holding;
+
+    // Aguardam bem mais que staleAfter enquanto o dono segue vivo
+    const waiters = await Promise.all(Array.from({ length: PROCESSES }, start));
+    const done = waiters.map(child => waitFor(child, 'done'));
+    waiters.forEach(child => child.send({ command: 'hold', target, staleAfter: 100, holdMs: 20 }));
+    const intervals = (await Promise.all([holderDone, ...done])).map(message => message.interval);
+
+    assertExclusive(intervals);
+    return 'dono vivo mais lento que staleAfter manteve o lock';
+}
+
+async function main() {
+    const baseDir = await fs.mkdtemp(path.join(os.tmpdir(), 'jsondb-concurrency-'));
+    let failures = 0;
+
+    const check = async (name, fn) => {
+        try {
+            console.log(`  ✅ ${await fn()}`);
+        } catch (error) {
+            failures++;
+            console.log(`  ❌ ${name}: ${error.message}`);
+        }
+    };
+
+    try {
+        for (const mode of MODES) {
+            console.log(`\n📦 ${mode}`);
+            await check('escritas paralelas', () => checkParallelWrites(baseDir, mode));
+        }
+
+        console.log('\n🔒 locks');
+        await check('lock abandonado', () => checkAbandonedLock(baseDir));
+        await check('dono lento', () => checkSlowHolder(baseDir));
+    } finally {
+        await fs.remove(baseDir);
+    }
+
+    console.log(failures > 0 ? `\n❌ ${failures} verificação(ões) falharam` : '\n✅ Nenhuma escrita perdida sob concorrência');
+    process.exitCode = failures > 0 ? 1 : 0;
+}
+
+if (args.child) {
+    runChild();
+} else {
+    main().catch(error => {
+        console.error('Erro no teste de concorrência:', error);
+        process.exit(1);
+    });
+}
@@ -0,0 +1,169 @@
+#!/usr/bin/env node
+/**
+ * Chaves e inspeção das coleções cifradas em repouso (AES-256-GCM)
+ *
+ * Uso:
+ *   node scripts/db-crypt.js keygen
+ *   node scripts/db-crypt.js decrypt <arquivo> [--key-file=caminho | --key-env=VARIAVEL] [--out=arquivo]
+ *   node scripts/db-crypt.js rotate [--service=user-service]
+ *
+ * decrypt mostra em texto claro um arquivo de coleção (.json), journal ou
+ * registro de mudanças (.ndjson) ou banco sqlite; sem --key-file/--key-env
+ * usa a chave do serviço dono do arquivo.
+ *
+ * rotate gera uma chave nova, cifra de novo as coleções do serviço com ela
+ * (com o lock de escrita, sem parar o serviço: ele relê o arquivo de chaves)
+ * e move a chave antiga para <arquivo de chaves>.retired, necessária para
+ * ler backups anteriores. Com a chave na variável de ambiente, defina
+ * <PREFIXO>_DB_KEY=nova,antiga, rode rotate e depois remova a antiga.
+ */
+const fs = require('fs-extra');
+const path = require('path');
+const JsonDatabase = require('../shared/JsonDatabase');
+const Encryption = require('../shared/Encryption');
+
+const ROOT = path.join(__dirname, '..');
+
+// Coleções cifradas de cada serviço (as mesmas opções do server.js)
+const SERVICES = {
+    'user-service': { prefix: 'USER', dir: 'database', keyFile: 'keys/users.key', collections: ['users'] }
+};
+
+const args = process.argv.slice(2);
+const command = args[0];
+const positional = args.slice(1).filter(arg => !arg.startsWith('--'));
+const flags = Object.fromEntries(args.filter(arg => arg.startsWith('--')).map(arg => {
+    const [key, value] = arg.replace(/^--/, '').split('=');
+    return [key, value === undefined ? true : value];
+}));
+
+function serviceDir(service) {
+    return path.join(ROOT, 'services', service);
+}
+
+function encryptionOf(service) {
+    const config = SERVICES[service];
+    return Encryption.serviceOptions(config.prefix, path.join(serviceDir(service), config.keyFile));
+}
+
+// Chave do decrypt: informada na linha de comando ou a do serviço dono do arquivo
+function encryptionFor(filePath) {
+    if (flags['key-file'] || flags['key-env']) {
+        return new Encryption({ keyFile: flags['key-file'], keyEnv: flags['key-env'] });
+    }
+
+    const service = Object.keys(SERVICES).find(name => filePath.startsWith(`${serviceDir(name)}${path.sep}`));
+    if (!service) {
+        throw new Error('Não foi possível identificar o serviço do arquivo: informe --key-file ou --key-env');
+    }
+    return new Encryption({ ...encryptionOf(service), generate: false });
+}
+
+function keygen() {
+    console.log(Encryption.generateKey());
+}
+
+async function decrypt() {
+    if (!positional[0]) {
+        throw new Error('Informe o arquivo: node scripts/db-crypt.js decrypt <arquivo>');
+    }
+
+    const filePath = path.resolve(positional[0]);
+    const encryption = encryptionFor(filePath);
+    let output;
+
+    if (filePath.endsWith('.sqlite')) {
+        const collection = new JsonDatabase(path.dirname(filePath), path.basename(filePath, '.sqlite'), {
+            storage: 'sqlite',
+            encryption,
+            changeLog: false,
+            recover: false
+        });
+        try {
+            output = `${JSON.stringify(await collection.find(), null, 2)}\n`;
+        } finally {
+            collection.close();
+        }
+    } else {
+        const content = await fs.readFile(filePath, 'utf8');
+        output = filePath.endsWith('.ndjson')
+            ? content.split('\n').filter(line => line.trim())
+                .map(line => `${Encryption.decode(encryption, line, filePath)}\n`).join('')
+            : `${JSON.stringify(JSON.parse(Encryption.decode(encryption, content, filePath)), null, 2)}\n`;
+    }
+
+    if (flags.out) {
+        await fs.writeFile(flags.out, output, { mode: 0o600 });
+        console.error(`✅ Conteúdo decifrado gravado em ${flags.out}`);
+    } else {
+        process.stdout.write(output);
+    }
+}
+
+async function reencryptCollections(service, encryption) {
+    const config = SERVICES[service];
+    const dbPath = path.join(serviceDir(service), config.dir);
+
+    for (const name of config.collections) {
+        const collection = new JsonDatabase(dbPath, name, {
+            storage: JsonDatabase.storageFromEnv(config.prefix),
+            encryption
+        });
+        try {
+            const documents = await collection.reencrypt();
+            console.log(`🔒 ${service}/${name}: ${documents} documento(s) cifrado(s) com a chave nova`);
+        } finally {
+            collection.close();
+        }
+    }
+}
+
+async function rotate(service) {
+    const options = encryptionOf(service);
+
+    // Chave no ambiente: quem a define faz a troca; aqui só se cifra de novo com a primeira
+    if (process.env[options.keyEnv]) {
+        await reencryptCollections(service, new Encryption(options));
+        console.log(`✅ ${service}: coleções cifradas com a primeira chave de ${options.keyEnv}; as demais já podem ser removidas`);
+        return;
+    }
+
+    if (!await fs.pathExists(options.keyFile)) {
+        throw new Error(`${service}: arquivo de chaves ${options.keyFile} não existe (nada a rotacionar)`);
+    }
+
+    const previous = (await fs.readFile(options.keyFile, 'utf8')).split(/[\s,]+/).filter(Boolean);
+    const key = Encryption.generateKey();
+
+    // 1. Chave nova na frente: serviços em execução passam a cifrar com ela e ainda leem a antiga
+    await Encryption.writeKeyFile(options.keyFile, [key, ...previous]);
+    await reencryptCollections(service, new Encryption(options));
+
+    // 2. Antigas fora do chaveiro, mas guardadas para os backups feitos com elas
+    const retiredPath = `${options.keyFile}.retired`;
+    await fs.appendFile(retiredPath, `${previous.join('\n')}\n`, { mode: 0o600 });
+    await Encryption.writeKeyFile(options.keyFile, [key]);
+    console.log(`✅ ${service}: chave rotacionada (antigas em ${path.relative(ROOT, retiredPath)})`);
+}
+
+async function rotateServices() {
+    if (flags.service && !SERVICES[flags.service]) {
+        throw new Error(`Serviço sem coleções cifradas: ${flags.service}. Use: ${Object.keys(SERVICES).join(', ')}`);
+    }
+    for (const service of flags.service ? [flags.service] : Object.keys(SERVICES)) {
+        await rotate(service);
+    }
+}
+
+async function main() {
+    const commands = { keygen, decrypt, rotate: rotateServices };
+    if (!commands[command]) {
+        throw new Error('Comando desconhecido. Use: keygen | decrypt <arquivo> | rotate [--service=nome]');
+    }
+    await commands[command]();
+}
+
+main().catch(error => {
+    console.error('Erro na criptografia dos bancos:', error.message);
+    process.exit(1);
+});
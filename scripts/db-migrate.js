@@ -0,0 +1,107 @@
+#!/usr/bin/env node
+/**
+ * Migrações versionadas dos bancos JsonDatabase dos serviços
+ *
+ * Uso:
+ *   node scripts/db-migrate.js status [--service=user-service]
+ *   node scripts/db-migrate.js up [--service=user-service] [--to=versão]
+ *   node scripts/db-migrate.js down --service=user-service [--steps=1 | --to=versão]
+ *
+ * As migrações ficam em services/<serviço>/migrations/NNN-descricao.js e
+ * as já aplicadas são registradas na coleção _migrations do banco do
+ * serviço. "down --to=0" reverte todas. Os serviços também aplicam as
+ * pendentes ao iniciar quando RUN_MIGRATIONS=true.
+ */
+const path = require('path');
+const MigrationRunner = require('../shared/MigrationRunner');
+
+const ROOT = path.join(__dirname, '..');
+
+// Banco de cada serviço: services/<serviço>/database.js abre as coleções com
+// as mesmas opções do server.js (índices únicos, schema, lixeira, criptografia)
+const SERVICES = ['user-service', 'item-service', 'list-service'];
+
+const args = process.argv.slice(2);
+const command = args[0];
+const flags = Object.fromEntries(args.filter(arg => arg.startsWith('--')).map(arg => {
+    const [key, value] = arg.replace(/^--/, '').split('=');
+    return [key, value === undefined ? true : value];
+}));
+
+function selectServices() {
+    if (!flags.service) {
+        return SERVICES;
+    }
+    if (!SERVICES.includes(flags.service)) {
+        throw new Error(`Serviço desconhecido: ${flags.service}. Use: ${SERVICES.join(', ')}`);
+    }
+    return [flags.service];
+}
+
+function createRunner(service) {
+    const serviceDir = path.join(ROOT, 'services', service);
+    const database = require(path.join(serviceDir, 'database'));
+    const collections = Object.values(database.openCollections());
+    return new MigrationRunner(database.DB_PATH, path.join(serviceDir, 'migrations'), { collections });
+}
+
+async function status(service, runner) {
+    const rows = await runner.status();
+    if (rows.length === 0) {
+        console.log(`${service}: nenhuma migração`);
+        return;
+    }
+
+    console.log(service);
+    console.table(rows.map(row => ({
+        versão: row.version,
+        migração: row.name,
+        situação: row.status,
+        aplicadaEm: row.appliedAt || '-'
+    })));
+}
+
+async function up(service, runner) {
+    const applied = await runner.up({ to: flags.to });
+    console.log(applied.length > 0
+        ? `✅ ${service}: ${applied.length} migração(ões) aplicada(s)`
+        : `✅ ${service}: nenhuma migração pendente`);
+}
+
+async function down(service, runner) {
+    const steps = flags.steps === undefined ? undefined : parseInt(flags.steps, 10);
+    if (steps !== undefined && (!Number.isInteger(steps) || steps < 1)) {
+        throw new Error('--steps deve ser um inteiro positivo');
+    }
+
+    const reverted = await runner.down({ to: flags.to, steps });
+    console.log(reverted.length > 0
+        ? `✅ ${service}: ${reverted.length} migração(ões) revertida(s)`
+        : `✅ ${service}: nenhuma migração para reverter`);
+}
+
+async function main() {
+    const commands = { status, up, down };
+    if (!commands[command]) {
+        throw new Error('Comando desconhecido. Use: status | up [--to=versão] | down --service=nome [--steps=n | --to=versão]');
+    }
+    // Reverter exige escolher o serviço explicitamente
+    if (command === 'down' && !flags.service) {
+        throw new Error('Informe o serviço: node scripts/db-migrate.js down --service=<nome>');
+    }
+
+    for (const service of selectServices()) {
+        const runner = createRunner(service);
+        try {
+            await commands[command](service, runner);
+        } finally {
+            runner.collections.forEach(collection => collection.close());
+            runner.close();
+        }
+    }
+}
+
+main().catch(error => {
+    console.error('Erro nas migrações:', error.message);
+    process.exit(1);
+});
@@ -0,0 +1,187 @@
+#!/usr/bin/env node
+/**
+ * Teste de integração do List Service: listas persistem entre reinícios
+ *
+ * Uso: node scripts/list-persistence.js [--storage=json,journal]
+ *
+ * Em cada modo, inicia o serviço com banco e registry em um diretório
+ * temporário (LIST_DB_PATH e SERVICE_REGISTRY_FILE), e a cada operação de
+ * CRUD (criar, renomear, excluir para a lixeira e restaurar) encerra o
+ * processo, inicia outro e confere que o novo processo lê o que o anterior
+ * gravou. Termina com código 1 se algo falhar.
+ */
+const assert = require('assert');
+const { spawn } = require('child_process');
+const axios = require('axios');
+const fs = require('fs-extra');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const FileLock = require('../shared/FileLock');
+
+const SERVICE_DIR = path.join(__dirname, '..', 'services', 'list-service');
+// Dependência do próprio serviço, usada para assinar o token de teste
+const jwt = require(require.resolve('jsonwebtoken', { paths: [SERVICE_DIR] }));
+
+const args = Object.fromEntries(process.argv.slice(2).map(arg => {
+    const [key, value] = arg.replace(/^--/, '').split('=');
+    return [key, value === undefined ? true : value];
+}));
+
+const MODES = (args.storage || 'json,journal').split(',');
+const STARTUP_TIMEOUT = 15000;
+
+// Porta livre escolhida pelo sistema
+function freePort() {
+    return new Promise((resolve, reject) => {
+        const server = net.createServer();
+        server.once('error', reject);
+        server.listen(0, () => {
+            const { port } = server.address();
+            server.close(() => resolve(port));
+        });
+    });
+}
+
+/**
+ * Processo do List Service sobre um diretório de dados
+ */
+class ListService {
+    constructor(dir, storage) {
+        this.dir = dir;
+        this.storage = storage;
+        this.process = null;
+        this.client = null;
+    }
+
+    async start() {
+        await fs.ensureDir(this.dir);
+        const port = await freePort();
+        this.process = spawn(process.execPath, [path.join(SERVICE_DIR, 'server.js')], {
+            cwd: SERVICE_DIR,
+            stdio: ['ignore', 'ignore', 'inherit'],
+            env: {
+                ...process.env,
+                PORT: String(port),
+                LIST_DB_PATH: path.join(this.dir, 'data'),
+                LIST_DB_STORAGE: this.storage,
+                SERVICE_REGISTRY_FILE: path.join(this.dir, 'registry.json'),
+                CATALOG_SYNC: 'false'
+            }
+        });
+        this.exited = new Promise(resolve => this.process.once('exit', resolve));
+
+        const token = jwt.sign({ userId: 'persistence-user', email: 'persistence@example.com' }, process.env.JWT_SECRET || 'default-jwt-secret-key');
+        this.client = axios.create({
+            baseURL: `http://localhost:${port}`,
+            headers: { Authorization: `Bearer ${token}` },
+            validateStatus: () => true
+        });
+
+        const startedAt = Date.now();
+        while (true) {
+            try {
+                await this.client.get('/health');
+                return;
+            } catch (error) {
+                if (this.process.exitCode !== null) {
+                    throw new Error(`List Service terminou na inicialização (código ${this.process.exitCode})`);
+                }
+                if (Date.now() - startedAt > STARTUP_TIMEOUT) {
+                    throw new Error('List Service não respondeu ao /health');
+                }
+                await FileLock.sleep(100);
+            }
+        }
+    }
+
+    async stop() {
+        if (!this.process || this.process.exitCode !== null) return;
+        this.process.kill('SIGTERM');
+        await this.exited;
+    }
+
+    async restart() {
+        await this.stop();
+        await this.start();
+    }
+
+    async request(method, url, data) {
+        const response = await this.client.request({ method, url, data });
+        return { status: response.status, body: response.data };
+    }
+}
+
+async function checkMode(baseDir, storage) {
+    const service = new ListService(path.join(baseDir, storage), storage);
+    const steps = [];
+
+    try {
+        await service.start();
+
+        const created = await service.request('POST', '/lists', { name: 'Feira da semana', description: 'Hortifruti' });
+        assert.strictEqual(created.status, 201, `criação: ${JSON.stringify(created.body)}`);
+        const id = created.body.list.id;
+
+        await service.restart();
+        const read = await service.request('GET', `/lists/${id}`);
+        assert.strictEqual(read.status, 200, 'lista criada não encontrada após reiniciar');
+        assert.strictEqual(read.body.list.name, 'Feira da semana');
+        assert.deepStrictEqual((await service.request('GET', '/lists')).body.lists.map(list => list.id), [id]);
+        steps.push('criação');
+
+        const updated = await service.request('PUT', `/lists/${id}`, { name: 'Feira do mês', status: 'completed' });
+        assert.strictEqual(updated.status, 200, `atualização: ${JSON.stringify(updated.body)}`);
+
+        await service.restart();
+        const afterUpdate = (await service.request('GET', `/lists/${id}`)).body.list;
+        assert.strictEqual(afterUpdate.name, 'Feira do mês');
+        assert.strictEqual(afterUpdate.status, 'completed');
+        assert.strictEqual(afterUpdate.description, 'Hortifruti');
+        steps.push('atualização');
+
+        assert.strictEqual((await service.request('DELETE', `/lists/${id}`)).status, 200);
+
+        await service.restart();
+        assert.strictEqual((await service.request('GET', `/lists/${id}`)).status, 404, 'lista excluída ainda visível após reiniciar');
+        assert.deepStrictEqual((await service.request('GET', '/lists/trash')).body.lists.map(list => list.id), [id]);
+        steps.push('exclusão');
+
+        assert.strictEqual((await service.request('POST', `/lists/${id}/restore`)).status, 200);
+
+        await service.restart();
+        assert.strictEqual((await service.request('GET', `/lists/${id}`)).body.list.name, 'Feira do mês');
+        steps.push('restauração');
+    } finally {
+        await service.stop();
+    }
+
+    return `${steps.join(', ')} persistidas entre reinícios`;
+}
+
+async function main() {
+    const baseDir = await fs.mkdtemp(path.join(os.tmpdir(), 'list-persistence-'));
+    let failures = 0;
+
+    try {
+        for (const mode of MODES) {
+            console.log(`\n📦 ${mode}`);
+            try {
+                console.log(`  ✅ ${await checkMode(baseDir, mode)}`);
+            } catch (error) {
+                failures++;
+                console.log(`  ❌ ${error.message}`);
+            }
+        }
+    } finally {
+        await fs.remove(baseDir);
+    }
+
+    console.log(failures > 0 ? `\n❌ ${failures} verificação(ões) falharam` : '\n✅ Listas persistem entre reinícios do serviço');
+    process.exitCode = failures > 0 ? 1 : 0;
+}
+
+main().catch(error => {
+    console.error('Erro no teste de persistência das listas:', error);
+    process.exit(1);
+});
@@ -0,0 +1,144 @@
+#!/usr/bin/env node
+/**
+ * Teste de carga do service registry: registros concorrentes entre processos
+ *
+ * Uso: node scripts/registry-stress.js [--instances=50]
+ *
+ * Inicia N processos filhos que registram, ao mesmo tempo, uma instância
+ * cada no mesmo arquivo de registry (temporário, via SERVICE_REGISTRY_FILE),
+ * enquanto o processo principal lê o arquivo sem parar. Verifica que
+ * nenhum registro se perdeu, que o arquivo nunca foi lido pela metade e
+ * que, após a remoção concorrente de todas as instâncias, o registry fica
+ * vazio. Termina com código 1 se alguma verificação falhar.
+ */
+const assert = require('assert');
+const { fork } = require('child_process');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+
+const SERVICE = 'stress-service';
+
+const args = Object.fromEntries(process.argv.slice(2).map(arg => {
+    const [key, value] = arg.replace(/^--/, '').split('=');
+    return [key, value === undefined ? true : value];
+}));
+
+// Processo filho: registrar ao receber 'register', remover ao receber 'unregister'
+function runChild() {
+    console.log = () => {};
+    const registry = require('../shared/serviceRegistry');
+    let instance = null;
+
+    process.on('message', async message => {
+        if (message.command === 'register') {
+            instance = await registry.register(SERVICE, { url: `http://localhost:${message.port}` });
+            process.send({ event: 'registered', id: instance.id });
+        } else if (message.command === 'unregister') {
+            await registry.unregister(SERVICE, instance.id);
+            process.send({ event: 'unregistered' });
+            process.disconnect();
+        }
+    });
+    process.send({ event: 'ready' });
+}
+
+// Esperar uma mensagem de cada filho
+function waitAll(children, event) {
+    return Promise.all(children.map(child => new Promise((resolve, reject) => {
+        const onMessage = message => {
+            if (message.event === event) {
+                child.off('message', onMessage);
+                resolve(message);
+            }
+        };
+        child.on('message', onMessage);
+        child.once('exit', code => reject(new Error(`Processo ${child.pid} terminou (código ${code}) antes de '${event}'`)));
+    })));
+}
+
+// Ler o arquivo continuamente até stop(), contando leituras e arquivos inválidos
+function watchFile(registryFile) {
+    const stats = { reads: 0, invalid: 0 };
+    let running = true;
+
+    const loop = async () => {
+        while (running) {
+            try {
+                const content = await fs.readFile(registryFile, 'utf8');
+                JSON.parse(content);
+                stats.reads++;
+            } catch (error) {
+                if (error.code !== 'ENOENT') stats.invalid++;
+            }
+            await new Promise(resolve => setImmediate(resolve));
+        }
+    };
+    const done = loop();
+
+    return {
+        stats,
+        stop: async () => {
+            running = false;
+            await done;
+        }
+    };
+}
+
+async function main() {
+    const count = Number(args.instances) || 50;
+    const baseDir = await fs.mkdtemp(path.join(os.tmpdir(), 'registry-stress-'));
+    const registryFile = path.join(baseDir, 'services-registry.json');
+    const env = { ...process.env, SERVICE_REGISTRY_FILE: registryFile, SERVICE_LEASE_TTL: '600000' };
+    const children = [];
+
+    try {
+        console.log(`🚀 Iniciando ${count} processos...`);
+        for (let i = 0; i < count; i++) {
+            children.push(fork(__filename, ['--child'], { env, stdio: ['ignore', 'ignore', 'inherit', 'ipc'] }));
+        }
+        await waitAll(children, 'ready');
+
+        // Todos registram ao mesmo tempo
+        const watcher = watchFile(registryFile);
+        const registering = waitAll(children, 'registered');
+        children.forEach((child, i) => child.send({ command: 'register', port: 40000 + i }));
+        const ids = (await registering).map(message => message.id);
+
+        const services = JSON.parse(await fs.readFile(registryFile, 'utf8'));
+        const registered = Object.keys(services[SERVICE].instances);
+        assert.strictEqual(registered.length, count, `${registered.length} de ${count} instâncias no registry`);
+        assert.deepStrictEqual([...registered].sort(), [...ids].sort());
+        console.log(`  ✅ ${count} instâncias registradas, nenhuma perdida`);
+
+        // Todos removem ao mesmo tempo
+        const unregistering = waitAll(children, 'unregistered');
+        children.forEach(child => child.send({ command: 'unregister' }));
+        await unregistering;
+        await watcher.stop();
+
+        assert.deepStrictEqual(JSON.parse(await fs.readFile(registryFile, 'utf8')), {});
+        console.log('  ✅ Todas as instâncias removidas');
+
+        assert.strictEqual(watcher.stats.invalid, 0, `${watcher.stats.invalid} leitura(s) de arquivo incompleto`);
+        console.log(`  ✅ ${watcher.stats.reads} leituras concorrentes, nenhuma com o arquivo incompleto`);
+
+        const leftovers = (await fs.readdir(baseDir)).filter(file => file !== 'services-registry.json');
+        assert.deepStrictEqual(leftovers, [], `Arquivos restantes: ${leftovers.join(', ')}`);
+        console.log('  ✅ Nenhum lock ou arquivo temporário restante');
+
+        console.log('\n✅ Registry consistente sob concorrência');
+    } finally {
+        children.filter(child => child.exitCode === null).forEach(child => child.kill());
+        await fs.remove(baseDir);
+    }
+}
+
+if (args.child) {
+    runChild();
+} else {
+    main().catch(error => {
+        console.error('\n❌ Teste de carga do registry falhou:', error.message);
+        process.exit(1);
+    });
+}
@@ -0,0 +1,263 @@
+#!/usr/bin/env node
+/**
+ * Verificação de conformidade dos modos de armazenamento do JsonDatabase
+ *
+ * Uso: node scripts/storage-conformance.js [--storage=json,journal,memory,sqlite]
+ *
+ * Executa as mesmas verificações (CRUD, consultas, índices simples, em
+ * arrays e únicos, operadores, versões, esquema, lixeira, transações,
+ * watch, busca de texto e persistência entre instâncias) em cada modo,
+ * cada um em um diretório temporário removido ao final. O modo sqlite é
+ * ignorado se o pacote opcional better-sqlite3 não estiver instalado.
+ * Termina com código 1 se alguma verificação falhar.
+ */
+const assert = require('assert');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const JsonDatabase = require('../shared/JsonDatabase');
+const MemoryStorage = require('../shared/MemoryStorage');
+
+const args = Object.fromEntries(process.argv.slice(2).map(arg => {
+    const [key, value] = arg.replace(/^--/, '').split('=');
+    return [key, value];
+}));
+
+const MODES = (args.storage || 'json,journal,memory,sqlite').split(',');
+
+// Verificar que a operação falha com o código esperado
+async function rejectsWith(operation, code) {
+    await assert.rejects(operation, error => error.code === code);
+}
+
+const CHECKS = {
+    async 'create, findById, update e delete'(open) {
+        const db = open('items');
+        const created = await db.create({ name: 'Arroz', price: 10 });
+        assert.ok(created.id);
+        assert.strictEqual((await db.findById(created.id)).name, 'Arroz');
+
+        const updated = await db.update(created.id, { price: 12 });
+        assert.strictEqual(updated.price, 12);
+        assert.strictEqual(updated.name, 'Arroz');
+
+        assert.strictEqual(await db.delete(created.id), true);
+        assert.strictEqual(await db.findById(created.id), null);
+        assert.strictEqual(await db.update(created.id, { price: 1 }), null);
+    },
+
+    async 'documentos retornados são cópias'(open) {
+        const db = open('items');
+        const created = await db.create({ name: 'Feijão', tags: ['grão'] });
+        created.tags.push('alterado');
+        (await db.findById(created.id)).tags.push('alterado');
+        (await db.readAll())[0].tags.push('alterado');
+        (await db.search('feijao'))[0].tags.push('alterado');
+        assert.deepStrictEqual((await db.findById(created.id)).tags, ['grão']);
+    },
+
+    async 'filtros, ordenação, paginação e contagem'(open) {
+        const db = open('items', { indexes: ['category'] });
+        for (const [name, category, price] of [['A', 'x', 5], ['B', 'y', 3], ['C', 'x', 9], ['D', 'x', 1]]) {
+            await db.create({ name, category, price });
+        }
+
+        const found = await db.find({ category: 'x', price: { $gte: 5 } }, { sort: { price: -1 } });
+        assert.deepStrictEqual(found.map(doc => doc.name), ['C', 'A']);
+        assert.strictEqual(await db.count({ category: 'x' }), 3);
+
+        const first = await db.findPage({}, { sort: { name: 1 }, limit: 2 });
+        const second = await db.findPage({}, { sort: { name: 1 }, limit: 2, after: first.nextCursor });
+        assert.deepStrictEqual([...first.documents, ...second.documents].map(doc => doc.name), ['A', 'B', 'C', 'D']);
+
+        const totals = await db.aggregate([{ $group: { _id: '$category', total: { $sum: '$price' } } }, { $sort: { _id: 1 } }]);
+        assert.deepStrictEqual(totals, [{ _id: 'x', total: 15 }, { _id: 'y', total: 3 }]);
+    },
+
+    async 'índice em caminho que atravessa arrays'(open) {
+        const db = open('lists', { indexes: ['items.itemId', 'tags'] });
+        const list = await db.create({ name: 'Feira', tags: ['semanal'], items: [{ itemId: 'x' }, { itemId: 'y' }] });
+        await db.create({ name: 'Vazia', tags: [], items: [] });
+
+        assert.deepStrictEqual((await db.find({ 'items.itemId': 'x' })).map(doc => doc.id), [list.id]);
+        assert.strictEqual(await db.count({ 'items.itemId': { $in: ['y', 'z'] } }), 1);
+        assert.strictEqual(await db.count({ tags: 'semanal' }), 1);
+
+        // O índice acompanha a remoção de um elemento
+        await db.updateOne({ id: list.id }, { $pull: { items: { itemId: 'x' } } });
+        assert.strictEqual(await db.count({ 'items.itemId': 'x' }), 0);
+        assert.strictEqual(await db.count({ 'items.itemId': 'y' }), 1);
+    },
+
+    async 'índice único'(open) {
+        const db = open('users', { indexes: [{ fields: ['email'], unique: true }] });
+        const user = await db.create({ email: 'a@b.com' });
+        await rejectsWith(() => db.create({ email: 'a@b.com' }), 'DUPLICATE_KEY');
+
+        // Liberado depois da remoção
+        await db.delete(user.id);
+        assert.ok(await db.create({ email: 'a@b.com' }));
+    },
+
+    async 'operadores de atualização e versão esperada'(open) {
+        const db = open('items');
+        const created = await db.create({ stock: 1, tags: [] });
+        const updated = await db.updateOne({ id: created.id }, { $inc: { stock: 2 }, $push: { tags: 'novo' } });
+        assert.strictEqual(updated.stock, 3);
+        assert.deepStrictEqual(updated.tags, ['novo']);
+        assert.strictEqual((await db.updateMany({ stock: { $gt: 0 } }, { $set: { checked: true } })).modifiedCount, 1);
+
+        await rejectsWith(() => db.update(created.id, { stock: 0 }, { expectedVersion: created._version }), 'VERSION_CONFLICT');
+    },
+
+    async 'validação de esquema'(open) {
+        const db = open('items', {
+            schema: { type: 'object', required: ['name'], properties: { name: { type: 'string', minLength: 2 } } }
+        });
+        await rejectsWith(() => db.create({ name: 'x' }), 'SCHEMA_VALIDATION');
+        assert.strictEqual(await db.count(), 0);
+    },
+
+    async 'lixeira: delete, restore e purge'(open) {
+        const db = open('lists', { softDelete: true });
+        const list = await db.create({ name: 'Mercado' });
+        await db.delete(list.id);
+        assert.strictEqual(await db.findById(list.id), null);
+        assert.strictEqual(await db.count({}, { withDeleted: true }), 1);
+
+        assert.strictEqual((await db.restore(list.id)).name, 'Mercado');
+        await db.delete(list.id);
+        assert.strictEqual(await db.purge(), 1);
+        assert.strictEqual(await db.count({}, { withDeleted: true }), 0);
+    },
+
+    async 'transações: commit entre coleções e rollback'(open) {
+        const accounts = open('accounts');
+        const ledger = open('ledger');
+        const account = await accounts.create({ balance: 10 });
+
+        await accounts.transaction(async tx => {
+            await tx.collection().update(account.id, { $inc: { balance: -4 } });
+            await tx.collection(ledger).create({ account: account.id, amount: -4 });
+        });
+        assert.strictEqual((await accounts.findById(account.id)).balance, 6);
+        assert.strictEqual(await ledger.count(), 1);
+
+        await assert.rejects(accounts.transaction(async tx => {
+            await tx.collection().update(account.id, { $inc: { balance: -6 } });
+            await tx.collection(ledger).create({ account: account.id, amount: -6 });
+            throw new Error('cancelada');
+        }));
+        assert.strictEqual((await accounts.findById(account.id)).balance, 6);
+        assert.strictEqual(await ledger.count(), 1);
+    },
+
+    async 'watch entrega as mudanças em ordem'(open) {
+        const db = open('items');
+        const stream = db.watch();
+        // Consumido como iterador desde antes das mutações
+        const events = stream[Symbol.asyncIterator]();
+        await stream.ready;
+
+        const created = await db.create({ name: 'Leite' });
+        await db.update(created.id, { name: 'Leite integral' });
+        await db.delete(created.id);
+
+        const types = [];
+        while (types.length < 3) {
+            types.push((await events.next()).value.type);
+        }
+        stream.close();
+        assert.deepStrictEqual(types, ['insert', 'update', 'delete']);
+    },
+
+    async 'busca de texto ranqueada'(open) {
+        const db = open('items', { textIndex: { name: 3, description: 1 } });
+        await db.create({ name: 'Feijão Preto', description: 'Grão' });
+        await db.create({ name: 'Arroz', description: 'Vai bem com feijão' });
+        await db.create({ name: 'Açúcar', description: 'Refinado' });
+
+        const results = await db.textSearch('feijoes');
+        assert.deepStrictEqual(results.map(result => result.document.name), ['Feijão Preto', 'Arroz']);
+        assert.strictEqual((await db.search('acucar')).length, 1);
+    },
+
+    async 'outra instância vê os dados e as escritas'(open) {
+        const first = open('items', { indexes: ['category'] });
+        const created = await first.create({ name: 'Café', category: 'bebidas' });
+
+        const second = open('items', { indexes: ['category'] });
+        assert.strictEqual((await second.findById(created.id)).name, 'Café');
+
+        await second.update(created.id, { name: 'Café moído' });
+        assert.strictEqual((await first.findById(created.id)).name, 'Café moído');
+        assert.strictEqual((await first.find({ category: 'bebidas' })).length, 1);
+    }
+};
+
+async function runMode(baseDir, mode) {
+    const databases = [];
+    const results = [];
+
+    for (const [name, check] of Object.entries(CHECKS)) {
+        // Cada verificação em um diretório próprio
+        const dbPath = path.join(baseDir, mode, String(results.length));
+        const open = (collection, options = {}) => {
+            const database = new JsonDatabase(dbPath, collection, { ...options, storage: mode });
+            databases.push(database);
+            return database;
+        };
+
+        try {
+            await check(open);
+            results.push({ name, ok: true });
+        } catch (error) {
+            results.push({ name, ok: false, error });
+        } finally {
+            databases.splice(0).forEach(database => {
+                database.siblings.forEach(sibling => sibling.close());
+                database.close();
+            });
+        }
+    }
+
+    MemoryStorage.reset();
+    return results;
+}
+
+async function main() {
+    const baseDir = await fs.mkdtemp(path.join(os.tmpdir(), 'jsondb-conformance-'));
+    let failures = 0;
+
+    try {
+        for (const mode of MODES) {
+            try {
+                JsonDatabase.createStorage(baseDir, 'probe', { storage: mode });
+            } catch (error) {
+                if (error.code !== 'STORAGE_UNAVAILABLE') throw error;
+                console.log(`\n⚠️  ${mode}: ignorado (${error.message})`);
+                continue;
+            }
+
+            console.log(`\n📦 ${mode}`);
+            for (const result of await runMode(baseDir, mode)) {
+                if (result.ok) {
+                    console.log(`  ✅ ${result.name}`);
+                } else {
+                    failures++;
+                    console.log(`  ❌ ${result.name}: ${result.error.message}`);
+                }
+            }
+        }
+    } finally {
+        await fs.remove(baseDir);
+    }
+
+    console.log(failures > 0 ? `\n❌ ${failures} verificação(ões) falharam` : '\n✅ Todos os modos passaram');
+    process.exitCode = failures > 0 ? 1 : 0;
+}
+
+main().catch(error => {
+    console.error('Erro na verificação de conformidade:', error);
+    process.exit(1);
+});
@@ -0,0 +1,208 @@
+#!/usr/bin/env node
+/**
+ * Teste de queda no commit de transações do JsonDatabase
+ *
+ * Uso: node scripts/transaction-crash.js [--storage=json,journal]
+ *
+ * Um processo filho faz uma transferência entre duas coleções (accounts e
+ * ledger) e recebe SIGKILL em cada etapa do commit: antes de gravar o
+ * registro, antes de aplicar cada coleção e antes de remover o registro.
+ * Depois de cada queda verifica que:
+ *   - ao reabrir, a transação foi aplicada inteira ou não foi aplicada;
+ *   - um processo que já estava com as coleções abertas conclui a transação
+ *     antes de escrever, e a recuperação posterior não desfaz essa escrita.
+ * Termina com código 1 se algo falhar.
+ */
+const assert = require('assert');
+const { fork } = require('child_process');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const JsonDatabase = require('../shared/JsonDatabase');
+const Transaction = require('../shared/Transaction');
+const FileLock = require('../shared/FileLock');
+
+const args = Object.fromEntries(process.argv.slice(2).map(arg => {
+    const [key, value] = arg.replace(/^--/, '').split('=');
+    return [key, value === undefined ? true : value];
+}));
+
+const MODES = (args.storage || 'json,journal').split(',');
+const AMOUNT = 4;
+
+// Etapas do commit em que o filho é interrompido
+const STEPS = [
+    { name: 'antes de gravar o registro', applied: false },
+    { name: 'antes de aplicar a primeira coleção', applied: true },
+    { name: 'antes de aplicar a segunda coleção', applied: true },
+    { name: 'antes de remover o registro', applied: true }
+];
+
+const isLog = filePath => path.basename(path.dirname(filePath)) === '_transactions';
+
+// Processo filho: executa a transação e para (sem concluir) na etapa pedida
+function runChild() {
+    console.log = () => {};
+
+    // Avisar o processo pai e aguardar o SIGKILL
+    const halt = () => {
+        process.send({ event: 'halted' });
+        return new Promise(() => {});
+    };
+
+    process.on('message', async ({ dir, storage, accountId, step }) => {
+        const writeJsonAtomic = FileLock.writeJsonAtomic;
+        FileLock.writeJsonAtomic = (filePath, value) => (step === 0 && isLog(filePath) ? halt() : writeJsonAtomic(filePath, value));
+
+        let applied = 0;
+        const applyRecords = Transaction.applyRecords;
+        Transaction.applyRecords = (...params) => (step === 1 + applied++ ? halt() : applyRecords(...params));
+
+        const remove = fs.remove;
+        fs.remove = filePath => (step === 3 && isLog(filePath) ? halt() : remove(filePath));
+
+        try {
+            const accounts = new JsonDatabase(dir, 'accounts', { storage });
+            const ledger = new JsonDatabase(dir, 'ledger', { storage });
+            await accounts.transaction(async tx => {
+                await tx.collection().update(accountId, { $inc: { balance: -AMOUNT } });
+                await tx.collection(ledger).create({ account: accountId, amount: -AMOUNT });
+            });
+            process.send({ event: 'error', message: 'a transação terminou sem ser interrompida' });
+        } catch (error) {
+            process.send({ event: 'error', message: error.message });
+        }
+    });
+    process.send({ event: 'ready' });
+}
+
+function waitFor(child, event) {
+    return new Promise((resolve, reject) => {
+        child.on('message', message => {
+            if (message.event === 'error') reject(new Error(`Processo ${child.pid}: ${message.message}`));
+            else if (message.event === event) resolve(message);
+        });
+        child.once('exit', code => reject(new Error(`Processo ${child.pid} terminou (código ${code}) antes de '${event}'`)));
+    });
+}
+
+// Interromper o filho na etapa indicada e aguardar sua saída
+async function crashAt(dir, storage, accountId, step) {
+    const child = fork(__filename, ['--child'], { stdio: ['ignore', 'ignore', 'inherit', 'ipc'] });
+    await waitFor(child, 'ready');
+    const halted = waitFor(child, 'halted');
+    child.send({ dir, storage, accountId, step });
+    await halted;
+
+    const exited = new Promise(resolve => child.once('exit', resolve));
+    child.kill('SIGKILL');
+    await exited;
+}
+
+// Arquivos que não deveriam sobrar depois da recuperação
+async function leftovers(dir) {
+    const logs = (await Transaction.pendingLogs(dir)).map(logPath => path.relative(dir, logPath));
+    const files = (await fs.readdir(dir)).filter(file => /\.(lock|stale|reclaim)$/.test(file));
+    return [...logs, ...files];
+}
+
+async function setup(baseDir, storage, label) {
+    const dir = path.join(baseDir, storage, label);
+    const accounts = new JsonDatabase(dir, 'accounts', { storage });
+    const ledger = new JsonDatabase(dir, 'ledger', { storage });
+    const account = await accounts.create({ balance: 10 });
+    await ledger.count();
+    return { dir, accounts, ledger, account };
+}
+
+// Reabrir as coleções (a abertura conclui o que restou) e ler o estado final
+async function reopen(dir, storage, accountId) {
+    const accounts = new JsonDatabase(dir, 'accounts', { storage });
+    const ledger = new JsonDatabase(dir, 'ledger', { storage });
+    try {
+        return {
+            balance: (await accounts.findById(accountId)).balance,
+            entries: await ledger.count()
+        };
+    } finally {
+        accounts.close();
+        ledger.close();
+    }
+}
+
+async function checkReopen(baseDir, storage, index) {
+    const step = STEPS[index];
+    const { dir, accounts, ledger, account } = await setup(baseDir, storage, `reopen-${index}`);
+    accounts.close();
+    ledger.close();
+
+    await crashAt(dir, storage, account.id, index);
+    const state = await reopen(dir, storage, account.id);
+
+    assert.deepStrictEqual(state, step.applied
+        ? { balance: 10 - AMOUNT, entries: 1 }
+        : { balance: 10, entries: 0 }, 'transação aplicada pela metade');
+    // Só leituras: os .lock do processo morto ficam até a próxima escrita
+    assert.deepStrictEqual(await Transaction.pendingLogs(dir), []);
+    return `${step.name}: ${step.applied ? 'concluída' : 'descartada'} ao reabrir`;
+}
+
+async function checkLiveWriter(baseDir, storage, index) {
+    const step = STEPS[index];
+    // Coleções abertas (e já recuperadas) antes da queda
+    const { dir, accounts, ledger, account } = await setup(baseDir, storage, `live-${index}`);
+
+    try {
+        await crashAt(dir, storage, account.id, index);
+        await accounts.updateOne({ id: account.id }, { $inc: { balance: 100 } });
+        await ledger.create({ account: account.id, amount: 100 });
+    } finally {
+        accounts.close();
+        ledger.close();
+    }
+
+    const state = await reopen(dir, storage, account.id);
+    assert.deepStrictEqual(state, step.applied
+        ? { balance: 10 - AMOUNT + 100, entries: 2 }
+        : { balance: 110, entries: 1 }, 'escrita feita depois da queda foi desfeita ou transação aplicada pela metade');
+    assert.deepStrictEqual(await leftovers(dir), []);
+    return `${step.name}: escrita de processo já aberto preservada`;
+}
+
+async function main() {
+    const baseDir = await fs.mkdtemp(path.join(os.tmpdir(), 'jsondb-crash-'));
+    let failures = 0;
+
+    const check = async (name, fn) => {
+        try {
+            console.log(`  ✅ ${await fn()}`);
+        } catch (error) {
+            failures++;
+            console.log(`  ❌ ${name}: ${error.message}`);
+        }
+    };
+
+    try {
+        for (const mode of MODES) {
+            console.log(`\n📦 ${mode}`);
+            for (let index = 0; index < STEPS.length; index++) {
+                await check(`reabertura (${STEPS[index].name})`, () => checkReopen(baseDir, mode, index));
+                await check(`processo aberto (${STEPS[index].name})`, () => checkLiveWriter(baseDir, mode, index));
+            }
+        }
+    } finally {
+        await fs.remove(baseDir);
+    }
+
+    console.log(failures > 0 ? `\n❌ ${failures} verificação(ões) falharam` : '\n✅ Transações interrompidas aplicadas por inteiro ou descartadas');
+    process.exitCode = failures > 0 ? 1 : 0;
+}
+
+if (args.child) {
+    runChild();
+} else {
+    main().catch(error => {
+        console.error('Erro no teste de queda de transações:', error);
+        process.exit(1);
+    });
+}
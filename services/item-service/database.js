@@ -0,0 +1,28 @@
+/**
+ * Banco do Item Service: diretório e coleções abertas com as opções do
+ * serviço (usado pelo server.js e pelo scripts/db-migrate.js)
+ */
+const path = require('path');
+const JsonDatabase = require('../../shared/JsonDatabase');
+const ItemModel = require('./models/ItemModel');
+
+const DB_PATH = path.join(__dirname, 'database');
+
+// Abrir as coleções do serviço
+function openCollections() {
+    return {
+        items: new JsonDatabase(DB_PATH, 'items', {
+            indexes: ['category', 'active'],
+            schema: ItemModel.SCHEMA,
+            // json (padrão), journal, memory ou sqlite: ITEM_DB_STORAGE ou DB_STORAGE
+            storage: JsonDatabase.storageFromEnv('ITEM'),
+            // Pesos da busca: nome > marca > descrição/categoria
+            textIndex: { name: 3, brand: 2, description: 1, category: 1 }
+        })
+    };
+}
+
+module.exports = {
+    DB_PATH,
+    openCollections
+};
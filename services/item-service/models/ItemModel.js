@@ -1,4 +1,6 @@
 const { v4: uuidv4 } = require('uuid');
+const Aggregation = require('../../../shared/Aggregation');
+const SchemaValidator = require('../../../shared/SchemaValidator');
 
 /**
  * Schema e modelo para o item conforme especificação do documento
@@ -31,6 +33,29 @@ class ItemModel {
         'garrafa'
     ];
 
+    /**
+     * JSON Schema do item, aplicado pelo JsonDatabase em toda inserção e atualização
+     */
+    static SCHEMA = {
+        $schema: 'https://json-schema.org/draft/2020-12/schema',
+        title: 'Item',
+        type: 'object',
+        required: ['id', 'name', 'category', 'unit', 'averagePrice', 'active', 'createdAt'],
+        properties: {
+            id: { type: 'string', minLength: 1 },
+            name: { type: 'string', minLength: 2 },
+            category: { enum: ItemModel.VALID_CATEGORIES },
+            brand: { type: 'string' },
+            unit: { enum: ItemModel.VALID_UNITS },
+            averagePrice: { type: 'number', minimum: 0 },
+            barcode: { type: 'string' },
+            description: { type: 'string' },
+            active: { type: 'boolean' },
+            createdAt: { type: 'string', format: 'date-time' },
+            updatedAt: { type: 'string', format: 'date-time' }
+        }
+    };
+
     /**
      * Cria um novo item com o schema especificado
      * @param {Object} itemData - Dados do item
@@ -189,53 +214,12 @@ class ItemModel {
      * @returns {boolean} True se válido
      */
     static validateSchema(item) {
-        try {
-            // Verificar campos obrigatórios
-            const requiredFields = ['id', 'name', 'category', 'unit', 'averagePrice', 'active', 'createdAt'];
-            
-            for (const field of requiredFields) {
-                if (!(field in item)) {
-                    throw new Error(`Campo obrigatório ausente: ${field}`);
-                }
-            }
-            
-            // Verificar tipos
-            if (typeof item.name !== 'string') {
-                throw new Error('name deve ser string');
-            }
-            
-            if (typeof item.category !== 'string') {
-                throw new Error('category deve ser string');
-            }
-            
-            if (typeof item.unit !== 'string') {
-                throw new Error('unit deve ser string');
-            }
-            
-            if (typeof item.averagePrice !== 'number') {
-                throw new Error('averagePrice deve ser number');
-            }
-            
-            if (typeof item.active !== 'boolean') {
-                throw new Error('active deve ser boolean');
-            }
-            
-            // Verificar timestamp
-            if (!Date.parse(item.createdAt)) {
-                throw new Error('createdAt deve ser um timestamp válido');
-            }
-            
-            // Verificar categoria válida
-            this.validateCategory(item.category);
-            
-            // Verificar unidade válida
-            this.validateUnit(item.unit);
-            
-            return true;
-        } catch (error) {
-            console.error('Erro na validação do schema:', error.message);
+        const errors = SchemaValidator.validate(this.SCHEMA, item);
+        if (errors.length > 0) {
+            console.error('Erro na validação do schema:', errors.map(error => `${error.path}: ${error.message}`).join('; '));
             return false;
         }
+        return true;
     }
     
     /**
@@ -254,21 +238,26 @@ class ItemModel {
             };
         });
         
-        items.forEach(item => {
-            if (stats[item.category]) {
-                stats[item.category].total++;
-                if (item.active) {
-                    stats[item.category].active++;
+        // Um grupo por categoria e situação, com o preço médio de cada grupo
+        const groups = Aggregation.run(items, [
+            {
+                $group: {
+                    _id: { category: '$category', active: '$active' },
+                    count: { $sum: 1 },
+                    averagePrice: { $avg: '$averagePrice' }
                 }
             }
-        });
+        ]);
         
-        // Calcular preço médio por categoria
-        this.VALID_CATEGORIES.forEach(category => {
-            const categoryItems = items.filter(item => item.category === category && item.active);
-            if (categoryItems.length > 0) {
-                const totalPrice = categoryItems.reduce((sum, item) => sum + item.averagePrice, 0);
-                stats[category].averagePrice = totalPrice / categoryItems.length;
+        groups.forEach(group => {
+            const categoryStats = stats[group._id.category];
+            if (!categoryStats) return;
+            
+            categoryStats.total += group.count;
+            if (group._id.active === true) {
+                categoryStats.active += group.count;
+                // Preço médio considera apenas itens ativos
+                categoryStats.averagePrice = group.averagePrice || 0;
             }
         });
         
@@ -276,50 +265,48 @@ class ItemModel {
     }
     
     /**
-     * Filtra itens por critérios
-     * @param {Array} items - Array de itens
-     * @param {Object} filters - Filtros a aplicar
-     * @returns {Array} Itens filtrados
+     * Monta o filtro do JsonDatabase a partir dos critérios de busca
+     * @param {Object} filters - Critérios (category, name, brand, active, minPrice, maxPrice)
+     * @returns {Object} Filtro no estilo MongoDB
      */
-    static filterItems(items, filters = {}) {
-        let filteredItems = [...items];
+    static buildFilter(filters = {}) {
+        const filter = {};
         
         // Filtrar por categoria
         if (filters.category) {
-            filteredItems = filteredItems.filter(item => item.category === filters.category);
+            filter.category = filters.category;
         }
         
-        // Filtrar por nome (busca parcial)
+        // Filtrar por nome e marca (busca parcial, sem diferenciar maiúsculas)
         if (filters.name) {
-            const searchTerm = filters.name.toLowerCase();
-            filteredItems = filteredItems.filter(item => 
-                item.name.toLowerCase().includes(searchTerm)
-            );
+            filter.name = { $regex: this.escapeRegex(filters.name), $options: 'i' };
         }
         
-        // Filtrar por marca
         if (filters.brand) {
-            const searchBrand = filters.brand.toLowerCase();
-            filteredItems = filteredItems.filter(item => 
-                item.brand.toLowerCase().includes(searchBrand)
-            );
+            filter.brand = { $regex: this.escapeRegex(filters.brand), $options: 'i' };
         }
         
         // Filtrar por status ativo
         if (filters.active !== undefined) {
-            filteredItems = filteredItems.filter(item => item.active === Boolean(filters.active));
+            filter.active = Boolean(filters.active);
         }
         
         // Filtrar por faixa de preço
-        if (filters.minPrice !== undefined) {
-            filteredItems = filteredItems.filter(item => item.averagePrice >= parseFloat(filters.minPrice));
-        }
-        
-        if (filters.maxPrice !== undefined) {
-            filteredItems = filteredItems.filter(item => item.averagePrice <= parseFloat(filters.maxPrice));
+        if (filters.minPrice !== undefined || filters.maxPrice !== undefined) {
+            filter.averagePrice = {};
+            if (filters.minPrice !== undefined) {
+                filter.averagePrice.$gte = parseFloat(filters.minPrice);
+            }
+            if (filters.maxPrice !== undefined) {
+                filter.averagePrice.$lte = parseFloat(filters.maxPrice);
+            }
         }
         
-        return filteredItems;
+        return filter;
+    }
+    
+    static escapeRegex(text) {
+        return String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
     }
 }
 
@@ -6,9 +6,11 @@ const jwt = require('jsonwebtoken');
 const path = require('path');
 
 // Importar banco NoSQL, service registry e modelo de item
-const JsonDatabase = require('../../shared/JsonDatabase');
+const MigrationRunner = require('../../shared/MigrationRunner');
 const serviceRegistry = require('../../shared/serviceRegistry');
+const { formatETag, checkIfMatch } = require('../../shared/etag');
 const ItemModel = require('./models/ItemModel');
+const database = require('./database');
 
 class ItemService {
     constructor() {
@@ -25,8 +27,9 @@ class ItemService {
     }
 
     setupDatabase() {
-        const dbPath = path.join(__dirname, 'database');
-        this.itemsDb = new JsonDatabase(dbPath, 'items');
+        // Coleção items com índices, schema e busca textual (ver database.js)
+        this.dbPath = database.DB_PATH;
+        this.itemsDb = database.openCollections().items;
         console.log('Item Service: Banco NoSQL inicializado');
     }
 
@@ -128,7 +131,10 @@ class ItemService {
                     database: {
                         type: 'JSON-NoSQL',
                         itemCount: itemCount,
-                        activeItems: activeItems
+                        activeItems: activeItems,
+                        storage: this.itemsDb.getStorageStats(),
+                        cache: this.itemsDb.getCacheStats(),
+                        ttl: this.itemsDb.getTtlStats()
                     },
                     categories: ItemModel.VALID_CATEGORIES.length
                 });
@@ -229,8 +235,8 @@ class ItemService {
     async getItems(req, res) {
         try {
             const { 
-                page = 1, 
                 limit = 20, 
+                after,
                 category, 
                 name, 
                 brand, 
@@ -238,13 +244,8 @@ class ItemService {
                 minPrice,
                 maxPrice
             } = req.query;
-            
-            const skip = (page - 1) * parseInt(limit);
-
-            // Buscar todos os itens
-            let items = await this.itemsDb.find();
 
-            // Aplicar filtros usando ItemModel
+            // Filtros aplicados pelo banco (índices quando possível)
             const filters = {
                 category,
                 name,
@@ -253,30 +254,42 @@ class ItemService {
                 minPrice,
                 maxPrice
             };
+            const filter = ItemModel.buildFilter(filters);
 
-            items = ItemModel.filterItems(items, filters);
+            // Paginação por cursor, em ordem alfabética
+            const { documents: items, nextCursor } = await this.itemsDb.findPage(filter, {
+                limit: parseInt(limit),
+                after: after,
+                sort: { name: 1 }
+            });
 
-            // Paginação
-            const total = items.length;
-            const paginatedItems = items.slice(skip, skip + parseInt(limit));
+            const total = await this.itemsDb.count(filter);
 
-            // Estatísticas das categorias
-            const categoryStats = ItemModel.getCategoryStats(items);
+            // Estatísticas das categorias (apenas os campos necessários)
+            const categoryStats = ItemModel.getCategoryStats(await this.itemsDb.find(filter, {
+                projection: { category: 1, active: 1, averagePrice: 1 }
+            }));
 
             res.json({
                 success: true,
-                data: paginatedItems,
+                data: items,
                 pagination: {
-                    page: parseInt(page),
                     limit: parseInt(limit),
                     total: total,
-                    pages: Math.ceil(total / parseInt(limit))
+                    nextCursor: nextCursor
                 },
                 filters: filters,
                 categoryStats: categoryStats,
                 schema: 'Lista de Compras - PUC Minas'
             });
         } catch (error) {
+            if (error.code === 'INVALID_CURSOR') {
+                return res.status(400).json({
+                    success: false,
+                    message: error.message
+                });
+            }
+
             console.error('Erro ao buscar itens:', error);
             res.status(500).json({
                 success: false,
@@ -301,6 +314,7 @@ class ItemService {
             // Validar schema
             const isValidSchema = ItemModel.validateSchema(item);
 
+            res.set('ETag', formatETag(item));
             res.json({
                 success: true,
                 data: item,
@@ -346,7 +360,8 @@ class ItemService {
             } catch (validationError) {
                 return res.status(400).json({
                     success: false,
-                    message: validationError.message
+                    message: validationError.message,
+                    ...(validationError.errors ? { errors: validationError.errors } : {})
                 });
             }
         } catch (error) {
@@ -372,20 +387,52 @@ class ItemService {
                 });
             }
 
+            // Controle de concorrência otimista (If-Match)
+            const precondition = checkIfMatch(req, item);
+            if (!precondition.satisfied) {
+                res.set('ETag', formatETag(item));
+                return res.status(412).json({
+                    success: false,
+                    message: 'Item foi alterado por outra requisição (ETag não confere)'
+                });
+            }
+
             // Usar ItemModel para validar e atualizar
             try {
                 const updatedItem = ItemModel.updateItem(item, updateData);
                 
                 // Salvar no banco
-                await this.itemsDb.update(id, updatedItem);
-                
+                let savedItem;
+                try {
+                    savedItem = await this.itemsDb.update(id, updatedItem, {
+                        expectedVersion: precondition.expectedVersion
+                    });
+                } catch (dbError) {
+                    if (dbError.code === 'VERSION_CONFLICT') {
+                        return res.status(412).json({
+                            success: false,
+                            message: 'Item foi alterado por outra requisição (ETag não confere)'
+                        });
+                    }
+                    throw dbError;
+                }
+
+                // Item removido entre a leitura e a gravação
+                if (!savedItem) {
+                    return res.status(404).json({
+                        success: false,
+                        message: 'Item não encontrado'
+                    });
+                }
+
                 // Validar schema
-                const isValidSchema = ItemModel.validateSchema(updatedItem);
+                const isValidSchema = ItemModel.validateSchema(savedItem);
 
+                res.set('ETag', formatETag(savedItem));
                 res.json({
                     success: true,
                     message: 'Item atualizado com sucesso',
-                    data: updatedItem,
+                    data: savedItem,
                     updatedBy: req.user.username || req.user.email,
                     schema: {
                         valid: isValidSchema,
@@ -395,7 +442,8 @@ class ItemService {
             } catch (validationError) {
                 return res.status(400).json({
                     success: false,
-                    message: validationError.message
+                    message: validationError.message,
+                    ...(validationError.errors ? { errors: validationError.errors } : {})
                 });
             }
         } catch (error) {
@@ -443,13 +491,15 @@ class ItemService {
                 });
             }
 
-            // Buscar itens usando o método search do banco
-            const items = await this.itemsDb.search(q, ['name', 'brand', 'description', 'category']);
-            
-            // Filtrar apenas itens ativos
-            const activeItems = items
-                .filter(item => item.active)
-                .slice(0, parseInt(limit));
+            // Busca ranqueada no índice de texto, apenas itens ativos
+            const results = await this.itemsDb.textSearch(q, {
+                filter: { active: true },
+                limit: parseInt(limit)
+            });
+            const activeItems = results.map(({ document, score }) => ({
+                ...document,
+                score: Math.round(score * 1000) / 1000
+            }));
 
             res.json({
                 success: true,
@@ -470,24 +520,28 @@ class ItemService {
     }
 
     // Register with service registry
-    registerWithRegistry() {
-        serviceRegistry.register(this.serviceName, {
+    async registerWithRegistry() {
+        const instance = await serviceRegistry.register(this.serviceName, {
             url: this.serviceUrl,
             version: '1.0.0',
             database: 'JSON-NoSQL',
             domain: 'Shopping List Items',
             endpoints: ['/health', '/items', '/categories', '/search']
         });
+        this.instanceId = instance.id;
     }
 
-    // Start health check reporting
+    // Heartbeat: renovar o lease no registry com o resultado do próprio /health
     startHealthReporting() {
-        setInterval(() => {
-            serviceRegistry.updateHealth(this.serviceName, true);
-        }, 30000);
+        serviceRegistry.startHeartbeat(this.serviceName, this.instanceId);
     }
 
-    start() {
+    async start() {
+        // Migrações pendentes (RUN_MIGRATIONS=true) antes de aceitar requisições
+        await MigrationRunner.runOnStartup(this.serviceName, this.dbPath, path.join(__dirname, 'migrations'), {
+            collections: [this.itemsDb]
+        });
+
         this.app.listen(this.port, () => {
             console.log('=====================================');
             console.log(`🛍️  Item Service iniciado na porta ${this.port}`);
@@ -507,8 +561,9 @@ class ItemService {
             console.log('=====================================');
             
             // Register with service registry
-            this.registerWithRegistry();
-            this.startHealthReporting();
+            this.registerWithRegistry()
+                .then(() => this.startHealthReporting())
+                .catch(error => console.error('Erro ao registrar no service registry:', error.message));
         });
     }
 }
@@ -516,17 +571,22 @@ class ItemService {
 // Start service
 if (require.main === module) {
     const itemService = new ItemService();
-    itemService.start();
+    itemService.start().catch(error => {
+        console.error('Erro ao iniciar Item Service:', error.message);
+        process.exit(1);
+    });
 
     // Graceful shutdown
-    process.on('SIGTERM', () => {
-        serviceRegistry.unregister('item-service');
-        process.exit(0);
-    });
-    process.on('SIGINT', () => {
-        serviceRegistry.unregister('item-service');
+    const shutdown = async () => {
+        try {
+            await serviceRegistry.unregister('item-service', itemService.instanceId);
+        } catch (error) {
+            console.error('Erro ao remover do service registry:', error.message);
+        }
         process.exit(0);
-    });
+    };
+    process.on('SIGTERM', shutdown);
+    process.on('SIGINT', shutdown);
 }
 
 module.exports = ItemService;
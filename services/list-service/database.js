@@ -0,0 +1,28 @@
+/**
+ * Banco do List Service: diretório e coleções abertas com as opções do
+ * serviço (usado pelo server.js e pelo scripts/db-migrate.js)
+ */
+const path = require('path');
+const JsonDatabase = require('../../shared/JsonDatabase');
+const ListModel = require('./models/ListModel');
+
+// Coleção "lists" em data/lists.json (listas excluídas vão para a lixeira)
+const DB_PATH = process.env.LIST_DB_PATH || path.join(__dirname, 'data');
+
+// Abrir as coleções do serviço
+function openCollections() {
+    return {
+        lists: new JsonDatabase(DB_PATH, 'lists', {
+            indexes: ['userId'],
+            schema: ListModel.SCHEMA,
+            softDelete: true,
+            // json (padrão), journal, memory ou sqlite: LIST_DB_STORAGE ou DB_STORAGE
+            storage: JsonDatabase.storageFromEnv('LIST')
+        })
+    };
+}
+
+module.exports = {
+    DB_PATH,
+    openCollections
+};
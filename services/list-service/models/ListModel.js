@@ -1,4 +1,6 @@
 const { v4: uuidv4 } = require('uuid');
+const Aggregation = require('../../../shared/Aggregation');
+const SchemaValidator = require('../../../shared/SchemaValidator');
 
 /**
  * Schema e modelo para a lista de compras conforme especificação do documento
@@ -14,6 +16,58 @@ class ListModel {
         'archived'
     ];
 
+    /**
+     * JSON Schema da lista, aplicado pelo JsonDatabase em toda inserção e atualização
+     */
+    static SCHEMA = {
+        $schema: 'https://json-schema.org/draft/2020-12/schema',
+        title: 'Lista de compras',
+        type: 'object',
+        required: ['id', 'userId', 'name', 'status', 'items', 'summary', 'createdAt', 'updatedAt'],
+        properties: {
+            id: { type: 'string', minLength: 1 },
+            userId: { type: 'string', minLength: 1 },
+            name: { type: 'string', minLength: 2 },
+            description: { type: 'string' },
+            status: { enum: ListModel.VALID_STATUSES },
+            items: {
+                type: 'array',
+                items: { $ref: '#/$defs/listItem' }
+            },
+            summary: {
+                type: 'object',
+                required: ['totalItems', 'purchasedItems', 'estimatedTotal'],
+                properties: {
+                    totalItems: { type: 'integer', minimum: 0 },
+                    purchasedItems: { type: 'integer', minimum: 0 },
+                    estimatedTotal: { type: 'number', minimum: 0 }
+                }
+            },
+            createdAt: { type: 'string', format: 'date-time' },
+            updatedAt: { type: 'string', format: 'date-time' },
+            // Presente enquanto a lista está na lixeira
+            deletedAt: { type: 'string', format: 'date-time' }
+        },
+        $defs: {
+            listItem: {
+                type: 'object',
+                required: ['itemId', 'itemName', 'quantity', 'estimatedPrice', 'purchased'],
+                properties: {
+                    itemId: { type: 'string', minLength: 1 },
+                    itemName: { type: 'string' },
+                    category: { type: 'string' },
+                    available: { type: 'boolean' },
+                    quantity: { type: 'number', exclusiveMinimum: 0 },
+                    unit: { type: 'string' },
+                    estimatedPrice: { type: 'number', minimum: 0 },
+                    purchased: { type: 'boolean' },
+                    notes: { type: 'string' },
+                    addedAt: { type: 'string', format: 'date-time' }
+                }
+            }
+        }
+    };
+
     /**
      * Cria uma nova lista com o schema especificado
      * @param {Object} listData - Dados da lista
@@ -50,59 +104,47 @@ class ListModel {
     }
     
     /**
-     * Atualiza uma lista existente
-     * @param {Object} existingList - Lista existente
+     * Monta a atualização atômica dos dados da lista (nome, descrição e status),
+     * sem tocar nos itens
      * @param {Object} updateData - Dados para atualização
-     * @returns {Object} Lista atualizada
+     * @returns {Object} Operadores de atualização do JsonDatabase
      */
-    static updateList(existingList, updateData) {
-        const updatedList = { ...existingList };
+    static buildListUpdate(updateData) {
+        const fields = {};
         
         // Campos que podem ser atualizados
         if (updateData.name) {
-            updatedList.name = updateData.name.trim();
+            fields.name = updateData.name.trim();
         }
         
         if (updateData.description !== undefined) {
-            updatedList.description = updateData.description ? updateData.description.trim() : "";
+            fields.description = updateData.description ? updateData.description.trim() : "";
         }
         
         if (updateData.status) {
             this.validateStatus(updateData.status);
-            updatedList.status = updateData.status;
+            fields.status = updateData.status;
         }
         
-        // Atualizar timestamp
-        updatedList.updatedAt = new Date().toISOString();
-        
-        // Recalcular summary
-        updatedList.summary = this.calculateSummary(updatedList.items);
-        
-        return updatedList;
+        return { $set: fields };
     }
     
     /**
-     * Adiciona um item à lista
-     * @param {Object} list - Lista existente
+     * Monta a atualização atômica para adicionar um item à lista
      * @param {Object} itemData - Dados do item da lista
      * @param {Object} catalogItem - Item do catálogo (do Item Service)
-     * @returns {Object} Lista atualizada
+     * @returns {Object} Operadores de atualização do JsonDatabase
      */
-    static addItemToList(list, itemData, catalogItem) {
+    static buildAddItemUpdate(itemData, catalogItem) {
         // Validar dados do item
         this.validateItemData(itemData);
         
-        // Verificar se item já existe na lista
-        const existingItemIndex = list.items.findIndex(item => item.itemId === catalogItem.id);
-        
-        if (existingItemIndex !== -1) {
-            throw new Error('Item já existe na lista. Use PUT para atualizar.');
-        }
-        
         // Criar item da lista
         const listItem = {
             itemId: catalogItem.id,
             itemName: catalogItem.name, // cache do nome
+            category: catalogItem.category, // cache da categoria (relatórios)
+            available: catalogItem.active !== false, // item ainda ativo no catálogo
             quantity: parseFloat(itemData.quantity),
             unit: catalogItem.unit,
             estimatedPrice: parseFloat(itemData.estimatedPrice || catalogItem.averagePrice),
@@ -111,41 +153,23 @@ class ListModel {
             addedAt: new Date().toISOString()
         };
         
-        // Adicionar à lista
-        const updatedList = { ...list };
-        updatedList.items = [...list.items, listItem];
-        updatedList.updatedAt = new Date().toISOString();
-        
-        // Recalcular summary
-        updatedList.summary = this.calculateSummary(updatedList.items);
-        
-        return updatedList;
+        return { $push: { items: listItem } };
     }
     
     /**
-     * Atualiza um item na lista
-     * @param {Object} list - Lista existente
-     * @param {string} itemId - ID do item
+     * Monta a atualização atômica de um item da lista (operador posicional)
      * @param {Object} updateData - Dados para atualização
-     * @returns {Object} Lista atualizada
+     * @returns {Object} Operadores de atualização do JsonDatabase
      */
-    static updateItemInList(list, itemId, updateData) {
-        const itemIndex = list.items.findIndex(item => item.itemId === itemId);
-        
-        if (itemIndex === -1) {
-            throw new Error('Item não encontrado na lista');
-        }
-        
-        // Atualizar item
-        const updatedItems = [...list.items];
-        const existingItem = updatedItems[itemIndex];
+    static buildItemUpdate(updateData) {
+        const fields = {};
         
         if (updateData.quantity !== undefined) {
             const quantity = parseFloat(updateData.quantity);
             if (isNaN(quantity) || quantity <= 0) {
                 throw new Error('Quantidade deve ser um número maior que zero');
             }
-            updatedItems[itemIndex].quantity = quantity;
+            fields['items.$.quantity'] = quantity;
         }
         
         if (updateData.estimatedPrice !== undefined) {
@@ -153,53 +177,56 @@ class ListModel {
             if (isNaN(price) || price < 0) {
                 throw new Error('Preço estimado deve ser um número maior ou igual a zero');
             }
-            updatedItems[itemIndex].estimatedPrice = price;
+            fields['items.$.estimatedPrice'] = price;
         }
         
         if (updateData.purchased !== undefined) {
-            updatedItems[itemIndex].purchased = Boolean(updateData.purchased);
+            fields['items.$.purchased'] = Boolean(updateData.purchased);
         }
         
         if (updateData.notes !== undefined) {
-            updatedItems[itemIndex].notes = updateData.notes ? updateData.notes.trim() : "";
+            fields['items.$.notes'] = updateData.notes ? updateData.notes.trim() : "";
         }
         
-        // Criar lista atualizada
-        const updatedList = { ...list };
-        updatedList.items = updatedItems;
-        updatedList.updatedAt = new Date().toISOString();
-        
-        // Recalcular summary
-        updatedList.summary = this.calculateSummary(updatedList.items);
-        
-        return updatedList;
+        return { $set: fields };
     }
     
     /**
-     * Remove um item da lista
-     * @param {Object} list - Lista existente
+     * Monta a atualização atômica para remover um item da lista
      * @param {string} itemId - ID do item
-     * @returns {Object} Lista atualizada
+     * @returns {Object} Operadores de atualização do JsonDatabase
      */
-    static removeItemFromList(list, itemId) {
-        const itemIndex = list.items.findIndex(item => item.itemId === itemId);
-        
-        if (itemIndex === -1) {
-            throw new Error('Item não encontrado na lista');
-        }
-        
-        // Remover item
-        const updatedItems = list.items.filter(item => item.itemId !== itemId);
-        
-        // Criar lista atualizada
-        const updatedList = { ...list };
-        updatedList.items = updatedItems;
-        updatedList.updatedAt = new Date().toISOString();
-        
-        // Recalcular summary
-        updatedList.summary = this.calculateSummary(updatedList.items);
-        
-        return updatedList;
+    static buildRemoveItemUpdate(itemId) {
+        return { $pull: { items: { itemId: itemId } } };
+    }
+    
+    /**
+     * Monta a atualização que sincroniza o cache de um item do catálogo nas listas
+     * (usar com filtro { 'items.itemId': id } para o operador posicional)
+     * @param {Object} catalogItem - Item do catálogo (imagem mais recente)
+     * @param {boolean} available - Se o item continua ativo no catálogo
+     * @returns {Object} Operadores de atualização do JsonDatabase
+     */
+    static buildCatalogSyncUpdate(catalogItem, available) {
+        return {
+            $set: {
+                'items.$.itemName': catalogItem.name,
+                'items.$.category': catalogItem.category,
+                'items.$.available': available
+            }
+        };
+    }
+    
+    /**
+     * Recalcula o summary a partir dos itens (usado dentro da atualização atômica)
+     * @param {Object} list - Lista já com os itens atualizados
+     * @returns {Object} Lista com summary atualizado
+     */
+    static withSummary(list) {
+        return {
+            ...list,
+            summary: this.calculateSummary(list.items)
+        };
     }
     
     /**
@@ -278,6 +305,8 @@ class ListModel {
                 {
                     itemId: "string",
                     itemName: "string", // cache do nome
+                    category: "string", // cache da categoria
+                    available: "boolean", // item ainda ativo no catálogo
                     quantity: "number",
                     unit: "string",
                     estimatedPrice: "number",
@@ -302,54 +331,12 @@ class ListModel {
      * @returns {boolean} True se válido
      */
     static validateSchema(list) {
-        try {
-            // Verificar campos obrigatórios
-            const requiredFields = ['id', 'userId', 'name', 'status', 'items', 'summary', 'createdAt', 'updatedAt'];
-            
-            for (const field of requiredFields) {
-                if (!(field in list)) {
-                    throw new Error(`Campo obrigatório ausente: ${field}`);
-                }
-            }
-            
-            // Verificar tipos
-            if (typeof list.name !== 'string') {
-                throw new Error('name deve ser string');
-            }
-            
-            if (typeof list.userId !== 'string') {
-                throw new Error('userId deve ser string');
-            }
-            
-            if (!Array.isArray(list.items)) {
-                throw new Error('items deve ser array');
-            }
-            
-            if (typeof list.summary !== 'object') {
-                throw new Error('summary deve ser objeto');
-            }
-            
-            // Verificar status válido
-            this.validateStatus(list.status);
-            
-            // Verificar estrutura do summary
-            const summaryFields = ['totalItems', 'purchasedItems', 'estimatedTotal'];
-            for (const field of summaryFields) {
-                if (!(field in list.summary) || typeof list.summary[field] !== 'number') {
-                    throw new Error(`summary.${field} deve ser number`);
-                }
-            }
-            
-            // Verificar timestamps
-            if (!Date.parse(list.createdAt) || !Date.parse(list.updatedAt)) {
-                throw new Error('Timestamps inválidos');
-            }
-            
-            return true;
-        } catch (error) {
-            console.error('Erro na validação do schema:', error.message);
+        const errors = SchemaValidator.validate(this.SCHEMA, list);
+        if (errors.length > 0) {
+            console.error('Erro na validação do schema:', errors.map(error => `${error.path}: ${error.message}`).join('; '));
             return false;
         }
+        return true;
     }
     
     /**
@@ -392,19 +379,70 @@ class ListModel {
      */
     static getListStats(lists) {
         const stats = {
-            total: lists.length,
-            active: lists.filter(list => list.status === 'active').length,
-            completed: lists.filter(list => list.status === 'completed').length,
-            archived: lists.filter(list => list.status === 'archived').length,
-            totalItems: lists.reduce((sum, list) => sum + list.summary.totalItems, 0),
-            totalValue: lists.reduce((sum, list) => sum + list.summary.estimatedTotal, 0)
+            total: 0,
+            active: 0,
+            completed: 0,
+            archived: 0,
+            totalItems: 0,
+            totalValue: 0
         };
         
+        // Um grupo por status com contagem e somatórios do summary
+        const groups = Aggregation.run(lists, [
+            {
+                $group: {
+                    _id: '$status',
+                    count: { $sum: 1 },
+                    totalItems: { $sum: '$summary.totalItems' },
+                    totalValue: { $sum: '$summary.estimatedTotal' }
+                }
+            }
+        ]);
+        
+        groups.forEach(group => {
+            if (this.VALID_STATUSES.includes(group._id)) {
+                stats[group._id] = group.count;
+            }
+            stats.total += group.count;
+            stats.totalItems += group.totalItems;
+            stats.totalValue += group.totalValue;
+        });
+        
         // Arredondar total
         stats.totalValue = Math.round(stats.totalValue * 100) / 100;
         
         return stats;
     }
+    
+    /**
+     * Pipeline de agregação do total gasto por categoria nas listas do usuário
+     * (considera apenas itens já comprados)
+     * @param {string} userId - ID do usuário
+     * @returns {Array} Pipeline para JsonDatabase.aggregate
+     */
+    static spendingByCategoryPipeline(userId) {
+        return [
+            { $match: { userId } },
+            { $unwind: '$items' },
+            { $match: { 'items.purchased': true } },
+            {
+                $group: {
+                    _id: '$items.category',
+                    totalSpent: { $sum: { $multiply: ['$items.quantity', '$items.estimatedPrice'] } },
+                    purchasedItems: { $sum: 1 }
+                }
+            },
+            { $sort: { totalSpent: -1, _id: 1 } },
+            {
+                $project: {
+                    _id: 0,
+                    category: { $ifNull: ['$_id', 'Sem categoria'] },
+                    totalSpent: 1,
+                    purchasedItems: 1
+                }
+            }
+        ];
+    }
 }
 
 module.exports = ListModel;
\ No newline at end of file
@@ -2,21 +2,51 @@ const express = require('express');
 const jwt = require('jsonwebtoken');
 const axios = require('axios');
 const path = require('path');
+const fs = require('fs-extra');
 
 // Importar classes do projeto
 const JsonDatabase = require('../../shared/JsonDatabase');
+const MigrationRunner = require('../../shared/MigrationRunner');
 const serviceRegistry = require('../../shared/serviceRegistry');
+const { formatETag, checkIfMatch } = require('../../shared/etag');
 const ListModel = require('./models/ListModel');
+const database = require('./database');
 
 // Configurações
 const app = express();
 const PORT = process.env.PORT || 3002;
 const JWT_SECRET = process.env.JWT_SECRET || 'default-jwt-secret-key';
 const ENVIRONMENT = process.env.NODE_ENV || 'development';
+// Dias que uma lista excluída fica na lixeira antes de ser removida de vez
+const TRASH_RETENTION_DAYS = Number(process.env.TRASH_RETENTION_DAYS || 30);
 
-// Configurar database
-const dbPath = path.join(__dirname, 'data', 'lists.json');
-const db = new JsonDatabase(dbPath);
+// Configurar database: coleção "lists" em data/lists.json (listas excluídas vão para a lixeira)
+const DATA_DIR = database.DB_PATH;
+
+/**
+ * Versões anteriores abriam o banco sem nome de coleção e gravavam em
+ * data/lists.json/undefined.json; move essas listas para data/lists.json
+ */
+function migrateLegacyStorage() {
+    const legacyDir = path.join(DATA_DIR, 'lists.json');
+    if (!fs.existsSync(legacyDir) || !fs.statSync(legacyDir).isDirectory()) {
+        return;
+    }
+    
+    const legacyFile = path.join(legacyDir, 'undefined.json');
+    const lists = fs.existsSync(legacyFile) ? fs.readJsonSync(legacyFile) : [];
+    fs.removeSync(legacyDir);
+    fs.writeJsonSync(legacyDir, lists, { spaces: 2 });
+    console.log(`📦 ${lists.length} lista(s) migrada(s) de data/lists.json/undefined.json para data/lists.json`);
+}
+
+migrateLegacyStorage();
+// Índice por usuário, schema e lixeira (ver database.js)
+const db = database.openCollections().lists;
+
+// Catálogo do Item Service (mesmo diretório de banco) observado para manter o cache dos itens das listas
+const CATALOG_DB_PATH = process.env.CATALOG_DB_PATH || path.join(__dirname, '..', 'item-service', 'database');
+const CATALOG_SYNC_STATE = path.join(DATA_DIR, 'catalog-sync.json');
 
 // Middlewares
 app.use(express.json());
@@ -62,34 +92,136 @@ const authenticateJWT = (req, res, next) => {
     }
 };
 
+/**
+ * Resposta 412 quando o If-Match não confere com a versão atual da lista
+ */
+const sendPreconditionFailed = (res, list) => {
+    if (list) {
+        res.set('ETag', formatETag(list));
+    }
+    return res.status(412).json({
+        error: 'Pré-condição falhou',
+        message: 'Lista foi alterada por outra requisição (ETag não confere)'
+    });
+};
+
+/**
+ * Resposta 400 quando a lista resultante não atende ao schema
+ */
+const sendSchemaValidationError = (res, error) => {
+    return res.status(400).json({
+        error: 'Dados inválidos',
+        message: error.message,
+        errors: error.errors
+    });
+};
+
 /**
  * Função para buscar item no Item Service via Service Registry
+ *
+ * Instâncias que não respondem são marcadas como falhas no registry e a
+ * busca segue para a próxima instância saudável.
  */
 async function getItemFromCatalog(itemId) {
-    try {
-        // Buscar Item Service no registry
-        const itemService = serviceRegistry.discover('item-service');
+    const tried = [];
+    
+    for (;;) {
+        let itemService;
+        try {
+            // Buscar uma instância saudável do Item Service no registry
+            itemService = await serviceRegistry.discover('item-service', { exclude: tried });
+        } catch (error) {
+            console.error('Item Service não encontrado no registry:', error.message);
+            throw new Error(tried.length > 0 ? 'Erro ao comunicar com Item Service' : 'Item Service indisponível');
+        }
         
-        if (!itemService) {
-            console.error('Item Service não encontrado no registry');
-            throw new Error('Item Service indisponível');
+        try {
+            // Fazer requisição para o Item Service
+            const response = await axios.get(`${itemService.url}/items/${itemId}`, {
+                timeout: 5000
+            });
+            
+            return response.data;
+        } catch (error) {
+            console.error(`Erro ao buscar item em ${itemService.url}:`, error.message);
+            
+            if (error.response && error.response.status === 404) {
+                throw new Error('Item não encontrado no catálogo');
+            }
+            
+            if (error.response) {
+                throw new Error('Erro ao comunicar com Item Service');
+            }
+            
+            // Sem resposta: tentar outra instância
+            await serviceRegistry.reportFailure('item-service', itemService.id);
+            tried.push(itemService.id);
         }
+    }
+}
+
+/**
+ * Aplica às listas uma mudança de item do catálogo e salva a sequência processada
+ */
+async function applyCatalogChange(event) {
+    const { before, after } = event;
+    const changed = !after ||
+        before.name !== after.name ||
+        before.category !== after.category ||
+        before.active !== after.active;
+    
+    try {
+        if (changed) {
+            // Listas na lixeira também, para voltarem atualizadas se forem restauradas
+            const { modifiedCount } = await db.updateMany(
+                { 'items.itemId': event.id },
+                ListModel.buildCatalogSyncUpdate(after || before, Boolean(after && after.active !== false)),
+                { withDeleted: true }
+            );
+            if (modifiedCount > 0) {
+                console.log(`Catálogo sincronizado: item ${event.id} atualizado em ${modifiedCount} lista(s)`);
+            }
+        }
+        await fs.writeJson(CATALOG_SYNC_STATE, { resumeAfter: event.seq });
+    } catch (error) {
+        console.error('Erro ao sincronizar item do catálogo:', error);
+    }
+}
+
+/**
+ * Sincroniza nome, categoria e disponibilidade dos itens das listas com o
+ * catálogo, a partir do stream de mudanças da coleção de itens. A última
+ * sequência processada é salva para retomar do mesmo ponto após reiniciar.
+ */
+async function startCatalogSync() {
+    const catalogDb = new JsonDatabase(CATALOG_DB_PATH, 'items', { storage: JsonDatabase.storageFromEnv('ITEM') });
+    const state = await fs.readJson(CATALOG_SYNC_STATE).catch(() => ({}));
+    
+    const watchCatalog = resumeAfter => {
+        const stream = catalogDb.watch({}, { types: ['update', 'delete'], resumeAfter });
         
-        // Fazer requisição para o Item Service
-        const response = await axios.get(`${itemService.url}/items/${itemId}`, {
-            timeout: 5000
+        // Eventos processados em ordem, um de cada vez
+        let processing = Promise.resolve();
+        stream.on('change', event => {
+            processing = processing.then(() => applyCatalogChange(event));
         });
         
-        return response.data;
-    } catch (error) {
-        console.error('Erro ao buscar item:', error.message);
-        
-        if (error.response && error.response.status === 404) {
-            throw new Error('Item não encontrado no catálogo');
-        }
+        stream.on('error', error => {
+            // Eventos já descartados do histórico: seguir a partir das próximas mudanças
+            if (error.code === 'CHANGE_HISTORY_LOST') {
+                console.warn('Histórico do catálogo indisponível, sincronizando apenas novas mudanças');
+                watchCatalog();
+                return;
+            }
+            console.error('Erro no stream de mudanças do catálogo:', error);
+        });
         
-        throw new Error('Erro ao comunicar com Item Service');
-    }
+        return stream;
+    };
+    
+    const stream = watchCatalog(state.resumeAfter);
+    await stream.ready;
+    return stream;
 }
 
 // Endpoint de Health Check
@@ -100,7 +232,12 @@ app.get('/health', (req, res) => {
         timestamp: new Date().toISOString(),
         port: PORT,
         environment: ENVIRONMENT,
-        version: '1.0.0'
+        version: '1.0.0',
+        database: {
+            type: 'JSON-NoSQL',
+            storage: db.getStorageStats(),
+            ttl: db.getTtlStats()
+        }
     });
 });
 
@@ -117,12 +254,16 @@ app.get('/info', (req, res) => {
             'POST /lists': 'Create new list (authenticated)',
             'GET /lists/:id': 'Get specific list (authenticated)',
             'PUT /lists/:id': 'Update list (authenticated)',
-            'DELETE /lists/:id': 'Delete list (authenticated)',
+            'DELETE /lists/:id': 'Move list to trash (authenticated)',
+            'GET /lists/trash': 'Get lists in trash (authenticated)',
+            'POST /lists/:id/restore': 'Restore list from trash (authenticated)',
             'POST /lists/:id/items': 'Add item to list (authenticated)',
             'PUT /lists/:id/items/:itemId': 'Update item in list (authenticated)',
             'DELETE /lists/:id/items/:itemId': 'Remove item from list (authenticated)',
+            'POST /lists/:id/items/:itemId/move': 'Move item to another list atomically (authenticated)',
             'GET /lists/:id/summary': 'Get list summary (authenticated)',
-            'GET /stats': 'Get user lists statistics (authenticated)'
+            'GET /stats': 'Get user lists statistics (authenticated)',
+            'GET /stats/categories': 'Get total spent per category across user lists (authenticated)'
         },
         database: 'JSON NoSQL',
         authentication: 'JWT Bearer Token'
@@ -141,16 +282,13 @@ app.get('/schema', (req, res) => {
 /**
  * GET /lists - Obter todas as listas do usuário
  */
-app.get('/lists', authenticateJWT, (req, res) => {
+app.get('/lists', authenticateJWT, async (req, res) => {
     try {
         const userId = req.user.userId;
         const { status, name, description } = req.query;
         
-        // Buscar todas as listas
-        const allLists = db.findAll();
-        
-        // Filtrar por usuário
-        const userLists = allLists.filter(list => list.userId === userId);
+        // Buscar as listas do usuário (índice em userId)
+        const userLists = await db.findAll({ userId: userId });
         
         // Aplicar filtros opcionais
         const filters = {};
@@ -177,7 +315,7 @@ app.get('/lists', authenticateJWT, (req, res) => {
 /**
  * POST /lists - Criar nova lista
  */
-app.post('/lists', authenticateJWT, (req, res) => {
+app.post('/lists', authenticateJWT, async (req, res) => {
     try {
         const userId = req.user.userId;
         const listData = req.body;
@@ -186,10 +324,11 @@ app.post('/lists', authenticateJWT, (req, res) => {
         const newList = ListModel.createList(listData, userId);
         
         // Salvar no banco
-        const savedList = db.create(newList);
+        const savedList = await db.create(newList);
         
         console.log(`Lista criada: ${savedList.name} (ID: ${savedList.id})`);
         
+        res.set('ETag', formatETag(savedList));
         res.status(201).json({
             message: 'Lista criada com sucesso',
             list: savedList
@@ -197,6 +336,10 @@ app.post('/lists', authenticateJWT, (req, res) => {
     } catch (error) {
         console.error('Erro ao criar lista:', error);
         
+        if (error.code === 'SCHEMA_VALIDATION') {
+            return sendSchemaValidationError(res, error);
+        }
+        
         if (error.message.includes('obrigatório') || error.message.includes('inválido')) {
             return res.status(400).json({
                 error: 'Dados inválidos',
@@ -211,15 +354,41 @@ app.post('/lists', authenticateJWT, (req, res) => {
     }
 });
 
+/**
+ * GET /lists/trash - Listas do usuário na lixeira (mais recentes primeiro)
+ */
+app.get('/lists/trash', authenticateJWT, async (req, res) => {
+    try {
+        const userId = req.user.userId;
+        
+        const lists = await db.find(
+            { userId: userId, deletedAt: { $exists: true } },
+            { sort: { deletedAt: -1 } }
+        );
+        
+        res.json({
+            lists: lists,
+            total: lists.length,
+            retentionDays: TRASH_RETENTION_DAYS
+        });
+    } catch (error) {
+        console.error('Erro ao buscar lixeira:', error);
+        res.status(500).json({
+            error: 'Erro interno do servidor',
+            message: 'Erro ao buscar listas na lixeira'
+        });
+    }
+});
+
 /**
  * GET /lists/:id - Obter lista específica
  */
-app.get('/lists/:id', authenticateJWT, (req, res) => {
+app.get('/lists/:id', authenticateJWT, async (req, res) => {
     try {
         const listId = req.params.id;
         const userId = req.user.userId;
         
-        const list = db.findById(listId);
+        const list = await db.findById(listId);
         
         if (!list) {
             return res.status(404).json({
@@ -236,6 +405,7 @@ app.get('/lists/:id', authenticateJWT, (req, res) => {
             });
         }
         
+        res.set('ETag', formatETag(list));
         res.json({
             list: list
         });
@@ -251,13 +421,13 @@ app.get('/lists/:id', authenticateJWT, (req, res) => {
 /**
  * PUT /lists/:id - Atualizar lista
  */
-app.put('/lists/:id', authenticateJWT, (req, res) => {
+app.put('/lists/:id', authenticateJWT, async (req, res) => {
     try {
         const listId = req.params.id;
         const userId = req.user.userId;
         const updateData = req.body;
         
-        const existingList = db.findById(listId);
+        const existingList = await db.findById(listId);
         
         if (!existingList) {
             return res.status(404).json({
@@ -274,14 +444,34 @@ app.put('/lists/:id', authenticateJWT, (req, res) => {
             });
         }
         
-        // Atualizar lista usando o modelo
-        const updatedList = ListModel.updateList(existingList, updateData);
+        // Controle de concorrência otimista (If-Match)
+        const precondition = checkIfMatch(req, existingList);
+        if (!precondition.satisfied) {
+            return sendPreconditionFailed(res, existingList);
+        }
         
-        // Salvar no banco
-        const savedList = db.update(listId, updatedList);
+        // Atualizar só os dados da lista em uma única operação atômica
+        // (os itens podem ter mudado desde a leitura, pelas rotas de itens)
+        const savedList = await db.updateOne(
+            { id: listId, userId: userId },
+            ListModel.buildListUpdate(updateData),
+            {
+                derive: list => ListModel.withSummary(list),
+                expectedVersion: precondition.expectedVersion
+            }
+        );
+        
+        // Removida entre a leitura e a escrita
+        if (!savedList) {
+            return res.status(404).json({
+                error: 'Lista não encontrada',
+                message: 'Lista com ID especificado não existe'
+            });
+        }
         
         console.log(`Lista atualizada: ${savedList.name} (ID: ${savedList.id})`);
         
+        res.set('ETag', formatETag(savedList));
         res.json({
             message: 'Lista atualizada com sucesso',
             list: savedList
@@ -289,6 +479,14 @@ app.put('/lists/:id', authenticateJWT, (req, res) => {
     } catch (error) {
         console.error('Erro ao atualizar lista:', error);
         
+        if (error.code === 'SCHEMA_VALIDATION') {
+            return sendSchemaValidationError(res, error);
+        }
+        
+        if (error.code === 'VERSION_CONFLICT') {
+            return sendPreconditionFailed(res);
+        }
+        
         if (error.message.includes('obrigatório') || error.message.includes('inválido')) {
             return res.status(400).json({
                 error: 'Dados inválidos',
@@ -304,14 +502,14 @@ app.put('/lists/:id', authenticateJWT, (req, res) => {
 });
 
 /**
- * DELETE /lists/:id - Excluir lista
+ * DELETE /lists/:id - Mover lista para a lixeira
  */
-app.delete('/lists/:id', authenticateJWT, (req, res) => {
+app.delete('/lists/:id', authenticateJWT, async (req, res) => {
     try {
         const listId = req.params.id;
         const userId = req.user.userId;
         
-        const existingList = db.findById(listId);
+        const existingList = await db.findById(listId);
         
         if (!existingList) {
             return res.status(404).json({
@@ -328,13 +526,27 @@ app.delete('/lists/:id', authenticateJWT, (req, res) => {
             });
         }
         
-        // Excluir do banco
-        db.delete(listId);
+        // Controle de concorrência otimista (If-Match)
+        const precondition = checkIfMatch(req, existingList);
+        if (!precondition.satisfied) {
+            return sendPreconditionFailed(res, existingList);
+        }
         
-        console.log(`Lista excluída: ${existingList.name} (ID: ${listId})`);
+        // Mover para a lixeira (pode ser restaurada com POST /lists/:id/restore)
+        const deleted = await db.delete(listId, { expectedVersion: precondition.expectedVersion });
+        
+        // Excluída por outra requisição depois da leitura
+        if (!deleted) {
+            return res.status(404).json({
+                error: 'Lista não encontrada',
+                message: 'Lista com ID especificado não existe'
+            });
+        }
+        
+        console.log(`Lista movida para a lixeira: ${existingList.name} (ID: ${listId})`);
         
         res.json({
-            message: 'Lista excluída com sucesso',
+            message: 'Lista movida para a lixeira',
             deletedList: {
                 id: existingList.id,
                 name: existingList.name
@@ -342,6 +554,11 @@ app.delete('/lists/:id', authenticateJWT, (req, res) => {
         });
     } catch (error) {
         console.error('Erro ao excluir lista:', error);
+        
+        if (error.code === 'VERSION_CONFLICT') {
+            return sendPreconditionFailed(res);
+        }
+        
         res.status(500).json({
             error: 'Erro interno do servidor',
             message: 'Erro ao excluir lista'
@@ -349,6 +566,67 @@ app.delete('/lists/:id', authenticateJWT, (req, res) => {
     }
 });
 
+/**
+ * POST /lists/:id/restore - Restaurar lista da lixeira
+ */
+app.post('/lists/:id/restore', authenticateJWT, async (req, res) => {
+    try {
+        const listId = req.params.id;
+        const userId = req.user.userId;
+        
+        const existingList = await db.findById(listId, { withDeleted: true });
+        
+        if (!existingList || !existingList.deletedAt) {
+            return res.status(404).json({
+                error: 'Lista não encontrada',
+                message: 'Não há lista com ID especificado na lixeira'
+            });
+        }
+        
+        // Verificar propriedade
+        if (existingList.userId !== userId) {
+            return res.status(403).json({
+                error: 'Acesso negado',
+                message: 'Você não tem permissão para restaurar esta lista'
+            });
+        }
+        
+        // Controle de concorrência otimista (If-Match)
+        const precondition = checkIfMatch(req, existingList);
+        if (!precondition.satisfied) {
+            return sendPreconditionFailed(res, existingList);
+        }
+        
+        const restoredList = await db.restore(listId, { expectedVersion: precondition.expectedVersion });
+        if (!restoredList) {
+            return sendPreconditionFailed(res);
+        }
+        
+        console.log(`Lista restaurada: ${restoredList.name} (ID: ${listId})`);
+        
+        res.set('ETag', formatETag(restoredList));
+        res.json({
+            message: 'Lista restaurada com sucesso',
+            list: restoredList
+        });
+    } catch (error) {
+        console.error('Erro ao restaurar lista:', error);
+        
+        if (error.code === 'SCHEMA_VALIDATION') {
+            return sendSchemaValidationError(res, error);
+        }
+        
+        if (error.code === 'VERSION_CONFLICT') {
+            return sendPreconditionFailed(res);
+        }
+        
+        res.status(500).json({
+            error: 'Erro interno do servidor',
+            message: 'Erro ao restaurar lista'
+        });
+    }
+});
+
 /**
  * POST /lists/:id/items - Adicionar item à lista
  */
@@ -366,7 +644,7 @@ app.post('/lists/:id/items', authenticateJWT, async (req, res) => {
             });
         }
         
-        const existingList = db.findById(listId);
+        const existingList = await db.findById(listId);
         
         if (!existingList) {
             return res.status(404).json({
@@ -386,11 +664,23 @@ app.post('/lists/:id/items', authenticateJWT, async (req, res) => {
         // Buscar item no catálogo via Item Service
         const catalogItem = await getItemFromCatalog(itemData.itemId);
         
-        // Adicionar item à lista usando o modelo
-        const updatedList = ListModel.addItemToList(existingList, itemData, catalogItem);
-        
-        // Salvar no banco
-        const savedList = db.update(listId, updatedList);
+        // Adicionar item à lista em uma única operação atômica
+        const savedList = await db.updateOne(
+            { id: listId, userId: userId, 'items.itemId': { $ne: catalogItem.id } },
+            ListModel.buildAddItemUpdate(itemData, catalogItem),
+            { derive: list => ListModel.withSummary(list) }
+        );
+        
+        if (!savedList) {
+            // Sem resultado: lista excluída depois da leitura, ou item já presente
+            if (!await db.findOne({ id: listId, userId: userId })) {
+                return res.status(404).json({
+                    error: 'Lista não encontrada',
+                    message: 'Lista com ID especificado não existe'
+                });
+            }
+            throw new Error('Item já existe na lista. Use PUT para atualizar.');
+        }
         
         console.log(`Item adicionado à lista: ${catalogItem.name} -> ${savedList.name}`);
         
@@ -402,6 +692,10 @@ app.post('/lists/:id/items', authenticateJWT, async (req, res) => {
     } catch (error) {
         console.error('Erro ao adicionar item à lista:', error);
         
+        if (error.code === 'SCHEMA_VALIDATION') {
+            return sendSchemaValidationError(res, error);
+        }
+        
         if (error.message.includes('já existe') || 
             error.message.includes('obrigatório') || 
             error.message.includes('inválido') ||
@@ -429,14 +723,14 @@ app.post('/lists/:id/items', authenticateJWT, async (req, res) => {
 /**
  * PUT /lists/:id/items/:itemId - Atualizar item na lista
  */
-app.put('/lists/:id/items/:itemId', authenticateJWT, (req, res) => {
+app.put('/lists/:id/items/:itemId', authenticateJWT, async (req, res) => {
     try {
         const listId = req.params.id;
         const itemId = req.params.itemId;
         const userId = req.user.userId;
         const updateData = req.body;
         
-        const existingList = db.findById(listId);
+        const existingList = await db.findById(listId);
         
         if (!existingList) {
             return res.status(404).json({
@@ -453,11 +747,25 @@ app.put('/lists/:id/items/:itemId', authenticateJWT, (req, res) => {
             });
         }
         
-        // Atualizar item na lista usando o modelo
-        const updatedList = ListModel.updateItemInList(existingList, itemId, updateData);
+        // Controle de concorrência otimista (If-Match)
+        const precondition = checkIfMatch(req, existingList);
+        if (!precondition.satisfied) {
+            return sendPreconditionFailed(res, existingList);
+        }
         
-        // Salvar no banco
-        const savedList = db.update(listId, updatedList);
+        // Atualizar item na lista em uma única operação atômica
+        const savedList = await db.updateOne(
+            { id: listId, userId: userId, 'items.itemId': itemId },
+            ListModel.buildItemUpdate(updateData),
+            {
+                derive: list => ListModel.withSummary(list),
+                expectedVersion: precondition.expectedVersion
+            }
+        );
+        
+        if (!savedList) {
+            throw new Error('Item não encontrado na lista');
+        }
         
         // Encontrar o item atualizado
         const updatedItem = savedList.items.find(item => item.itemId === itemId);
@@ -472,6 +780,14 @@ app.put('/lists/:id/items/:itemId', authenticateJWT, (req, res) => {
     } catch (error) {
         console.error('Erro ao atualizar item na lista:', error);
         
+        if (error.code === 'SCHEMA_VALIDATION') {
+            return sendSchemaValidationError(res, error);
+        }
+        
+        if (error.code === 'VERSION_CONFLICT') {
+            return sendPreconditionFailed(res);
+        }
+        
         if (error.message.includes('não encontrado') || 
             error.message.includes('inválido') ||
             error.message.includes('obrigatório')) {
@@ -491,13 +807,13 @@ app.put('/lists/:id/items/:itemId', authenticateJWT, (req, res) => {
 /**
  * DELETE /lists/:id/items/:itemId - Remover item da lista
  */
-app.delete('/lists/:id/items/:itemId', authenticateJWT, (req, res) => {
+app.delete('/lists/:id/items/:itemId', authenticateJWT, async (req, res) => {
     try {
         const listId = req.params.id;
         const itemId = req.params.itemId;
         const userId = req.user.userId;
         
-        const existingList = db.findById(listId);
+        const existingList = await db.findById(listId);
         
         if (!existingList) {
             return res.status(404).json({
@@ -524,11 +840,29 @@ app.delete('/lists/:id/items/:itemId', authenticateJWT, (req, res) => {
             });
         }
         
-        // Remover item da lista usando o modelo
-        const updatedList = ListModel.removeItemFromList(existingList, itemId);
+        // Controle de concorrência otimista (If-Match)
+        const precondition = checkIfMatch(req, existingList);
+        if (!precondition.satisfied) {
+            return sendPreconditionFailed(res, existingList);
+        }
         
-        // Salvar no banco
-        const savedList = db.update(listId, updatedList);
+        // Remover item da lista em uma única operação atômica
+        const savedList = await db.updateOne(
+            { id: listId, userId: userId },
+            ListModel.buildRemoveItemUpdate(itemId),
+            {
+                derive: list => ListModel.withSummary(list),
+                expectedVersion: precondition.expectedVersion
+            }
+        );
+        
+        // Lista excluída por outra requisição depois da leitura
+        if (!savedList) {
+            return res.status(404).json({
+                error: 'Lista não encontrada',
+                message: 'Lista com ID especificado não existe'
+            });
+        }
         
         console.log(`Item removido da lista: ${itemToRemove.itemName} -> ${savedList.name}`);
         
@@ -543,6 +877,14 @@ app.delete('/lists/:id/items/:itemId', authenticateJWT, (req, res) => {
     } catch (error) {
         console.error('Erro ao remover item da lista:', error);
         
+        if (error.code === 'SCHEMA_VALIDATION') {
+            return sendSchemaValidationError(res, error);
+        }
+        
+        if (error.code === 'VERSION_CONFLICT') {
+            return sendPreconditionFailed(res);
+        }
+        
         if (error.message.includes('não encontrado')) {
             return res.status(404).json({
                 error: 'Item não encontrado',
@@ -557,15 +899,126 @@ app.delete('/lists/:id/items/:itemId', authenticateJWT, (req, res) => {
     }
 });
 
+/**
+ * POST /lists/:id/items/:itemId/move - Mover item para outra lista do usuário
+ * Body: { targetListId }. As duas listas são alteradas em uma única transação.
+ */
+app.post('/lists/:id/items/:itemId/move', authenticateJWT, async (req, res) => {
+    try {
+        const listId = req.params.id;
+        const itemId = req.params.itemId;
+        const userId = req.user.userId;
+        const { targetListId } = req.body;
+        
+        if (!targetListId || targetListId === listId) {
+            return res.status(400).json({
+                error: 'Dados inválidos',
+                message: 'Campo targetListId é obrigatório e deve ser outra lista'
+            });
+        }
+        
+        const result = await db.transaction(async (tx) => {
+            const lists = tx.collection();
+            const [sourceList, targetList] = await Promise.all([lists.findById(listId), lists.findById(targetListId)]);
+            
+            if (!sourceList || !targetList) {
+                throw new Error('Lista não encontrada');
+            }
+            
+            // Verificar propriedade das duas listas
+            if (sourceList.userId !== userId || targetList.userId !== userId) {
+                throw new Error('Acesso negado: você não tem permissão para editar estas listas');
+            }
+            
+            const item = sourceList.items.find(listItem => listItem.itemId === itemId);
+            if (!item) {
+                throw new Error('Item não encontrado na lista de origem');
+            }
+            if (targetList.items.some(listItem => listItem.itemId === itemId)) {
+                throw new Error('Item já existe na lista de destino');
+            }
+            
+            // Controle de concorrência otimista (If-Match refere-se à lista de origem)
+            const precondition = checkIfMatch(req, sourceList);
+            if (!precondition.satisfied) {
+                const error = new Error('Lista foi alterada por outra requisição');
+                error.code = 'VERSION_CONFLICT';
+                throw error;
+            }
+            
+            const source = await lists.updateOne(
+                { id: listId },
+                ListModel.buildRemoveItemUpdate(itemId),
+                {
+                    derive: list => ListModel.withSummary(list),
+                    expectedVersion: precondition.expectedVersion
+                }
+            );
+            const target = await lists.updateOne(
+                { id: targetListId },
+                { $push: { items: item } },
+                { derive: list => ListModel.withSummary(list) }
+            );
+            
+            return { source, target, item };
+        }, { retries: 3 });
+        
+        console.log(`Item movido: ${result.item.itemName} -> ${result.source.name} => ${result.target.name}`);
+        
+        res.json({
+            message: 'Item movido com sucesso',
+            sourceList: result.source,
+            targetList: result.target,
+            movedItem: result.item
+        });
+    } catch (error) {
+        console.error('Erro ao mover item entre listas:', error);
+        
+        if (error.code === 'SCHEMA_VALIDATION') {
+            return sendSchemaValidationError(res, error);
+        }
+        
+        if (error.code === 'VERSION_CONFLICT') {
+            return sendPreconditionFailed(res);
+        }
+        
+        if (error.message.includes('Acesso negado')) {
+            return res.status(403).json({
+                error: 'Acesso negado',
+                message: error.message
+            });
+        }
+        
+        if (error.message.includes('não encontrad')) {
+            return res.status(404).json({
+                error: 'Não encontrado',
+                message: error.message
+            });
+        }
+        
+        if (error.message.includes('já existe')) {
+            return res.status(400).json({
+                error: 'Dados inválidos',
+                message: error.message
+            });
+        }
+        
+        res.status(500).json({
+            error: 'Erro interno do servidor',
+            message: 'Erro ao mover item entre listas'
+        });
+    }
+});
+
 /**
  * GET /lists/:id/summary - Obter resumo da lista
  */
-app.get('/lists/:id/summary', authenticateJWT, (req, res) => {
+app.get('/lists/:id/summary', authenticateJWT, async (req, res) => {
     try {
         const listId = req.params.id;
         const userId = req.user.userId;
         
-        const list = db.findById(listId);
+        const list = await db.findById(listId);
         
         if (!list) {
             return res.status(404).json({
@@ -604,13 +1057,12 @@ app.get('/lists/:id/summary', authenticateJWT, (req, res) => {
 /**
  * GET /stats - Obter estatísticas das listas do usuário
  */
-app.get('/stats', authenticateJWT, (req, res) => {
+app.get('/stats', authenticateJWT, async (req, res) => {
     try {
         const userId = req.user.userId;
         
         // Buscar todas as listas do usuário
-        const allLists = db.findAll();
-        const userLists = allLists.filter(list => list.userId === userId);
+        const userLists = await db.find({ userId: userId });
         
         // Calcular estatísticas
         const stats = ListModel.getListStats(userLists);
@@ -629,6 +1081,33 @@ app.get('/stats', authenticateJWT, (req, res) => {
     }
 });
 
+/**
+ * GET /stats/categories - Total gasto por categoria em todas as listas do usuário
+ */
+app.get('/stats/categories', authenticateJWT, async (req, res) => {
+    try {
+        const userId = req.user.userId;
+        
+        // Desnormaliza os itens das listas e agrupa por categoria em uma única consulta
+        const categories = await db.aggregate(ListModel.spendingByCategoryPipeline(userId));
+        
+        res.json({
+            userId: userId,
+            categories: categories.map(category => ({
+                ...category,
+                totalSpent: Math.round(category.totalSpent * 100) / 100
+            })),
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        console.error('Erro ao obter gastos por categoria:', error);
+        res.status(500).json({
+            error: 'Erro interno do servidor',
+            message: 'Erro ao obter gastos por categoria'
+        });
+    }
+});
+
 // Middleware de tratamento de rotas não encontradas
 app.use('*', (req, res) => {
     res.status(404).json({
@@ -644,11 +1123,15 @@ app.use('*', (req, res) => {
             'GET /lists/:id',
             'PUT /lists/:id',
             'DELETE /lists/:id',
+            'GET /lists/trash',
+            'POST /lists/:id/restore',
             'POST /lists/:id/items',
             'PUT /lists/:id/items/:itemId',
             'DELETE /lists/:id/items/:itemId',
+            'POST /lists/:id/items/:itemId/move',
             'GET /lists/:id/summary',
-            'GET /stats'
+            'GET /stats',
+            'GET /stats/categories'
         ]
     });
 });
@@ -667,16 +1150,34 @@ app.use((error, req, res, next) => {
 async function startServer() {
     try {
         // Registrar serviço no registry
-        serviceRegistry.register('list-service', {
+        const registryInstance = await serviceRegistry.register('list-service', {
             url: `http://localhost:${PORT}`,
             port: PORT,
-            status: 'healthy'
+            status: 'healthy',
+            version: '1.0.0',
+            database: 'JSON-NoSQL',
+            domain: 'Shopping Lists',
+            endpoints: ['/health', '/lists', '/stats']
         });
         
         console.log('Service Registry configurado');
         
         // Inicializar banco de dados
         console.log('Inicializando banco de dados...');
+        await MigrationRunner.runOnStartup('list-service', db.dbPath, path.join(__dirname, 'migrations'), {
+            collections: [db]
+        });
+        
+        // Remover de vez (a cada hora) as listas que passaram do prazo na lixeira
+        const purgeTrash = () => db.purge(TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000).catch(() => {});
+        await purgeTrash();
+        setInterval(purgeTrash, 60 * 60 * 1000).unref();
+        
+        // Observar mudanças no catálogo de itens
+        if (process.env.CATALOG_SYNC !== 'false') {
+            await startCatalogSync();
+            console.log('Sincronização com o catálogo de itens ativa');
+        }
         
         // Iniciar servidor
         app.listen(PORT, () => {
@@ -686,6 +1187,9 @@ async function startServer() {
             console.log(`📐 Schema: http://localhost:${PORT}/schema`);
             console.log(`🔐 Autenticação: JWT Bearer Token obrigatório`);
             console.log('✅ Serviço pronto para receber requisições!');
+            
+            // Heartbeat: renovar o lease no registry com o resultado do /health
+            serviceRegistry.startHeartbeat('list-service', registryInstance.id);
         });
     } catch (error) {
         console.error('❌ Erro ao inicializar List Service:', error);
@@ -694,13 +1198,15 @@ async function startServer() {
 }
 
 // Tratamento de sinais do sistema
-process.on('SIGINT', () => {
+process.on('SIGINT', async () => {
     console.log('\n🛑 Recebido SIGINT. Finalizando List Service...');
+    await serviceRegistry.cleanup();
     process.exit(0);
 });
 
-process.on('SIGTERM', () => {
+process.on('SIGTERM', async () => {
     console.log('\n🛑 Recebido SIGTERM. Finalizando List Service...');
+    await serviceRegistry.cleanup();
     process.exit(0);
 });
 
@@ -0,0 +1,33 @@
+/**
+ * Banco do User Service: diretório e coleções abertas com as opções do
+ * serviço (usado pelo server.js e pelo scripts/db-migrate.js, para que as
+ * migrações validem os mesmos índices únicos, schema e criptografia)
+ */
+const path = require('path');
+const JsonDatabase = require('../../shared/JsonDatabase');
+const Encryption = require('../../shared/Encryption');
+const UserModel = require('./models/UserModel');
+
+const DB_PATH = path.join(__dirname, 'database');
+
+// Abrir as coleções do serviço
+function openCollections() {
+    return {
+        users: new JsonDatabase(DB_PATH, 'users', {
+            indexes: [
+                { fields: ['email'], unique: true },
+                { fields: ['username'], unique: true }
+            ],
+            schema: UserModel.SCHEMA,
+            // json (padrão), journal, memory ou sqlite: USER_DB_STORAGE ou DB_STORAGE
+            storage: JsonDatabase.storageFromEnv('USER'),
+            // E-mails, nomes e hashes de senha cifrados em disco: chave em USER_DB_KEY ou USER_DB_KEY_FILE
+            encryption: Encryption.serviceOptions('USER', path.join(__dirname, 'keys', 'users.key'))
+        })
+    };
+}
+
+module.exports = {
+    DB_PATH,
+    openCollections
+};
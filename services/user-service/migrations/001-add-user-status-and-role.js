@@ -0,0 +1,19 @@
+/**
+ * Usuários criados antes de status/role não passavam em validateToken
+ * (status !== 'active') nem apareciam nos filtros de getUsers/searchUsers.
+ * O administrador semeado recebe role 'admin'; os demais, 'user'.
+ */
+module.exports = {
+    description: 'Adicionar status e role aos usuários existentes',
+
+    async up({ collection }) {
+        const users = collection('users');
+        await users.updateMany({ status: { $exists: false } }, { $set: { status: 'active' } });
+        await users.updateMany({ role: { $exists: false }, username: 'admin' }, { $set: { role: 'admin' } });
+        await users.updateMany({ role: { $exists: false } }, { $set: { role: 'user' } });
+    },
+
+    async down({ collection }) {
+        await collection('users').updateMany({}, { $unset: { status: '', role: '' } });
+    }
+};
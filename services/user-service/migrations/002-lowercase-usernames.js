@@ -0,0 +1,30 @@
+/**
+ * Usernames passaram a ser gravados em minúsculas (índice único sem
+ * diferenciar maiúsculas, e o login compara em minúsculas). Usuários antigos
+ * com maiúsculas no username não conseguiam entrar pelo username.
+ * Se a forma em minúsculas já pertence a outro usuário (já gravado em
+ * minúsculas ou convertido antes, por ordem de criação), o username fica como
+ * está (o usuário entra pelo e-mail) e é listado no log.
+ * Sem down: a grafia original não é guardada.
+ */
+module.exports = {
+    description: 'Converter usernames para minúsculas',
+
+    async up({ collection }) {
+        const users = collection('users');
+        const all = await users.find({}, { sort: { createdAt: 1 } });
+        const taken = new Set(all.filter(user => user.username === user.username.toLowerCase()).map(user => user.username));
+
+        for (const user of all) {
+            const username = user.username.toLowerCase();
+            if (username === user.username) continue;
+
+            if (taken.has(username)) {
+                console.warn(`⚠️  Username ${user.username} (${user.id}) mantido: ${username} já existe`);
+                continue;
+            }
+            taken.add(username);
+            await users.update(user.id, { username });
+        }
+    }
+};
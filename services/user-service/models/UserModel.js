@@ -1,11 +1,44 @@
 const { v4: uuidv4 } = require('uuid');
 const bcrypt = require('bcryptjs');
+const SchemaValidator = require('../../../shared/SchemaValidator');
 
 /**
  * Schema e modelo para o usuário conforme especificação do documento
  * Sistema de Lista de Compras - PUC Minas
  */
 class UserModel {
+    /**
+     * JSON Schema do usuário, aplicado pelo JsonDatabase em toda inserção e atualização
+     */
+    static SCHEMA = {
+        $schema: 'https://json-schema.org/draft/2020-12/schema',
+        title: 'Usuário',
+        type: 'object',
+        required: ['id', 'email', 'username', 'password', 'firstName', 'lastName', 'preferences', 'createdAt', 'updatedAt'],
+        properties: {
+            id: { type: 'string', minLength: 1 },
+            email: { type: 'string', format: 'email' },
+            username: { type: 'string', minLength: 3 },
+            password: { type: 'string', minLength: 1 },
+            firstName: { type: 'string', minLength: 2 },
+            lastName: { type: 'string', minLength: 2 },
+            // Opcionais até a migração 001 ser aplicada aos usuários antigos
+            status: { enum: ['active', 'inactive'] },
+            role: { enum: ['user', 'admin'] },
+            preferences: {
+                type: 'object',
+                required: ['defaultStore', 'currency'],
+                properties: {
+                    defaultStore: { type: 'string' },
+                    currency: { type: 'string' },
+                    lastLogin: { type: 'string', format: 'date-time' }
+                }
+            },
+            createdAt: { type: 'string', format: 'date-time' },
+            updatedAt: { type: 'string', format: 'date-time' }
+        }
+    };
+
     /**
      * Cria um novo usuário com o schema especificado
      * @param {Object} userData - Dados do usuário
@@ -25,10 +58,12 @@ class UserModel {
         const user = {
             id: uuidv4(),
             email: userData.email.toLowerCase().trim(),
-            username: userData.username.trim(),
+            username: this.normalizeUsername(userData.username),
             password: hashedPassword,
             firstName: userData.firstName.trim(),
             lastName: userData.lastName.trim(),
+            status: 'active',
+            role: userData.role || 'user',
             preferences: {
                 defaultStore: userData.preferences?.defaultStore || "",
                 currency: userData.preferences?.currency || "BRL"
@@ -56,7 +91,7 @@ class UserModel {
         }
         
         if (updateData.username) {
-            updatedUser.username = updateData.username.trim();
+            updatedUser.username = this.normalizeUsername(updateData.username);
         }
         
         if (updateData.firstName) {
@@ -86,6 +121,16 @@ class UserModel {
         return updatedUser;
     }
     
+    /**
+     * Username como gravado: sem espaços nas pontas e em minúsculas, para que o
+     * índice único não diferencie maiúsculas (o login também compara em minúsculas)
+     * @param {string} username - Username informado
+     * @returns {string} Username normalizado
+     */
+    static normalizeUsername(username) {
+        return username.trim().toLowerCase();
+    }
+    
     /**
      * Remove dados sensíveis do usuário para resposta
      * @param {Object} user - Usuário completo
@@ -175,35 +220,12 @@ class UserModel {
      * @returns {boolean} True se válido
      */
     static validateSchema(user) {
-        try {
-            // Verificar campos obrigatórios
-            const requiredFields = ['id', 'email', 'username', 'password', 'firstName', 'lastName', 'preferences', 'createdAt', 'updatedAt'];
-            
-            for (const field of requiredFields) {
-                if (!(field in user)) {
-                    throw new Error(`Campo obrigatório ausente: ${field}`);
-                }
-            }
-            
-            // Verificar estrutura de preferences
-            if (!user.preferences || typeof user.preferences !== 'object') {
-                throw new Error('preferences deve ser um objeto');
-            }
-            
-            if (!('defaultStore' in user.preferences) || !('currency' in user.preferences)) {
-                throw new Error('preferences deve conter defaultStore e currency');
-            }
-            
-            // Verificar timestamps
-            if (!Date.parse(user.createdAt) || !Date.parse(user.updatedAt)) {
-                throw new Error('Timestamps inválidos');
-            }
-            
-            return true;
-        } catch (error) {
-            console.error('Erro na validação do schema:', error.message);
+        const errors = SchemaValidator.validate(this.SCHEMA, user);
+        if (errors.length > 0) {
+            console.error('Erro na validação do schema:', errors.map(error => `${error.path}: ${error.message}`).join('; '));
             return false;
         }
+        return true;
     }
 }
 
@@ -8,9 +8,11 @@ const { v4: uuidv4 } = require('uuid');
 const path = require('path');
 
 // Importar banco NoSQL, service registry e modelo de usuário
-const JsonDatabase = require('../../shared/JsonDatabase');
+const MigrationRunner = require('../../shared/MigrationRunner');
 const serviceRegistry = require('../../shared/serviceRegistry');
+const { formatETag, checkIfMatch } = require('../../shared/etag');
 const UserModel = require('./models/UserModel');
+const database = require('./database');
 
 class UserService {
     constructor() {
@@ -27,8 +29,9 @@ class UserService {
     }
 
     setupDatabase() {
-        const dbPath = path.join(__dirname, 'database');
-        this.usersDb = new JsonDatabase(dbPath, 'users');
+        // Coleção users com índices únicos, schema e criptografia (ver database.js)
+        this.dbPath = database.DB_PATH;
+        this.usersDb = database.openCollections().users;
         console.log('User Service: Banco NoSQL inicializado');
     }
 
@@ -46,6 +49,7 @@ class UserService {
                         password: 'admin123',
                         firstName: 'Administrador',
                         lastName: 'Sistema',
+                        role: 'admin',
                         preferences: {
                             defaultStore: 'Supermercado Central',
                             currency: 'BRL'
@@ -58,6 +62,25 @@ class UserService {
                     console.log(`   Username: ${adminUser.username}`);
                     console.log(`   Password: admin123`);
                     console.log(`   Schema validado: ${UserModel.validateSchema(adminUser)}`);
+
+                    // Usuário do cliente de demonstração (client-demo.js)
+                    const demoUser = await UserModel.createUser({
+                        email: 'demo@example.com',
+                        username: 'demo_user',
+                        password: 'demo123456',
+                        firstName: 'Demo',
+                        lastName: 'User',
+                        preferences: {
+                            defaultStore: 'Supermercado Central',
+                            currency: 'BRL'
+                        }
+                    });
+
+                    await this.usersDb.create(demoUser);
+                    console.log('✅ Usuário de demonstração criado:');
+                    console.log(`   Email: ${demoUser.email}`);
+                    console.log(`   Username: ${demoUser.username}`);
+                    console.log(`   Password: demo123456`);
                 }
             } catch (error) {
                 console.error('Erro ao criar dados iniciais:', error.message);
@@ -94,7 +117,10 @@ class UserService {
                     version: '1.0.0',
                     database: {
                         type: 'JSON-NoSQL',
-                        userCount: userCount
+                        userCount: userCount,
+                        storage: this.usersDb.getStorageStats(),
+                        cache: this.usersDb.getCacheStats(),
+                        ttl: this.usersDb.getTtlStats()
                     }
                 });
             } catch (error) {
@@ -200,24 +226,6 @@ class UserService {
                 });
             }
 
-            // Verificar se usuário já existe
-            const existingEmail = await this.usersDb.findOne({ email: email.toLowerCase() });
-            const existingUsername = await this.usersDb.findOne({ username: username.toLowerCase() });
-
-            if (existingEmail) {
-                return res.status(409).json({
-                    success: false,
-                    message: 'Email já está em uso'
-                });
-            }
-
-            if (existingUsername) {
-                return res.status(409).json({
-                    success: false,
-                    message: 'Username já está em uso'
-                });
-            }
-
             // Criar usuário usando o UserModel
             const newUser = await UserModel.createUser({
                 email,
@@ -231,8 +239,25 @@ class UserService {
                 }
             });
 
-            // Salvar no banco
-            await this.usersDb.create(newUser);
+            // Salvar no banco (índices únicos garantem email/username exclusivos)
+            try {
+                await this.usersDb.create(newUser);
+            } catch (dbError) {
+                if (dbError.code === 'DUPLICATE_KEY') {
+                    return res.status(409).json({
+                        success: false,
+                        message: dbError.fields.includes('email') ? 'Email já está em uso' : 'Username já está em uso'
+                    });
+                }
+                if (dbError.code === 'SCHEMA_VALIDATION') {
+                    return res.status(400).json({
+                        success: false,
+                        message: dbError.message,
+                        errors: dbError.errors
+                    });
+                }
+                throw dbError;
+            }
 
             // Remover senha da resposta
             const userResponse = UserModel.toSafeUser(newUser);
@@ -385,39 +410,40 @@ class UserService {
     // Get users (com paginação)
     async getUsers(req, res) {
         try {
-            const { page = 1, limit = 10, role, status } = req.query;
-            const skip = (page - 1) * parseInt(limit);
+            const { limit = 10, after, role, status } = req.query;
 
             // Filtros NoSQL flexíveis
             const filter = {};
             if (role) filter.role = role;
             if (status) filter.status = status;
 
-            const users = await this.usersDb.find(filter, {
-                skip: skip,
+            // Paginação por cursor; o hash da senha nem sai do banco
+            const { documents: users, nextCursor } = await this.usersDb.findPage(filter, {
                 limit: parseInt(limit),
-                sort: { createdAt: -1 }
-            });
-
-            // Remove passwords
-            const safeUsers = users.map(user => {
-                const { password, ...safeUser } = user;
-                return safeUser;
+                after: after,
+                sort: { createdAt: -1 },
+                projection: { password: 0 }
             });
 
             const total = await this.usersDb.count(filter);
 
             res.json({
                 success: true,
-                data: safeUsers,
+                data: users,
                 pagination: {
-                    page: parseInt(page),
                     limit: parseInt(limit),
                     total: total,
-                    pages: Math.ceil(total / parseInt(limit))
+                    nextCursor: nextCursor
                 }
             });
         } catch (error) {
+            if (error.code === 'INVALID_CURSOR') {
+                return res.status(400).json({
+                    success: false,
+                    message: error.message
+                });
+            }
+
             console.error('Erro ao buscar usuários:', error);
             res.status(500).json({
                 success: false,
@@ -451,6 +477,7 @@ class UserService {
             const isValidSchema = UserModel.validateSchema(user);
             const userResponse = UserModel.toSafeUser(user);
 
+            res.set('ETag', formatETag(user));
             res.json({
                 success: true,
                 data: userResponse,
@@ -490,47 +517,49 @@ class UserService {
                 });
             }
 
+            // Controle de concorrência otimista (If-Match)
+            const precondition = checkIfMatch(req, user);
+            if (!precondition.satisfied) {
+                res.set('ETag', formatETag(user));
+                return res.status(412).json({
+                    success: false,
+                    message: 'Usuário foi alterado por outra requisição (ETag não confere)'
+                });
+            }
+
             // Usar UserModel para validar e atualizar
             try {
                 const updatedUser = await UserModel.updateUser(user, updateData);
-                
-                // Verificar se novo email é único (se foi alterado)
-                if (updateData.email && updateData.email.toLowerCase() !== user.email) {
-                    const existingEmail = await this.usersDb.findOne({ 
-                        email: updateData.email.toLowerCase(),
-                        id: { $ne: id }
+                let savedUser;
+
+                // Salvar no banco (índices únicos garantem email/username exclusivos)
+                try {
+                    savedUser = await this.usersDb.update(id, updatedUser, {
+                        expectedVersion: precondition.expectedVersion
                     });
-                    
-                    if (existingEmail) {
-                        return res.status(409).json({
+                } catch (dbError) {
+                    if (dbError.code === 'VERSION_CONFLICT') {
+                        return res.status(412).json({
                             success: false,
-                            message: 'Email já está em uso por outro usuário'
+                            message: 'Usuário foi alterado por outra requisição (ETag não confere)'
                         });
                     }
-                }
-
-                // Verificar se novo username é único (se foi alterado)
-                if (updateData.username && updateData.username.toLowerCase() !== user.username) {
-                    const existingUsername = await this.usersDb.findOne({ 
-                        username: updateData.username.toLowerCase(),
-                        id: { $ne: id }
-                    });
-                    
-                    if (existingUsername) {
+                    if (dbError.code === 'DUPLICATE_KEY') {
                         return res.status(409).json({
                             success: false,
-                            message: 'Username já está em uso por outro usuário'
+                            message: dbError.fields.includes('email')
+                                ? 'Email já está em uso por outro usuário'
+                                : 'Username já está em uso por outro usuário'
                         });
                     }
+                    throw dbError;
                 }
-
-                // Salvar no banco
-                await this.usersDb.update(id, updatedUser);
                 
                 // Validar schema e remover dados sensíveis
-                const isValidSchema = UserModel.validateSchema(updatedUser);
-                const userResponse = UserModel.toSafeUser(updatedUser);
+                const isValidSchema = UserModel.validateSchema(savedUser);
+                const userResponse = UserModel.toSafeUser(savedUser);
 
+                res.set('ETag', formatETag(savedUser));
                 res.json({
                     success: true,
                     message: 'Usuário atualizado com sucesso',
@@ -543,7 +572,8 @@ class UserService {
             } catch (validationError) {
                 return res.status(400).json({
                     success: false,
-                    message: validationError.message
+                    message: validationError.message,
+                    ...(validationError.errors ? { errors: validationError.errors } : {})
                 });
             }
         } catch (error) {
@@ -597,23 +627,28 @@ class UserService {
     }
 
     // Register with service registry
-    registerWithRegistry() {
-        serviceRegistry.register(this.serviceName, {
+    async registerWithRegistry() {
+        const instance = await serviceRegistry.register(this.serviceName, {
             url: this.serviceUrl,
             version: '1.0.0',
             database: 'JSON-NoSQL',
+            domain: 'Shopping List Users',
             endpoints: ['/health', '/auth/register', '/auth/login', '/users', '/search']
         });
+        this.instanceId = instance.id;
     }
 
-    // Start health check reporting
+    // Heartbeat: renovar o lease no registry com o resultado do próprio /health
     startHealthReporting() {
-        setInterval(() => {
-            serviceRegistry.updateHealth(this.serviceName, true);
-        }, 30000);
+        serviceRegistry.startHeartbeat(this.serviceName, this.instanceId);
     }
 
-    start() {
+    async start() {
+        // Migrações pendentes (RUN_MIGRATIONS=true) antes de aceitar requisições
+        await MigrationRunner.runOnStartup(this.serviceName, this.dbPath, path.join(__dirname, 'migrations'), {
+            collections: [this.usersDb]
+        });
+
         this.app.listen(this.port, () => {
             console.log('=====================================');
             console.log(`User Service iniciado na porta ${this.port}`);
@@ -623,8 +658,9 @@ class UserService {
             console.log('=====================================');
             
             // Register with service registry
-            this.registerWithRegistry();
-            this.startHealthReporting();
+            this.registerWithRegistry()
+                .then(() => this.startHealthReporting())
+                .catch(error => console.error('Erro ao registrar no service registry:', error.message));
         });
     }
 }
@@ -632,17 +668,22 @@ class UserService {
 // Start service
 if (require.main === module) {
     const userService = new UserService();
-    userService.start();
+    userService.start().catch(error => {
+        console.error('Erro ao iniciar User Service:', error.message);
+        process.exit(1);
+    });
 
     // Graceful shutdown
-    process.on('SIGTERM', () => {
-        serviceRegistry.unregister('user-service');
-        process.exit(0);
-    });
-    process.on('SIGINT', () => {
-        serviceRegistry.unregister('user-service');
+    const shutdown = async () => {
+        try {
+            await serviceRegistry.unregister('user-service', userService.instanceId);
+        } catch (error) {
+            console.error('Erro ao remover do service registry:', error.message);
+        }
         process.exit(0);
-    });
+    };
+    process.on('SIGTERM', shutdown);
+    process.on('SIGINT', shutdown);
 }
 
 module.exports = UserService;
\ No newline at end of file
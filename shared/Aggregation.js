@@ -0,0 +1,347 @@
+const QueryMatcher = require('./QueryMatcher');
+
+/**
+ * Pipeline de agregação no estilo MongoDB para o JsonDatabase
+ *
+ * Estágios: $match, $group, $sort, $project, $unwind e $limit.
+ * Acumuladores do $group: $sum, $avg, $min, $max, $push e $count.
+ * Expressões: "$campo" (notação de ponto), $add, $subtract, $multiply,
+ * $divide e $ifNull.
+ */
+class Aggregation {
+    static STAGES = ['$match', '$group', '$sort', '$project', '$unwind', '$limit'];
+    static ACCUMULATORS = ['$sum', '$avg', '$min', '$max', '$push', '$count'];
+
+    /**
+     * Executa o pipeline sobre os documentos (que não são alterados)
+     * @param {Array} documents - Documentos de entrada
+     * @param {Array} pipeline - Estágios, ex.: [{ $match: {...} }, { $group: {...} }]
+     * @returns {Array} Documentos resultantes
+     */
+    static run(documents, pipeline = []) {
+        this.validate(pipeline);
+
+        return pipeline.reduce((current, stage) => {
+            const [name] = Object.keys(stage);
+            const spec = stage[name];
+
+            switch (name) {
+                case '$match':
+                    return current.filter(document => QueryMatcher.matches(document, spec));
+                case '$group':
+                    return this.group(current, spec);
+                case '$sort':
+                    return this.sort(current, spec);
+                case '$project':
+                    return current.map(document => this.project(document, spec));
+                case '$unwind':
+                    return this.unwind(current, spec);
+                case '$limit':
+                    return current.slice(0, spec);
+            }
+        }, documents);
+    }
+
+    static validate(pipeline) {
+        if (!Array.isArray(pipeline)) {
+            throw new Error('Pipeline de agregação deve ser um array');
+        }
+
+        pipeline.forEach(stage => {
+            const keys = QueryMatcher.isPlainObject(stage) ? Object.keys(stage) : [];
+            if (keys.length !== 1) {
+                throw new Error('Cada estágio do pipeline deve ter exatamente um operador');
+            }
+            if (!this.STAGES.includes(keys[0])) {
+                throw new Error(`Estágio de agregação desconhecido: ${keys[0]}`);
+            }
+            if (keys[0] === '$limit' && (!Number.isInteger(stage.$limit) || stage.$limit <= 0)) {
+                throw new Error('$limit requer um inteiro positivo');
+            }
+        });
+    }
+
+    /**
+     * Agrupa documentos pela expressão _id e calcula os acumuladores
+     * @param {Array} documents - Documentos de entrada
+     * @param {Object} spec - Ex.: { _id: '$category', total: { $sum: '$price' } }
+     * @returns {Array} Um documento por grupo, na ordem em que os grupos aparecem
+     */
+    static group(documents, spec) {
+        if (!QueryMatcher.isPlainObject(spec) || !('_id' in spec)) {
+            throw new Error('$group requer o campo _id');
+        }
+
+        const fields = Object.entries(spec).filter(([field]) => field !== '_id');
+        fields.forEach(([field, accumulator]) => {
+            const keys = QueryMatcher.isPlainObject(accumulator) ? Object.keys(accumulator) : [];
+            if (keys.length !== 1 || !this.ACCUMULATORS.includes(keys[0])) {
+                throw new Error(`Acumulador inválido no campo ${field}: ${JSON.stringify(accumulator)}`);
+            }
+        });
+
+        const groups = new Map();
+        documents.forEach(document => {
+            const id = this.evaluate(document, spec._id);
+            const key = JSON.stringify(id === undefined ? null : id);
+            if (!groups.has(key)) {
+                groups.set(key, { id: id === undefined ? null : id, documents: [] });
+            }
+            groups.get(key).documents.push(document);
+        });
+
+        return [...groups.values()].map(({ id, documents: members }) => {
+            const result = { _id: id };
+            fields.forEach(([field, accumulator]) => {
+                const [operator] = Object.keys(accumulator);
+                result[field] = this.accumulate(operator, members, accumulator[operator]);
+            });
+            return result;
+        });
+    }
+
+    static accumulate(operator, documents, expression) {
+        const values = documents.map(document => this.evaluate(document, expression));
+        const numbers = values.filter(value => typeof value === 'number' && !isNaN(value));
+        const present = values.filter(value => value !== undefined && value !== null);
+
+        switch (operator) {
+            case '$sum':
+                return numbers.reduce((sum, value) => sum + value, 0);
+            case '$avg':
+                return numbers.length > 0
+                    ? numbers.reduce((sum, value) => sum + value, 0) / numbers.length
+                    : null;
+            case '$min':
+                return present.length > 0
+                    ? present.reduce((min, value) => this.compareValues(value, min) < 0 ? value : min)
+                    : null;
+            case '$max':
+                return present.length > 0
+                    ? present.reduce((max, value) => this.compareValues(value, max) > 0 ? value : max)
+                    : null;
+            case '$push':
+                return values.filter(value => value !== undefined);
+            case '$count':
+                return documents.length;
+        }
+    }
+
+    /**
+     * Ordena por um ou mais campos (1 crescente, -1 decrescente), mantendo
+     * a ordem original entre documentos empatados
+     */
+    static sort(documents, spec) {
+        const fields = Object.entries(spec || {});
+        if (fields.length === 0 || !fields.every(([, direction]) => direction === 1 || direction === -1)) {
+            throw new Error('$sort requer campos com direção 1 ou -1');
+        }
+
+        return [...documents].sort((a, b) => {
+            for (const [field, direction] of fields) {
+                const result = this.compareValues(this.getValue(a, field), this.getValue(b, field));
+                if (result !== 0) {
+                    return result * direction;
+                }
+            }
+            return 0;
+        });
+    }
+
+    /**
+     * Projeta campos: 1/true inclui, 0/false exclui e expressões criam campos
+     * calculados. Como no MongoDB, _id é incluído a menos que seja excluído.
+     */
+    static project(document, spec) {
+        const entries = Object.entries(spec || {});
+        if (entries.length === 0) {
+            throw new Error('$project requer ao menos um campo');
+        }
+
+        const isExclusion = value => value === 0 || value === false;
+        const exclusions = entries.filter(([field, value]) => isExclusion(value) && field !== '_id');
+        const others = entries.filter(([field, value]) => !isExclusion(value) && field !== '_id');
+
+        if (exclusions.length > 0 && others.length > 0) {
+            throw new Error('$project não pode misturar inclusão e exclusão de campos');
+        }
+
+        if (exclusions.length > 0 || others.length === 0) {
+            return entries.reduce((result, [field]) => this.unsetPath(result, field.split('.')), document);
+        }
+
+        let result = {};
+        if ('_id' in document && !isExclusion(spec._id)) {
+            result._id = document._id;
+        }
+
+        entries.forEach(([field, value]) => {
+            if (isExclusion(value)) return;
+
+            const resolved = value === 1 || value === true
+                ? this.getValue(document, field)
+                : this.evaluate(document, value);
+            if (resolved !== undefined) {
+                result = this.setPath(result, field.split('.'), resolved);
+            }
+        });
+
+        return result;
+    }
+
+    /**
+     * Gera um documento para cada elemento do array no caminho
+     * @param {Array} documents - Documentos de entrada
+     * @param {string|Object} spec - '$items' ou { path: '$items', preserveNullAndEmptyArrays: true }
+     */
+    static unwind(documents, spec) {
+        const options = typeof spec === 'string' ? { path: spec } : (spec || {});
+        if (typeof options.path !== 'string' || !options.path.startsWith('$')) {
+            throw new Error('$unwind requer um caminho no formato "$campo"');
+        }
+
+        const parts = options.path.slice(1).split('.');
+
+        return documents.flatMap(document => {
+            const value = this.getValue(document, parts.join('.'));
+
+            if (Array.isArray(value) && value.length > 0) {
+                return value.map(element => this.setPath(document, parts, element));
+            }
+            if (value !== undefined && value !== null && !Array.isArray(value)) {
+                return [document];
+            }
+            if (!options.preserveNullAndEmptyArrays) {
+                return [];
+            }
+            return [Array.isArray(value) ? this.unsetPath(document, parts) : document];
+        });
+    }
+
+    /**
+     * Avalia uma expressão no contexto do documento
+     * @param {Object} document - Documento
+     * @param {*} expression - "$campo", literal, array, objeto ou operador ({ $multiply: [...] })
+     * @returns {*} Valor calculado
+     */
+    static evaluate(document, expression) {
+        if (typeof expression === 'string' && expression.startsWith('$')) {
+            return this.getValue(document, expression.slice(1));
+        }
+        if (Array.isArray(expression)) {
+            return expression.map(item => this.evaluate(document, item));
+        }
+        if (!QueryMatcher.isPlainObject(expression)) {
+            return expression;
+        }
+
+        const keys = Object.keys(expression);
+        if (keys.length === 1 && keys[0].startsWith('$')) {
+            return this.evaluateOperator(document, keys[0], expression[keys[0]]);
+        }
+
+        const result = {};
+        keys.forEach(key => {
+            result[key] = this.evaluate(document, expression[key]);
+        });
+        return result;
+    }
+
+    static evaluateOperator(document, operator, operand) {
+        const args = (Array.isArray(operand) ? operand : [operand]).map(arg => this.evaluate(document, arg));
+
+        if (operator === '$ifNull') {
+            const found = args.find(value => value !== undefined && value !== null);
+            return found === undefined ? null : found;
+        }
+
+        // Aritmética: qualquer operando nulo ou ausente resulta em null
+        if (args.some(value => value === undefined || value === null)) {
+            return null;
+        }
+        if (!args.every(value => typeof value === 'number')) {
+            throw new Error(`${operator} requer operandos numéricos`);
+        }
+
+        switch (operator) {
+            case '$add':
+                return args.reduce((sum, value) => sum + value, 0);
+            case '$multiply':
+                return args.reduce((product, value) => product * value, 1);
+            case '$subtract':
+                this.expectArgs(operator, args, 2);
+                return args[0] - args[1];
+            case '$divide':
+                this.expectArgs(operator, args, 2);
+                if (args[1] === 0) {
+                    throw new Error('$divide não permite divisão por zero');
+                }
+                return args[0] / args[1];
+            default:
+                throw new Error(`Operador de expressão desconhecido: ${operator}`);
+        }
+    }
+
+    static expectArgs(operator, args, count) {
+        if (args.length !== count) {
+            throw new Error(`${operator} requer ${count} operandos`);
+        }
+    }
+
+    /**
+     * Compara valores de tipos possivelmente diferentes
+     * (ausente/null < números < strings < booleanos < objetos)
+     */
+    static compareValues(a, b) {
+        const rank = value => {
+            if (value === undefined || value === null) return 0;
+            if (typeof value === 'number') return 1;
+            if (typeof value === 'string') return 2;
+            if (typeof value === 'boolean') return 3;
+            return 4;
+        };
+
+        const rankDiff = rank(a) - rank(b);
+        if (rankDiff !== 0) return rankDiff;
+        if (rank(a) === 0) return 0;
+
+        const result = QueryMatcher.compare(a, b);
+        if (result !== null) return result;
+
+        const [left, right] = [JSON.stringify(a), JSON.stringify(b)];
+        return left === right ? 0 : (left < right ? -1 : 1);
+    }
+
+    static getValue(document, path) {
+        return path.split('.').reduce((current, key) => {
+            return current !== null && current !== undefined ? current[key] : undefined;
+        }, document);
+    }
+
+    // Cópia do documento com o caminho alterado (o original não é modificado)
+    static setPath(document, parts, value) {
+        const [head, ...rest] = parts;
+        const base = QueryMatcher.isPlainObject(document) ? document : {};
+        return {
+            ...base,
+            [head]: rest.length === 0 ? value : this.setPath(base[head], rest, value)
+        };
+    }
+
+    static unsetPath(document, parts) {
+        const [head, ...rest] = parts;
+        if (!QueryMatcher.isPlainObject(document) || !(head in document)) {
+            return document;
+        }
+
+        const result = { ...document };
+        if (rest.length === 0) {
+            delete result[head];
+        } else {
+            result[head] = this.unsetPath(document[head], rest);
+        }
+        return result;
+    }
+}
+
+module.exports = Aggregation;
@@ -0,0 +1,154 @@
+const os = require('os');
+const LoadBalancer = require('./LoadBalancer');
+
+/**
+ * Partes comuns dos service registries (arquivo e cliente do registry server)
+ *
+ * As subclasses implementam register, discover, listServices, unregister,
+ * updateHealth, heartbeat, getStats e cleanup; aqui ficam o heartbeat
+ * periódico das instâncias do processo e os health checks. Os métodos das
+ * subclasses podem ser síncronos (leituras do arquivo) ou devolver Promises
+ * (alterações no arquivo, HTTP): tudo aqui os aguarda com await, e quem usa
+ * o registry deve fazer o mesmo.
+ */
+class BaseServiceRegistry {
+    constructor() {
+        this.balancer = new LoadBalancer();
+        this.strategy = this.balancer.strategy;
+        this.leaseTtl = Number(process.env.SERVICE_LEASE_TTL) || 30000;
+        this.heartbeatInterval = Number(process.env.SERVICE_HEARTBEAT_INTERVAL) || Math.floor(this.leaseTtl / 3);
+        this.host = os.hostname();
+        // Instâncias registradas por este processo: id -> { serviceName, serviceInfo, timer }
+        this.ownInstances = new Map();
+    }
+
+    static error(message, code) {
+        const error = new Error(message);
+        error.code = code;
+        return error;
+    }
+
+    // Tags como lista de strings (aceita também 'a,b')
+    static normalizeTags(tags) {
+        const list = Array.isArray(tags) ? tags : String(tags || '').split(',');
+        return [...new Set(list.map(tag => String(tag).trim()).filter(Boolean))];
+    }
+
+    /**
+     * Metadados de uma instância deste processo: SERVICE_VERSION e SERVICE_TAGS,
+     * quando definidas, valem sobre os do código (ex.: subir uma instância
+     * canary sem alterar o serviço); SERVICE_WEIGHT só vale sem weight no código
+     */
+    localServiceInfo(serviceInfo) {
+        const info = { ...serviceInfo };
+        if (process.env.SERVICE_VERSION) info.version = process.env.SERVICE_VERSION;
+        if (!info.weight && process.env.SERVICE_WEIGHT) info.weight = Number(process.env.SERVICE_WEIGHT);
+        info.tags = BaseServiceRegistry.normalizeTags(process.env.SERVICE_TAGS || info.tags);
+        return info;
+    }
+
+    // Falha ao chamar uma instância: fora da rotação até o próximo health check
+    reportFailure(serviceName, instanceId) {
+        return this.updateHealth(serviceName, instanceId, false);
+    }
+
+    /**
+     * Heartbeat periódico de uma instância deste processo: consulta o próprio
+     * /health e renova o lease com o resultado. Se o lease tiver expirado
+     * (ex.: processo pausado), registra a instância de novo com o mesmo id.
+     */
+    startHeartbeat(serviceName, instanceId) {
+        const axios = require('axios');
+        const own = this.ownInstances.get(instanceId);
+        if (!own) {
+            throw BaseServiceRegistry.error(`Instância não registrada por este processo: ${instanceId}`, 'INSTANCE_NOT_FOUND');
+        }
+
+        this.stopHeartbeat(instanceId);
+        const beat = async () => {
+            let healthy;
+            try {
+                await axios.get(`${own.serviceInfo.url}/health`, { timeout: 5000, family: 4 });
+                healthy = true;
+            } catch (error) {
+                console.error(`Heartbeat: /health de ${serviceName} falhou:`, error.message);
+                healthy = false;
+            }
+
+            // Parado enquanto o /health respondia
+            const current = this.ownInstances.get(instanceId);
+            if (!current || !current.timer) return;
+
+            if (!await this.heartbeat(serviceName, instanceId, healthy)) {
+                console.warn(`Lease de ${serviceName} [${instanceId}] expirou: registrando novamente`);
+                await this.register(serviceName, own.serviceInfo, { id: instanceId });
+                await this.heartbeat(serviceName, instanceId, healthy);
+            }
+        };
+
+        own.timer = setInterval(() => beat().catch(error => {
+            console.error('Erro no heartbeat:', error.message);
+        }), this.heartbeatInterval);
+        own.timer.unref();
+        return own.timer;
+    }
+
+    stopHeartbeat(instanceId) {
+        const own = this.ownInstances.get(instanceId);
+        if (own && own.timer) {
+            clearInterval(own.timer);
+            own.timer = null;
+        }
+    }
+
+    // Instância registrada por este processo
+    isOwn(instance) {
+        return instance.host === this.host && instance.pid === process.pid;
+    }
+
+    // Health check de todas as instâncias (falhas, ex.: registry server fora do ar, só vão para o log)
+    async performHealthChecks() {
+        const axios = require('axios');
+        try {
+            const services = await this.listServices();
+            const instances = Object.entries(services)
+                .flatMap(([serviceName, service]) => service.instances.map(instance => ({ ...instance, serviceName })));
+
+            console.log(`Executando health checks de ${instances.length} instância(s)...`);
+
+            for (const instance of instances) {
+                try {
+                    await axios.get(`${instance.url}/health`, {
+                        timeout: 5000,
+                        family: 4
+                    });
+                    await this.updateHealth(instance.serviceName, instance.id, true);
+                } catch (error) {
+                    console.error(`Health check falhou para ${instance.serviceName} [${instance.id}]:`, error.message);
+                    await this.updateHealth(instance.serviceName, instance.id, false);
+                }
+            }
+        } catch (error) {
+            console.error('Erro ao executar health checks:', error.message);
+        }
+    }
+
+    // Debug: listar instâncias registradas
+    async debugListServices() {
+        const services = await this.listServices();
+        console.log('DEBUG - Serviços registrados:');
+        Object.entries(services).forEach(([name, service]) => {
+            service.instances.forEach(instance => {
+                console.log(`   ${name} [${instance.id}]: ${instance.url} (${instance.healthy ? 'healthy' : 'unhealthy'}) PID:${instance.pid}`);
+            });
+        });
+    }
+
+    // Verificar se um serviço existe
+    async hasService(serviceName) {
+        const services = await this.listServices();
+        return Boolean(services[serviceName]);
+    }
+}
+
+module.exports = BaseServiceRegistry;
@@ -0,0 +1,185 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { EventEmitter } = require('events');
+const FileLock = require('./FileLock');
+const SnapshotStorage = require('./SnapshotStorage');
+const Encryption = require('./Encryption');
+
+// Aviso imediato a streams do mesmo processo (um emissor por arquivo de eventos)
+const notifiers = new Map();
+
+/**
+ * Registro de eventos de mudança de uma coleção (<coleção>.changes.ndjson)
+ *
+ * Cada linha é um evento { seq, ts, collection, type, id, before, after } com
+ * sequência crescente, gravado pelo processo que fez a mutação (com o lock
+ * de escrita adquirido). Apenas os últimos eventos são mantidos (retain):
+ * quem retomar de uma sequência mais antiga recebe CHANGE_HISTORY_LOST.
+ */
+class ChangeLog {
+    /**
+     * @param {string} dbPath - Diretório do banco
+     * @param {string} collectionName - Nome da coleção
+     * @param {Object} options - options.retain: eventos mantidos no arquivo (padrão 1000);
+     *   options.encryption: Encryption que cifra cada evento (before/after contêm os documentos)
+     */
+    constructor(dbPath, collectionName, options = {}) {
+        this.collectionName = collectionName;
+        this.filePath = path.join(dbPath, `${collectionName}.changes.ndjson`);
+        this.retain = options.retain || 1000;
+        this.encryption = options.encryption || null;
+        this.state = null;
+    }
+
+    static notifier(filePath) {
+        if (!notifiers.has(filePath)) {
+            const emitter = new EventEmitter();
+            emitter.setMaxListeners(0);
+            notifiers.set(filePath, emitter);
+        }
+        return notifiers.get(filePath);
+    }
+
+    async ensure() {
+        await FileLock.createIfMissing(this.filePath, '');
+    }
+
+    async signature() {
+        return SnapshotStorage.statSignature(this.filePath);
+    }
+
+    /**
+     * Ler os eventos retidos
+     * @returns {Object} { events, state: { signature, lastSeq, count, tornAt?, unterminated? } }
+     */
+    async read() {
+        const signature = await this.signature();
+        let content = '';
+        try {
+            content = await fs.readFile(this.filePath, 'utf8');
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+        }
+
+        const events = [];
+        const state = { signature, lastSeq: 0, count: 0 };
+        const lines = content.split('\n');
+        let offset = 0;
+
+        lines.forEach((line, position) => {
+            const start = offset;
+            offset += Buffer.byteLength(line) + 1;
+            if (!line.trim()) return;
+
+            try {
+                events.push(JSON.parse(Encryption.decode(this.encryption, line, this.filePath)));
+            } catch (error) {
+                if (Encryption.isKeyError(error)) throw error;
+                // Só a última linha pode estar incompleta (escrita interrompida)
+                if (position === lines.length - 1) {
+                    state.tornAt = start;
+                    return;
+                }
+                throw new Error(`Registro de mudanças corrompido em ${this.filePath}, linha ${position + 1}`);
+            }
+            if (position === lines.length - 1) {
+                state.unterminated = true;
+            }
+        });
+
+        state.count = events.length;
+        state.lastSeq = events.length > 0 ? events[events.length - 1].seq : 0;
+        this.state = state;
+        return { events, state };
+    }
+
+    // Estado do arquivo, relido apenas se outro processo o alterou
+    async currentState() {
+        const signature = await this.signature();
+        if (this.state && this.state.signature === signature) {
+            return this.state;
+        }
+        return (await this.read()).state;
+    }
+
+    /**
+     * Gravar eventos (deve ser chamada com o lock de escrita da coleção)
+     * @param {Array} changes - [{ type: 'insert'|'update'|'delete', id, before, after }]
+     * @returns {Array} Eventos gravados, com seq e ts
+     */
+    async append(changes) {
+        const state = await this.currentState();
+        const ts = new Date().toISOString();
+        let seq = state.lastSeq;
+
+        const events = changes.map(change => ({
+            seq: ++seq,
+            ts,
+            collection: this.collectionName,
+            ...change
+        }));
+
+        if (state.tornAt !== undefined) {
+            await fs.truncate(this.filePath, state.tornAt);
+        }
+
+        const fd = await fs.open(this.filePath, 'a');
+        try {
+            await fs.writeFile(fd, (state.unterminated ? '\n' : '') + this.serialize(events));
+            await fs.fsync(fd);
+        } finally {
+            await fs.close(fd);
+        }
+
+        let count = state.count + events.length;
+        if (count > this.retain * 2) {
+            count = await this.trim();
+        }
+
+        this.state = { signature: await this.signature(), lastSeq: seq, count };
+        ChangeLog.notifier(this.filePath).emit('change');
+        return events;
+    }
+
+    serialize(events) {
+        return events.map(event => `${Encryption.encode(this.encryption, JSON.stringify(event))}\n`).join('');
+    }
+
+    // Manter apenas os últimos eventos
+    async trim() {
+        const { events } = await this.read();
+        const kept = events.slice(-this.retain);
+        await FileLock.writeAtomic(this.filePath, this.serialize(kept));
+        return kept.length;
+    }
+
+    // Regravar os eventos retidos (ex.: com a chave nova); deve ser chamada com o lock de escrita
+    async rewrite() {
+        const { events } = await this.read();
+        await FileLock.writeAtomic(this.filePath, this.serialize(events));
+        this.state = null;
+    }
+
+    async hasPlaintext() {
+        return Encryption.hasPlaintext(this.filePath, { lines: true });
+    }
+
+    /**
+     * Eventos posteriores à sequência informada
+     * @param {number} seq - Última sequência já recebida
+     * @returns {Array} Eventos em ordem
+     * @throws {Error} Erro com code CHANGE_HISTORY_LOST se os eventos seguintes já foram descartados
+     */
+    async since(seq) {
+        const { events } = await this.read();
+
+        if (events.length > 0 && seq < events[0].seq - 1) {
+            const error = new Error(`Eventos posteriores à sequência ${seq} não estão mais disponíveis em ${this.collectionName}`);
+            error.code = 'CHANGE_HISTORY_LOST';
+            throw error;
+        }
+        return events.filter(event => event.seq > seq);
+    }
+}
+
+module.exports = ChangeLog;
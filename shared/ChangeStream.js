@@ -0,0 +1,167 @@
+const { EventEmitter } = require('events');
+const QueryMatcher = require('./QueryMatcher');
+const ChangeLog = require('./ChangeLog');
+
+/**
+ * Stream de mudanças de uma coleção, criado por JsonDatabase.watch()
+ *
+ * Emite 'change' com eventos { seq, ts, collection, type, id, before, after }
+ * e também pode ser consumido com for await. Mudanças feitas no mesmo
+ * processo chegam imediatamente; as de outros processos que usam o mesmo
+ * diretório são percebidas por polling do registro de mudanças.
+ */
+class ChangeStream extends EventEmitter {
+    /**
+     * @param {ChangeLog} changeLog - Registro de mudanças da coleção
+     * @param {Object} filter - Filtro aplicado à imagem anterior ou posterior do documento
+     * @param {Object} options - start (Promise da sequência inicial), types, pollInterval
+     */
+    constructor(changeLog, filter = {}, options = {}) {
+        super();
+        this.changeLog = changeLog;
+        this.filter = filter;
+        this.types = options.types || null;
+        this.lastSeq = null;
+        this.signature = null;
+        this.closed = false;
+        this.error = null;
+
+        // Fila usada apenas quando o stream é consumido como iterador assíncrono
+        this.iterating = false;
+        this.queue = [];
+        this.waiting = [];
+
+        this.checking = null;
+        this.pending = false;
+
+        this.onNotify = () => this.check();
+        ChangeLog.notifier(changeLog.filePath).on('change', this.onNotify);
+
+        // Como um socket aberto, o stream mantém o processo vivo até close()
+        this.timer = setInterval(() => this.check(), options.pollInterval || 250);
+
+        this.ready = Promise.resolve(options.start)
+            .then(seq => {
+                this.lastSeq = seq;
+                return this.check();
+            })
+            .catch(error => this.fail(error));
+    }
+
+    // Sequência do último evento processado (use como resumeAfter para retomar)
+    get resumeToken() {
+        return this.lastSeq;
+    }
+
+    async check() {
+        if (this.closed || this.lastSeq === null) return;
+
+        // Verificações concorrentes viram uma nova rodada da verificação em andamento
+        if (this.checking) {
+            this.pending = true;
+            return this.checking;
+        }
+
+        this.checking = (async () => {
+            try {
+                do {
+                    this.pending = false;
+
+                    const signature = await this.changeLog.signature();
+                    if (signature === this.signature) continue;
+
+                    const events = await this.changeLog.since(this.lastSeq);
+                    this.signature = signature;
+
+                    for (const event of events) {
+                        if (this.closed) return;
+                        this.lastSeq = event.seq;
+                        if (this.matches(event)) {
+                            this.push(event);
+                        }
+                    }
+                } while (this.pending && !this.closed);
+            } catch (error) {
+                this.fail(error);
+            } finally {
+                this.checking = null;
+            }
+        })();
+
+        return this.checking;
+    }
+
+    matches(event) {
+        if (this.types && !this.types.includes(event.type)) {
+            return false;
+        }
+        if (!this.filter || Object.keys(this.filter).length === 0) {
+            return true;
+        }
+
+        // Um documento que deixa de atender ao filtro também interessa (ex.: desativado)
+        return [event.before, event.after].some(image => image && QueryMatcher.matches(image, this.filter));
+    }
+
+    push(event) {
+        this.emit('change', event);
+
+        if (!this.iterating) return;
+        if (this.waiting.length > 0) {
+            this.waiting.shift().resolve({ value: event, done: false });
+        } else {
+            this.queue.push(event);
+        }
+    }
+
+    fail(error) {
+        if (this.closed) return;
+        this.error = error;
+
+        if (this.listenerCount('error') > 0) {
+            this.emit('error', error);
+        } else if (!this.iterating) {
+            console.error('Erro no stream de mudanças:', error);
+        }
+
+        this.waiting.splice(0).forEach(waiter => waiter.reject(error));
+        this.close();
+    }
+
+    close() {
+        if (this.closed) return;
+        this.closed = true;
+
+        clearInterval(this.timer);
+        ChangeLog.notifier(this.changeLog.filePath).off('change', this.onNotify);
+        this.waiting.splice(0).forEach(waiter => waiter.resolve({ value: undefined, done: true }));
+        this.emit('close');
+    }
+
+    [Symbol.asyncIterator]() {
+        this.iterating = true;
+        return this;
+    }
+
+    next() {
+        this.iterating = true;
+
+        if (this.queue.length > 0) {
+            return Promise.resolve({ value: this.queue.shift(), done: false });
+        }
+        if (this.error) {
+            return Promise.reject(this.error);
+        }
+        if (this.closed) {
+            return Promise.resolve({ value: undefined, done: true });
+        }
+        return new Promise((resolve, reject) => this.waiting.push({ resolve, reject }));
+    }
+
+    async return() {
+        this.close();
+        return { value: undefined, done: true };
+    }
+}
+
+module.exports = ChangeStream;
@@ -0,0 +1,102 @@
+const QueryMatcher = require('./QueryMatcher');
+const Aggregation = require('./Aggregation');
+
+/**
+ * Ordenação estável e paginação por cursor (keyset) do JsonDatabase
+ *
+ * A ordenação sempre termina no campo "id" como critério de desempate, de
+ * modo que cada documento tem uma posição única. O cursor é um token opaco
+ * com os valores de ordenação do último documento entregue: a próxima página
+ * começa logo depois dessa posição, mesmo que documentos sejam inseridos
+ * ou removidos entre as requisições.
+ */
+class Cursor {
+    /**
+     * Normaliza a ordenação acrescentando o desempate por id
+     * @param {Object} sort - Ex.: { createdAt: -1, name: 1 }
+     * @returns {Array} Pares [campo, direção]
+     */
+    static normalizeSort(sort = {}) {
+        if (!QueryMatcher.isPlainObject(sort)) {
+            throw new Error('Ordenação deve ser um objeto');
+        }
+
+        const fields = Object.entries(sort).map(([field, direction]) => {
+            if (direction !== 1 && direction !== -1) {
+                throw new Error(`Direção de ordenação inválida para ${field}: use 1 ou -1`);
+            }
+            return [field, direction];
+        });
+
+        if (!fields.some(([field]) => field === 'id')) {
+            fields.push(['id', 1]);
+        }
+        return fields;
+    }
+
+    static sortKey(document, sortFields) {
+        return sortFields.map(([field]) => {
+            const value = Aggregation.getValue(document, field);
+            return value === undefined ? null : value;
+        });
+    }
+
+    static compareKeys(keyA, keyB, sortFields) {
+        for (let position = 0; position < sortFields.length; position++) {
+            const result = Aggregation.compareValues(keyA[position], keyB[position]);
+            if (result !== 0) {
+                return result * sortFields[position][1];
+            }
+        }
+        return 0;
+    }
+
+    /**
+     * Gera o cursor que aponta para a posição do documento
+     * @param {Object} document - Último documento da página
+     * @param {Array} sortFields - Ordenação normalizada
+     * @returns {string} Token opaco (base64url)
+     */
+    static encode(document, sortFields) {
+        return Buffer.from(JSON.stringify({
+            sort: sortFields,
+            key: this.sortKey(document, sortFields)
+        })).toString('base64url');
+    }
+
+    /**
+     * Lê o cursor, validando que foi gerado para a mesma ordenação
+     * @returns {Array} Chave de ordenação da posição do cursor
+     * @throws {Error} Erro com code INVALID_CURSOR
+     */
+    static decode(token, sortFields) {
+        let position;
+        try {
+            position = JSON.parse(Buffer.from(String(token), 'base64url').toString('utf8'));
+        } catch (error) {
+            throw this.invalid('Cursor inválido');
+        }
+
+        if (!position || !Array.isArray(position.key) || position.key.length !== sortFields.length) {
+            throw this.invalid('Cursor inválido');
+        }
+        if (JSON.stringify(position.sort) !== JSON.stringify(sortFields)) {
+            throw this.invalid('Cursor não corresponde à ordenação da consulta');
+        }
+        return position.key;
+    }
+
+    // Documentos posicionados depois do cursor (já ordenados)
+    static after(documents, token, sortFields) {
+        const key = this.decode(token, sortFields);
+        return documents.filter(document => this.compareKeys(this.sortKey(document, sortFields), key, sortFields) > 0);
+    }
+
+    static invalid(message) {
+        const error = new Error(message);
+        error.code = 'INVALID_CURSOR';
+        return error;
+    }
+}
+
+module.exports = Cursor;
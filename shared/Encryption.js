@@ -0,0 +1,247 @@
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const path = require('path');
+
+const ALGORITHM = 'aes-256-gcm';
+// Prefixo de todo conteúdo cifrado: identifica o formato e a versão
+const PREFIX = 'jsondb:aes-256-gcm:v1';
+const IV_BYTES = 12;
+const KEY_BYTES = 32;
+
+/**
+ * Criptografia em repouso dos arquivos do JsonDatabase (AES-256-GCM)
+ *
+ * Cada conteúdo cifrado é uma linha de texto
+ * "jsondb:aes-256-gcm:v1:<keyId>:<iv>:<tag>:<dados>" (base64), então o
+ * snapshot inteiro vira uma linha e os arquivos NDJSON (journal e registro
+ * de mudanças) continuam com um registro por linha.
+ *
+ * As chaves (32 bytes em base64 ou hex) vêm da variável de ambiente keyEnv
+ * ou, sem ela, do arquivo keyFile; em ambos, várias chaves separadas por
+ * vírgula ou quebra de linha formam um chaveiro: a primeira cifra e todas
+ * decifram (o keyId de cada conteúdo indica a chave). O arquivo é relido
+ * quando muda, então uma rotação feita por outro processo é percebida sem
+ * reiniciar o serviço.
+ */
+class Encryption {
+    /**
+     * @param {Object} options - Origem das chaves
+     * @param {string} options.keyEnv - Variável de ambiente com a(s) chave(s) (tem precedência)
+     * @param {string} options.keyFile - Arquivo com a(s) chave(s), uma por linha
+     * @param {boolean} options.generate - Criar keyFile com uma chave nova se nenhuma chave existir
+     */
+    constructor(options = {}) {
+        if (!options.keyEnv && !options.keyFile) {
+            throw Encryption.error('Criptografia requer keyEnv ou keyFile', 'ENCRYPTION_KEY_MISSING');
+        }
+        this.keyEnv = options.keyEnv || null;
+        this.keyFile = options.keyFile ? path.resolve(options.keyFile) : null;
+        this.generate = Boolean(options.generate);
+        this.ring = null;
+        this.ringSignature = null;
+    }
+
+    // Aceita uma instância pronta ou as opções do construtor
+    static from(options) {
+        return options instanceof Encryption ? options : new Encryption(options);
+    }
+
+    /**
+     * Opções de um serviço: chave(s) em <PREFIXO>_DB_KEY ou no arquivo <PREFIXO>_DB_KEY_FILE
+     * (padrão keyFile); fora de produção o arquivo é gerado na primeira execução
+     * @param {string} prefix - Prefixo do serviço, ex.: 'USER'
+     * @param {string} keyFile - Arquivo de chaves padrão
+     */
+    static serviceOptions(prefix, keyFile) {
+        return {
+            keyEnv: `${prefix}_DB_KEY`,
+            keyFile: process.env[`${prefix}_DB_KEY_FILE`] || keyFile,
+            generate: process.env.NODE_ENV !== 'production'
+        };
+    }
+
+    static error(message, code) {
+        const error = new Error(message);
+        error.code = code;
+        return error;
+    }
+
+    static generateKey() {
+        return crypto.randomBytes(KEY_BYTES).toString('base64');
+    }
+
+    // Identificador curto da chave gravado junto do conteúdo (não revela a chave)
+    static keyId(key) {
+        return crypto.createHash('sha256').update(key).digest('hex').slice(0, 8);
+    }
+
+    /**
+     * Texto com uma ou mais chaves -> [{ id, key }] (a primeira é a atual)
+     */
+    static parseKeys(text) {
+        const keys = String(text).split(/[\s,]+/).filter(Boolean).map(value => {
+            const key = /^[0-9a-f]{64}$/i.test(value) ? Buffer.from(value, 'hex') : Buffer.from(value, 'base64');
+            if (key.length !== KEY_BYTES) {
+                throw Encryption.error(`Chave de criptografia inválida: são necessários ${KEY_BYTES} bytes em base64 ou hex`, 'ENCRYPTION_KEY_INVALID');
+            }
+            return { id: Encryption.keyId(key), key };
+        });
+        if (keys.length === 0) {
+            throw Encryption.error('Nenhuma chave de criptografia informada', 'ENCRYPTION_KEY_MISSING');
+        }
+        return keys;
+    }
+
+    /**
+     * Gravar um chaveiro (a primeira chave passa a cifrar), legível só pelo dono
+     * @param {string} keyFile - Caminho do arquivo
+     * @param {Array<string>} keys - Chaves em base64 ou hex
+     */
+    static async writeKeyFile(keyFile, keys) {
+        Encryption.parseKeys(keys.join('\n'));
+        await fs.ensureDir(path.dirname(keyFile));
+        const tempPath = `${keyFile}.${process.pid}.tmp`;
+        await fs.writeFile(tempPath, `${keys.join('\n')}\n`, { mode: 0o600 });
+        await fs.rename(tempPath, keyFile);
+    }
+
+    static isEncrypted(text) {
+        return typeof text === 'string' && text.startsWith(`${PREFIX}:`);
+    }
+
+    // Chaveiro atual (relido se o arquivo mudou)
+    keys() {
+        if (this.keyEnv && process.env[this.keyEnv]) {
+            const signature = `env:${process.env[this.keyEnv]}`;
+            if (this.ringSignature !== signature) {
+                this.ring = Encryption.parseKeys(process.env[this.keyEnv]);
+                this.ringSignature = signature;
+            }
+            return this.ring;
+        }
+
+        if (!this.keyFile) {
+            throw Encryption.error(`Chave de criptografia não encontrada: defina ${this.keyEnv}`, 'ENCRYPTION_KEY_MISSING');
+        }
+
+        let stat;
+        try {
+            stat = fs.statSync(this.keyFile);
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+            if (!this.generate) {
+                throw Encryption.error(
+                    `Chave de criptografia não encontrada: defina ${this.keyEnv || 'a variável de ambiente'} ou crie ${this.keyFile}`,
+                    'ENCRYPTION_KEY_MISSING'
+                );
+            }
+            this.createKeyFile();
+            stat = fs.statSync(this.keyFile);
+        }
+
+        const signature = `file:${stat.ino}:${stat.size}:${stat.mtimeMs}`;
+        if (this.ringSignature !== signature) {
+            this.ring = Encryption.parseKeys(fs.readFileSync(this.keyFile, 'utf8'));
+            this.ringSignature = signature;
+        }
+        return this.ring;
+    }
+
+    // Primeira execução sem chave configurada (desenvolvimento): gerar o arquivo
+    createKeyFile() {
+        fs.ensureDirSync(path.dirname(this.keyFile));
+        try {
+            fs.writeFileSync(this.keyFile, `${Encryption.generateKey()}\n`, { flag: 'wx', mode: 0o600 });
+            console.warn(`🔑 Chave de criptografia gerada em ${this.keyFile} (guarde uma cópia: sem ela os dados não podem ser lidos)`);
+        } catch (error) {
+            // Outro processo criou o arquivo ao mesmo tempo
+            if (error.code !== 'EEXIST') throw error;
+        }
+    }
+
+    encrypt(plaintext) {
+        const [{ id, key }] = this.keys();
+        const iv = crypto.randomBytes(IV_BYTES);
+        const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+        const data = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+        return [PREFIX, id, iv.toString('base64'), cipher.getAuthTag().toString('base64'), data.toString('base64')].join(':');
+    }
+
+    decrypt(text) {
+        if (!Encryption.isEncrypted(text)) {
+            throw Encryption.error('Conteúdo não está cifrado no formato do JsonDatabase', 'DECRYPTION_FAILED');
+        }
+
+        const parts = text.trim().slice(PREFIX.length + 1).split(':');
+        if (parts.length !== 4 || parts.some(part => !part)) {
+            throw Encryption.error('Conteúdo cifrado incompleto', 'DECRYPTION_FAILED');
+        }
+
+        const [id, iv, tag, data] = parts;
+        const entry = this.keys().find(candidate => candidate.id === id);
+        if (!entry) {
+            throw Encryption.error(`Conteúdo cifrado com uma chave desconhecida (${id})`, 'ENCRYPTION_KEY_UNKNOWN');
+        }
+
+        try {
+            const decipher = crypto.createDecipheriv(ALGORITHM, entry.key, Buffer.from(iv, 'base64'));
+            decipher.setAuthTag(Buffer.from(tag, 'base64'));
+            return Buffer.concat([decipher.update(Buffer.from(data, 'base64')), decipher.final()]).toString('utf8');
+        } catch (error) {
+            throw Encryption.error('Falha ao decifrar: conteúdo corrompido ou adulterado', 'DECRYPTION_FAILED');
+        }
+    }
+
+    // Texto claro -> texto gravado (sem criptografia configurada, inalterado)
+    static encode(encryption, text) {
+        return encryption ? encryption.encrypt(text) : text;
+    }
+
+    /**
+     * Texto gravado -> texto claro. Conteúdo ainda não cifrado (coleções
+     * criadas antes da criptografia) é aceito e cifrado na próxima escrita.
+     * @param {Encryption|null} encryption - Criptografia da coleção
+     * @param {string} text - Conteúdo lido
+     * @param {string} source - Arquivo de origem (para a mensagem de erro)
+     */
+    static decode(encryption, text, source) {
+        if (!Encryption.isEncrypted(text)) {
+            return text;
+        }
+        if (!encryption) {
+            throw Encryption.error(`${source} está cifrado: abra a coleção com options.encryption`, 'ENCRYPTION_KEY_MISSING');
+        }
+        return encryption.decrypt(text);
+    }
+
+    // Falta de chave não é corrupção: nunca tratar como registro incompleto
+    static isKeyError(error) {
+        return error.code === 'ENCRYPTION_KEY_MISSING' || error.code === 'ENCRYPTION_KEY_UNKNOWN' || error.code === 'ENCRYPTION_KEY_INVALID';
+    }
+
+    // Opções necessárias para reabrir a coleção (sem a chave)
+    describe() {
+        return {
+            ...(this.keyEnv ? { keyEnv: this.keyEnv } : {}),
+            ...(this.keyFile ? { keyFile: this.keyFile } : {})
+        };
+    }
+
+    /**
+     * O arquivo tem conteúdo em texto claro? (JSON inteiro ou, com lines, alguma linha NDJSON)
+     */
+    static async hasPlaintext(filePath, options = {}) {
+        let content;
+        try {
+            content = await fs.readFile(filePath, 'utf8');
+        } catch (error) {
+            if (error.code === 'ENOENT') return false;
+            throw error;
+        }
+
+        const parts = options.lines ? content.split('\n') : [content];
+        return parts.some(part => part.trim() && !Encryption.isEncrypted(part));
+    }
+}
+
+module.exports = Encryption;
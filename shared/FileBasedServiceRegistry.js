@@ -0,0 +1,457 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const FileLock = require('./FileLock');
+const BaseServiceRegistry = require('./BaseServiceRegistry');
+
+// Tentativas de updateRegistry() quando o lock está ocupado
+const UPDATE_ATTEMPTS = 3;
+
+/**
+ * Service Registry baseado em arquivo (services-registry.json)
+ *
+ * Cada serviço pode ter várias instâncias (ex.: dois item-service em portas
+ * diferentes), cada uma com id, url, pid e saúde próprios:
+ *   { "item-service": { "instances": { "<id>": { url, pid, healthy, ... } } } }
+ *
+ * discover() escolhe uma instância saudável pela estratégia configurada
+ * (options.strategy ou SERVICE_DISCOVERY_STRATEGY, padrão round-robin),
+ * opcionalmente só entre as de uma faixa de versão e com certas tags;
+ * reportFailure() tira a instância da rotação até o próximo health check.
+ *
+ * Cada registro é um lease: a instância o renova com heartbeat() antes de
+ * SERVICE_LEASE_TTL (padrão 30s) expirar. Instâncias com lease vencido ou
+ * cujo processo não existe mais (mesmo host) são descartadas na leitura e
+ * removidas do arquivo na próxima escrita, mesmo após um kill -9.
+ *
+ * Toda alteração passa por updateRegistry(): ler, alterar e gravar com o
+ * lock do arquivo (services-registry.json.lock) e escrita atômica (arquivo
+ * temporário + rename), então processos que se registram ao mesmo tempo não
+ * sobrescrevem uns aos outros e leitores nunca veem o arquivo pela metade.
+ * As alterações são assíncronas (o lock é aguardado sem bloquear o event
+ * loop); leituras e cleanup() na saída do processo são síncronos.
+ */
+class FileBasedServiceRegistry extends BaseServiceRegistry {
+    /**
+     * @param {Object} options - registryFile (padrão SERVICE_REGISTRY_FILE ou shared/services-registry.json)
+     */
+    constructor(options = {}) {
+        super();
+        this.registryFile = path.resolve(
+            options.registryFile || process.env.SERVICE_REGISTRY_FILE || path.join(__dirname, 'services-registry.json')
+        );
+        this.lock = new FileLock(this.registryFile, { timeout: 2000, staleAfter: 5000 });
+        this.ensureRegistryFile();
+        console.log('File-based Service Registry inicializado:', this.registryFile);
+    }
+
+    ensureRegistryFile() {
+        if (!fs.existsSync(this.registryFile)) {
+            this.updateRegistrySync(() => {});
+        }
+    }
+
+    // Conteúdo atual do arquivo (null se ainda não existe)
+    readRaw() {
+        try {
+            return fs.readFileSync(this.registryFile, 'utf8');
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+    }
+
+    async readRawAsync() {
+        try {
+            return await fs.promises.readFile(this.registryFile, 'utf8');
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+    }
+
+    // Serviços ativos do conteúdo do arquivo; as instâncias removidas por
+    // evictExpired() são acrescentadas a evicted
+    parse(raw, evicted = []) {
+        const services = this.normalize(raw ? JSON.parse(raw) : {});
+        evicted.push(...this.evictExpired(services));
+        return services;
+    }
+
+    // Leitura sem lock: a escrita atômica garante um arquivo completo
+    readRegistry() {
+        try {
+            return this.parse(this.readRaw());
+        } catch (error) {
+            console.error('Erro ao ler registry file:', error.message);
+            return {};
+        }
+    }
+
+    /**
+     * Ler, alterar e gravar o registry com o lock do arquivo, aguardando o
+     * lock sem bloquear o event loop. Se o lock continuar ocupado após o
+     * timeout (contenção), tenta de novo.
+     * @param {Function} mutate - Recebe os serviços e os altera no lugar
+     * @returns {Promise<*>} Retorno de mutate
+     */
+    async updateRegistry(mutate) {
+        for (let attempt = 1; ; attempt++) {
+            try {
+                return await this.lock.run(async () => {
+                    const raw = await this.readRawAsync();
+                    const { result, data, evicted } = this.applyMutation(raw, mutate);
+                    if (data !== raw) {
+                        await FileLock.writeAtomic(this.registryFile, data);
+                        this.logEvictions(evicted);
+                    }
+                    return result;
+                });
+            } catch (error) {
+                if (!this.shouldRetry(error, attempt)) throw error;
+            }
+        }
+    }
+
+    // Variante síncrona, só para a criação do arquivo e o hook de saída do processo
+    updateRegistrySync(mutate) {
+        for (let attempt = 1; ; attempt++) {
+            try {
+                return this.lock.runSync(() => {
+                    const raw = this.readRaw();
+                    const { result, data, evicted } = this.applyMutation(raw, mutate);
+                    if (data !== raw) {
+                        FileLock.writeAtomicSync(this.registryFile, data);
+                        this.logEvictions(evicted);
+                    }
+                    return result;
+                });
+            } catch (error) {
+                if (!this.shouldRetry(error, attempt)) throw error;
+            }
+        }
+    }
+
+    applyMutation(raw, mutate) {
+        const evicted = [];
+        const services = this.parse(raw, evicted);
+        const result = mutate(services);
+        // Grava também as remoções feitas por evictExpired()
+        return { result, data: JSON.stringify(services, null, 2), evicted };
+    }
+
+    // Só as remoções gravadas no arquivo: as leituras também descartam as
+    // instâncias vencidas, mas sem alterar o registry
+    logEvictions(evicted) {
+        evicted.forEach(({ name, id, reason }) => {
+            console.log(`Instância removida do registry: ${name} [${id}] (${reason})`);
+        });
+    }
+
+    shouldRetry(error, attempt) {
+        if (error.code === 'LOCK_TIMEOUT' && attempt < UPDATE_ATTEMPTS) {
+            console.warn(`Registry ocupado por outro processo (tentativa ${attempt}/${UPDATE_ATTEMPTS})`);
+            return true;
+        }
+        console.error('Erro ao atualizar registry file:', error.message);
+        return false;
+    }
+
+    // Entradas do formato antigo (uma por serviço, sem lease) são descartadas
+    normalize(services) {
+        Object.entries(services).forEach(([name, entry]) => {
+            if (!entry.instances) {
+                delete services[name];
+            }
+        });
+        return services;
+    }
+
+    // O processo da instância ainda existe? (só verificável no mesmo host)
+    isProcessAlive(instance) {
+        if (instance.host !== this.host || !instance.pid) {
+            return true;
+        }
+        try {
+            process.kill(instance.pid, 0);
+            return true;
+        } catch (error) {
+            // EPERM: o processo existe, mas é de outro usuário
+            return error.code === 'EPERM';
+        }
+    }
+
+    /**
+     * Remover instâncias com lease vencido ou processo morto
+     * @param {Object} services - Serviços lidos do arquivo, alterados no lugar
+     * @returns {Array} Instâncias removidas ({ name, id, reason })
+     */
+    evictExpired(services) {
+        const now = Date.now();
+        const evicted = [];
+
+        Object.keys(services).forEach(name => {
+            Object.values(services[name].instances).forEach(instance => {
+                const expired = !instance.leaseExpiresAt || instance.leaseExpiresAt < now;
+                if (expired || !this.isProcessAlive(instance)) {
+                    delete services[name].instances[instance.id];
+                    evicted.push({ name, id: instance.id, reason: expired ? 'lease expirado' : `PID ${instance.pid} encerrado` });
+                }
+            });
+            if (Object.keys(services[name].instances).length === 0) {
+                delete services[name];
+            }
+        });
+
+        return evicted;
+    }
+
+    // Instâncias de um serviço (vazio se não registrado)
+    listInstances(serviceName, services = this.readRegistry()) {
+        const entry = services[serviceName];
+        return entry ? Object.values(entry.instances) : [];
+    }
+
+    /**
+     * Registrar uma instância de serviço
+     * @param {string} serviceName - Nome do serviço
+     * @param {Object} serviceInfo - url e metadados (version, tags, domain,
+     *   endpoints; weight opcional, padrão SERVICE_WEIGHT ou 1)
+     * @param {Object} options - id para registrar de novo uma instância removida;
+     *   pid e host de uma instância de outro processo (registry server)
+     * @returns {Promise<Object>} Instância registrada (use o id em heartbeat/unregister)
+     */
+    async register(serviceName, serviceInfo, options = {}) {
+        const id = options.id || `${serviceName}-${crypto.randomUUID().slice(0, 8)}`;
+        const remote = Boolean(options.pid);
+        const now = Date.now();
+        // Metadados do ambiente só para instâncias deste processo (o cliente HTTP aplica os seus)
+        const info = remote ? serviceInfo : this.localServiceInfo(serviceInfo);
+        const instance = {
+            ...info,
+            id,
+            serviceName,
+            weight: Number(info.weight) || 1,
+            tags: BaseServiceRegistry.normalizeTags(info.tags),
+            registeredAt: now,
+            lastHealthCheck: now,
+            lastHeartbeat: now,
+            leaseTtl: this.leaseTtl,
+            leaseExpiresAt: now + this.leaseTtl,
+            lastFailureAt: null,
+            failures: 0,
+            healthy: true,
+            host: remote ? options.host : this.host,
+            pid: remote ? options.pid : process.pid
+        };
+
+        // Antes de gravar: se a gravação falhar, o heartbeat registra de novo
+        if (!remote) {
+            this.ownInstances.set(id, { ...this.ownInstances.get(id), serviceName, serviceInfo });
+        }
+
+        const count = await this.updateRegistry(services => {
+            const entry = services[serviceName] || { instances: {} };
+
+            // Uma instância reiniciada na mesma URL substitui o registro anterior
+            Object.values(entry.instances)
+                .filter(other => other.url === serviceInfo.url)
+                .forEach(other => delete entry.instances[other.id]);
+
+            entry.instances[id] = instance;
+            services[serviceName] = entry;
+            return Object.keys(entry.instances).length;
+        });
+
+        console.log(`Serviço registrado: ${serviceName} [${id}] - ${serviceInfo.url} (PID: ${instance.pid})`);
+        console.log(`Instâncias de ${serviceName}: ${count}`);
+        return instance;
+    }
+
+    /**
+     * Descobrir uma instância saudável de um serviço
+     * @param {string} serviceName - Nome do serviço
+     * @param {Object} options - strategy, exclude (ids já tentados),
+     *   version (faixa semver, ex.: '^1.2'), tags (ex.: ['canary'])
+     * @returns {Object} Instância escolhida (url, id, ...)
+     */
+    discover(serviceName, options = {}) {
+        return this.balancer.pick(serviceName, this.listInstances(serviceName), options);
+    }
+
+    // Instância pelo id, em qualquer serviço (null se não registrada)
+    findInstance(instanceId) {
+        const services = this.readRegistry();
+        const entry = Object.values(services).find(service => service.instances[instanceId]);
+        return entry ? entry.instances[instanceId] : null;
+    }
+
+    // Listar todos os serviços e suas instâncias
+    listServices() {
+        const services = this.readRegistry();
+        const serviceList = {};
+
+        Object.keys(services).forEach(name => {
+            const instances = this.listInstances(name, services).map(instance => ({
+                id: instance.id,
+                url: instance.url,
+                healthy: instance.healthy,
+                registeredAt: new Date(instance.registeredAt).toISOString(),
+                uptime: Date.now() - instance.registeredAt,
+                pid: instance.pid,
+                weight: instance.weight,
+                failures: instance.failures,
+                lastFailureAt: instance.lastFailureAt ? new Date(instance.lastFailureAt).toISOString() : null,
+                host: instance.host,
+                lastHeartbeat: new Date(instance.lastHeartbeat).toISOString(),
+                leaseExpiresAt: new Date(instance.leaseExpiresAt).toISOString(),
+                metadata: {
+                    version: instance.version || null,
+                    tags: instance.tags || [],
+                    domain: instance.domain || null,
+                    endpoints: instance.endpoints || []
+                }
+            }));
+
+            serviceList[name] = {
+                healthy: instances.some(instance => instance.healthy),
+                instanceCount: instances.length,
+                healthyCount: instances.filter(instance => instance.healthy).length,
+                instances
+            };
+        });
+
+        return serviceList;
+    }
+
+    /**
+     * Remover uma instância (ou, sem instanceId, as instâncias deste processo)
+     */
+    async unregister(serviceName, instanceId = null) {
+        const removed = await this.updateRegistry(services => {
+            const matches = this.listInstances(serviceName, services)
+                .filter(instance => instanceId ? instance.id === instanceId : this.isOwn(instance));
+
+            matches.forEach(instance => delete services[serviceName].instances[instance.id]);
+            if (services[serviceName] && Object.keys(services[serviceName].instances).length === 0) {
+                delete services[serviceName];
+            }
+            return matches;
+        });
+
+        removed.forEach(instance => {
+            this.stopHeartbeat(instance.id);
+            this.ownInstances.delete(instance.id);
+        });
+
+        if (removed.length === 0) {
+            return false;
+        }
+
+        console.log(`Serviço removido: ${serviceName} [${removed.map(instance => instance.id).join(', ')}]`);
+        return true;
+    }
+
+    // Health check de uma instância (melhor esforço: falha ao gravar só é registrada no log)
+    async updateHealth(serviceName, instanceId, healthy) {
+        try {
+            const updated = await this.updateRegistry(services => {
+                const instance = services[serviceName] && services[serviceName].instances[instanceId];
+                if (!instance) return false;
+
+                instance.healthy = healthy;
+                instance.lastHealthCheck = Date.now();
+                if (!healthy) {
+                    instance.lastFailureAt = Date.now();
+                    instance.failures++;
+                }
+                return true;
+            });
+
+            if (updated) {
+                const status = healthy ? 'OK' : 'FAIL';
+                console.log(`Health check: ${serviceName} [${instanceId}] - ${status}`);
+            }
+        } catch (error) {
+            console.error(`Erro ao atualizar health de ${serviceName} [${instanceId}]:`, error.message);
+        }
+    }
+
+    /**
+     * Renovar o lease de uma instância e registrar sua saúde
+     * @returns {Promise<boolean>} false se a instância não está mais no registry (lease expirado)
+     */
+    async heartbeat(serviceName, instanceId, healthy) {
+        return this.updateRegistry(services => {
+            const instance = services[serviceName] && services[serviceName].instances[instanceId];
+            if (!instance) {
+                return false;
+            }
+
+            const now = Date.now();
+            instance.lastHeartbeat = now;
+            instance.leaseExpiresAt = now + this.leaseTtl;
+            instance.lastHealthCheck = now;
+            if (instance.healthy !== healthy) {
+                console.log(`Heartbeat: ${serviceName} [${instanceId}] - ${healthy ? 'OK' : 'FAIL'}`);
+            }
+            instance.healthy = healthy;
+            if (!healthy) {
+                instance.lastFailureAt = now;
+                instance.failures++;
+            }
+            return true;
+        });
+    }
+
+    // Obter estatísticas
+    getStats() {
+        const services = this.readRegistry();
+        const instances = Object.keys(services).flatMap(name => this.listInstances(name, services));
+        const healthy = instances.filter(instance => instance.healthy).length;
+
+        return {
+            services: Object.keys(services).length,
+            total: instances.length,
+            healthy,
+            unhealthy: instances.length - healthy,
+            strategy: this.strategy,
+            leaseTtl: this.leaseTtl
+        };
+    }
+
+    // Limpar registry (útil para desenvolvimento)
+    async clear() {
+        await this.updateRegistry(services => {
+            Object.keys(services).forEach(name => delete services[name]);
+        });
+        console.log('Registry limpo');
+    }
+
+    // Cleanup na saída do processo (síncrono: roda também no evento 'exit')
+    cleanup() {
+        // Remove instâncias deste processo ao sair
+        if (this.ownInstances.size === 0) return;
+
+        try {
+            this.updateRegistrySync(services => {
+                Object.keys(services).forEach(name => {
+                    this.listInstances(name, services)
+                        .filter(instance => this.isOwn(instance))
+                        .forEach(instance => {
+                            delete services[name].instances[instance.id];
+                            console.log(`Removendo instância ${instance.id} de ${name} do PID ${process.pid}`);
+                        });
+                    if (Object.keys(services[name].instances).length === 0) {
+                        delete services[name];
+                    }
+                });
+            });
+            this.ownInstances.clear();
+        } catch (error) {
+            console.error('Erro ao remover instâncias do registry na saída:', error.message);
+        }
+    }
+}
+
+module.exports = FileBasedServiceRegistry;
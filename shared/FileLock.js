@@ -0,0 +1,386 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+
+// Host gravado no .lock: pids só são comparáveis no mesmo host
+const HOST = os.hostname();
+
+/**
+ * Lock de arquivo entre processos (arquivo .lock criado com O_EXCL)
+ * e escrita atômica via arquivo temporário + rename.
+ *
+ * O arquivo .lock guarda pid e host do dono. Um lock só é tomado de volta
+ * quando está abandonado: o processo dono não existe mais (mesmo host) ou,
+ * para um dono de outro host (ou um .lock ilegível), passou de staleAfter.
+ * Um dono vivo e lento nunca perde o lock, e dois processos aguardando não
+ * removem um o lock recém-adquirido pelo outro (ver reclaimAbandoned).
+ *
+ * As variantes *Sync usam o mesmo arquivo .lock, para código síncrono
+ * (ex.: criação do service registry e hooks de saída do processo).
+ */
+class FileLock {
+    constructor(targetPath, options = {}) {
+        this.targetPath = targetPath;
+        this.lockPath = `${targetPath}.lock`;
+        this.timeout = options.timeout || 10000;
+        this.staleAfter = options.staleAfter || 10000;
+        this.retryDelay = options.retryDelay || 10;
+        this.held = false;
+    }
+
+    // Conteúdo do .lock deste processo
+    static ownerRecord() {
+        return JSON.stringify({ pid: process.pid, host: HOST, acquiredAt: Date.now() });
+    }
+
+    // Adquirir lock, aguardando enquanto outro processo o detém
+    async acquire() {
+        const startedAt = Date.now();
+
+        while (true) {
+            try {
+                await fs.writeFile(this.lockPath, FileLock.ownerRecord(), { flag: 'wx' });
+                this.held = true;
+                return;
+            } catch (error) {
+                if (error.code !== 'EEXIST') {
+                    throw error;
+                }
+            }
+
+            if (await this.reclaimAbandoned()) {
+                continue;
+            }
+
+            if (Date.now() - startedAt > this.timeout) {
+                throw this.timeoutError();
+            }
+
+            await FileLock.sleep(this.retryDelay + Math.random() * this.retryDelay);
+        }
+    }
+
+    // Adquirir lock bloqueando o processo enquanto aguarda
+    acquireSync() {
+        const startedAt = Date.now();
+
+        while (true) {
+            try {
+                fs.writeFileSync(this.lockPath, FileLock.ownerRecord(), { flag: 'wx' });
+                this.held = true;
+                return;
+            } catch (error) {
+                if (error.code !== 'EEXIST') {
+                    throw error;
+                }
+            }
+
+            if (this.reclaimAbandonedSync()) {
+                continue;
+            }
+
+            if (Date.now() - startedAt > this.timeout) {
+                throw this.timeoutError();
+            }
+
+            FileLock.sleepSync(this.retryDelay + Math.random() * this.retryDelay);
+        }
+    }
+
+    timeoutError() {
+        const error = new Error(`Timeout ao adquirir lock: ${this.lockPath}`);
+        error.code = 'LOCK_TIMEOUT';
+        return error;
+    }
+
+    async release() {
+        if (!this.held) return;
+        this.held = false;
+        await fs.remove(this.lockPath);
+    }
+
+    releaseSync() {
+        if (!this.held) return;
+        this.held = false;
+        fs.removeSync(this.lockPath);
+    }
+
+    // Executar função com o lock adquirido
+    async run(fn) {
+        await this.acquire();
+        try {
+            return await fn();
+        } finally {
+            await this.release();
+        }
+    }
+
+    runSync(fn) {
+        this.acquireSync();
+        try {
+            return fn();
+        } finally {
+            this.releaseSync();
+        }
+    }
+
+    /**
+     * Retomar o lock se estiver abandonado. A confirmação e a remoção são
+     * feitas sob um segundo lock (.reclaim), um processo por vez: como um dono
+     * morto não libera mais o lock, ele não muda entre a checagem e a remoção.
+     * @returns {Promise<boolean>} true se o .lock abandonado foi removido (tentar adquirir de novo)
+     */
+    async reclaimAbandoned() {
+        if (!this.isAbandoned(await FileLock.inspect(this.lockPath))) {
+            return false;
+        }
+
+        const reclaimPath = `${this.lockPath}.reclaim`;
+        try {
+            await fs.writeFile(reclaimPath, FileLock.ownerRecord(), { flag: 'wx' });
+        } catch (error) {
+            if (error.code !== 'EEXIST') throw error;
+            // Outro processo está retomando; .reclaim de quem morreu no meio é removido
+            await this.removeIfAbandoned(reclaimPath);
+            return false;
+        }
+
+        try {
+            return await this.removeIfAbandoned(this.lockPath);
+        } finally {
+            await fs.remove(reclaimPath);
+        }
+    }
+
+    reclaimAbandonedSync() {
+        if (!this.isAbandoned(FileLock.inspectSync(this.lockPath))) {
+            return false;
+        }
+
+        const reclaimPath = `${this.lockPath}.reclaim`;
+        try {
+            fs.writeFileSync(reclaimPath, FileLock.ownerRecord(), { flag: 'wx' });
+        } catch (error) {
+            if (error.code !== 'EEXIST') throw error;
+            this.removeIfAbandonedSync(reclaimPath);
+            return false;
+        }
+
+        try {
+            return this.removeIfAbandonedSync(this.lockPath);
+        } finally {
+            fs.removeSync(reclaimPath);
+        }
+    }
+
+    /**
+     * Remover um arquivo de lock abandonado: renomeia para um nome único e
+     * confere que é o mesmo arquivo julgado abandonado (o dono de outro host
+     * pode tê-lo liberado e outro processo adquirido nesse meio-tempo)
+     * @returns {Promise<boolean>} true se removeu
+     */
+    async removeIfAbandoned(filePath) {
+        const observed = await FileLock.inspect(filePath);
+        if (!this.isAbandoned(observed)) {
+            return false;
+        }
+
+        const claimedPath = FileLock.claimPathFor(filePath);
+        try {
+            await fs.rename(filePath, claimedPath);
+        } catch (error) {
+            // Liberado ou removido por outro processo
+            if (error.code === 'ENOENT') return false;
+            throw error;
+        }
+
+        if (FileLock.sameLock(observed, await FileLock.inspect(claimedPath))) {
+            await fs.remove(claimedPath);
+            return true;
+        }
+
+        // Lock novo: devolvê-lo (link não sobrescreve um lock criado depois)
+        try {
+            await fs.link(claimedPath, filePath);
+        } catch (error) {
+            if (error.code !== 'EEXIST') throw error;
+        }
+        await fs.remove(claimedPath);
+        return false;
+    }
+
+    removeIfAbandonedSync(filePath) {
+        const observed = FileLock.inspectSync(filePath);
+        if (!this.isAbandoned(observed)) {
+            return false;
+        }
+
+        const claimedPath = FileLock.claimPathFor(filePath);
+        try {
+            fs.renameSync(filePath, claimedPath);
+        } catch (error) {
+            if (error.code === 'ENOENT') return false;
+            throw error;
+        }
+
+        if (FileLock.sameLock(observed, FileLock.inspectSync(claimedPath))) {
+            fs.removeSync(claimedPath);
+            return true;
+        }
+
+        try {
+            fs.linkSync(claimedPath, filePath);
+        } catch (error) {
+            if (error.code !== 'EEXIST') throw error;
+        }
+        fs.removeSync(claimedPath);
+        return false;
+    }
+
+    /**
+     * Lock abandonado: dono morto no mesmo host; dono de outro host ou .lock
+     * ilegível (ex.: processo morto durante a criação) só depois de staleAfter
+     * @param {Object|null} lock - Resultado de inspect()
+     */
+    isAbandoned(lock) {
+        if (!lock) {
+            return false;
+        }
+        const { owner } = lock;
+        if (owner && owner.pid && (!owner.host || owner.host === HOST)) {
+            return !FileLock.isProcessAlive(owner.pid);
+        }
+        return lock.age > this.staleAfter;
+    }
+
+    /**
+     * Ler um .lock: conteúdo, dono, inode e idade lidos do mesmo descritor
+     * @returns {Promise<Object|null>} { ino, raw, owner, age }, ou null se não existe
+     */
+    static async inspect(lockPath) {
+        let fd;
+        try {
+            fd = await fs.open(lockPath, 'r');
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+        try {
+            const stat = await fs.fstat(fd);
+            return FileLock.describe(stat, await fs.readFile(fd, 'utf8'));
+        } finally {
+            await fs.close(fd);
+        }
+    }
+
+    static inspectSync(lockPath) {
+        let fd;
+        try {
+            fd = fs.openSync(lockPath, 'r');
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+        try {
+            return FileLock.describe(fs.fstatSync(fd), fs.readFileSync(fd, 'utf8'));
+        } finally {
+            fs.closeSync(fd);
+        }
+    }
+
+    static describe(stat, raw) {
+        let owner = null;
+        try {
+            owner = JSON.parse(raw);
+        } catch (error) {
+            // Ainda sendo escrito, ou escrita interrompida
+        }
+        return { ino: stat.ino, raw, owner, age: Date.now() - stat.mtimeMs };
+    }
+
+    // Mesmo arquivo de lock (e não um lock novo criado no mesmo caminho)
+    static sameLock(a, b) {
+        return Boolean(a && b) && a.ino === b.ino && a.raw === b.raw;
+    }
+
+    static claimPathFor(lockPath) {
+        return `${lockPath}.${process.pid}.${Math.random().toString(36).slice(2)}.stale`;
+    }
+
+    static isProcessAlive(pid) {
+        if (!pid) return false;
+        try {
+            process.kill(pid, 0);
+            return true;
+        } catch (error) {
+            return error.code === 'EPERM';
+        }
+    }
+
+    // Escrever arquivo de forma atômica (nunca deixa o destino pela metade)
+    static async writeAtomic(filePath, data) {
+        const tempPath = FileLock.tempPathFor(filePath);
+
+        try {
+            const fd = await fs.open(tempPath, 'w');
+            try {
+                await fs.writeFile(fd, data);
+                await fs.fsync(fd);
+            } finally {
+                await fs.close(fd);
+            }
+            await fs.rename(tempPath, filePath);
+        } catch (error) {
+            await fs.remove(tempPath).catch(() => {});
+            throw error;
+        }
+    }
+
+    static writeAtomicSync(filePath, data) {
+        const tempPath = FileLock.tempPathFor(filePath);
+
+        try {
+            const fd = fs.openSync(tempPath, 'w');
+            try {
+                fs.writeFileSync(fd, data);
+                fs.fsyncSync(fd);
+            } finally {
+                fs.closeSync(fd);
+            }
+            fs.renameSync(tempPath, filePath);
+        } catch (error) {
+            fs.removeSync(tempPath);
+            throw error;
+        }
+    }
+
+    static tempPathFor(filePath) {
+        return path.join(
+            path.dirname(filePath),
+            `.${path.basename(filePath)}.${process.pid}.${Date.now()}.${Math.random().toString(36).slice(2)}.tmp`
+        );
+    }
+
+    // Criar arquivo com conteúdo inicial apenas se ainda não existir (O_EXCL)
+    static async createIfMissing(filePath, content) {
+        try {
+            await fs.writeFile(filePath, content, { flag: 'wx' });
+        } catch (error) {
+            if (error.code !== 'EEXIST') throw error;
+        }
+    }
+
+    static async writeJsonAtomic(filePath, value) {
+        await FileLock.writeAtomic(filePath, JSON.stringify(value, null, 2));
+    }
+
+    static sleep(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+
+    static sleepSync(ms) {
+        Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, ms);
+    }
+}
+
+module.exports = FileLock;
@@ -0,0 +1,201 @@
+const axios = require('axios');
+const crypto = require('crypto');
+const BaseServiceRegistry = require('./BaseServiceRegistry');
+
+/**
+ * Cliente do registry server (registry-server/), com a mesma interface do
+ * FileBasedServiceRegistry; todos os métodos devolvem Promises.
+ *
+ * O id da instância é gerado aqui, então register() devolve a instância
+ * mesmo com o registry server fora do ar: o aviso vai para o log e o
+ * heartbeat a registra assim que o servidor responder. A escolha da
+ * instância no discover() também é feita aqui (LoadBalancer), com a
+ * lista de instâncias atual do servidor.
+ */
+class HttpServiceRegistry extends BaseServiceRegistry {
+    /**
+     * @param {string} baseUrl - URL do registry server, ex.: http://localhost:3004
+     * @param {Object} options - timeout das requisições em ms (padrão 5000)
+     */
+    constructor(baseUrl, options = {}) {
+        super();
+        this.baseUrl = baseUrl.replace(/\/+$/, '');
+        this.http = axios.create({ baseURL: this.baseUrl, timeout: options.timeout || 5000, family: 4 });
+        console.log('HTTP Service Registry inicializado:', this.baseUrl);
+    }
+
+    // Erro do registry server -> erro com code (o mesmo do servidor, ou REGISTRY_UNAVAILABLE)
+    static toError(error) {
+        if (error.response) {
+            const body = error.response.data || {};
+            return BaseServiceRegistry.error(body.message || `Registry server respondeu ${error.response.status}`, body.code || 'REGISTRY_ERROR');
+        }
+        return BaseServiceRegistry.error(`Registry server indisponível: ${error.message}`, 'REGISTRY_UNAVAILABLE');
+    }
+
+    async request(config) {
+        try {
+            return (await this.http.request(config)).data;
+        } catch (error) {
+            throw HttpServiceRegistry.toError(error);
+        }
+    }
+
+    /**
+     * Registrar uma instância de serviço
+     * @param {string} serviceName - Nome do serviço
+     * @param {Object} serviceInfo - url e metadados
+     * @param {Object} options - id para registrar de novo uma instância removida
+     * @returns {Promise<Object>} Instância registrada
+     */
+    async register(serviceName, serviceInfo, options = {}) {
+        const id = options.id || `${serviceName}-${crypto.randomUUID().slice(0, 8)}`;
+        serviceInfo = this.localServiceInfo(serviceInfo);
+        this.ownInstances.set(id, { ...this.ownInstances.get(id), serviceName, serviceInfo });
+
+        try {
+            const { instance } = await this.request({
+                method: 'post',
+                url: '/register',
+                data: { serviceName, serviceInfo, id, pid: process.pid, host: this.host }
+            });
+            // Heartbeat dentro do lease definido pelo servidor
+            if (!process.env.SERVICE_HEARTBEAT_INTERVAL && instance.leaseTtl) {
+                this.heartbeatInterval = Math.floor(instance.leaseTtl / 3);
+            }
+            console.log(`Serviço registrado: ${serviceName} [${id}] - ${serviceInfo.url} (registry server)`);
+            return instance;
+        } catch (error) {
+            if (error.code !== 'REGISTRY_UNAVAILABLE') throw error;
+            console.warn(`${error.message}: ${serviceName} [${id}] será registrado pelo heartbeat`);
+            return { ...serviceInfo, id, serviceName, pid: process.pid, host: this.host, healthy: true };
+        }
+    }
+
+    /**
+     * Descobrir uma instância saudável de um serviço
+     * @param {string} serviceName - Nome do serviço
+     * @param {Object} options - strategy, exclude (ids já tentados),
+     *   version (faixa semver, ex.: '^1.2'), tags (ex.: ['canary'])
+     * @returns {Promise<Object>} Instância escolhida (url, id, ...)
+     */
+    async discover(serviceName, options = {}) {
+        let instances = [];
+        try {
+            ({ instances } = await this.request({ method: 'get', url: `/services/${encodeURIComponent(serviceName)}` }));
+        } catch (error) {
+            if (error.code !== 'SERVICE_NOT_FOUND') throw error;
+        }
+        return this.balancer.pick(serviceName, instances, options);
+    }
+
+    async listServices() {
+        return (await this.request({ method: 'get', url: '/services' })).services;
+    }
+
+    /**
+     * Remover uma instância (ou, sem instanceId, as instâncias deste processo)
+     */
+    async unregister(serviceName, instanceId = null) {
+        const ids = instanceId
+            ? [instanceId]
+            : [...this.ownInstances.entries()].filter(([, own]) => own.serviceName === serviceName).map(([id]) => id);
+
+        let removed = false;
+        for (const id of ids) {
+            this.stopHeartbeat(id);
+            this.ownInstances.delete(id);
+            try {
+                await this.request({ method: 'delete', url: `/instances/${encodeURIComponent(id)}` });
+                removed = true;
+                console.log(`Serviço removido: ${serviceName} [${id}]`);
+            } catch (error) {
+                if (error.code !== 'INSTANCE_NOT_FOUND') throw error;
+            }
+        }
+        return removed;
+    }
+
+    // Health check de uma instância (melhor esforço: falha só é registrada no log)
+    async updateHealth(serviceName, instanceId, healthy) {
+        try {
+            await this.request({ method: 'put', url: `/instances/${encodeURIComponent(instanceId)}/health`, data: { healthy } });
+            console.log(`Health check: ${serviceName} [${instanceId}] - ${healthy ? 'OK' : 'FAIL'}`);
+        } catch (error) {
+            console.error(`Erro ao atualizar health de ${serviceName} [${instanceId}]:`, error.message);
+        }
+    }
+
+    /**
+     * Renovar o lease de uma instância e registrar sua saúde
+     * @returns {Promise<boolean>} false se o servidor não conhece mais a instância
+     */
+    async heartbeat(serviceName, instanceId, healthy) {
+        try {
+            await this.request({ method: 'put', url: '/heartbeat', data: { serviceName, instanceId, healthy } });
+            return true;
+        } catch (error) {
+            if (error.code === 'INSTANCE_NOT_FOUND') return false;
+            throw error;
+        }
+    }
+
+    async getStats() {
+        return (await this.request({ method: 'get', url: '/stats' })).stats;
+    }
+
+    /**
+     * Acompanhar mudanças no registry (instâncias que entram, saem ou mudam
+     * de saúde) por long-polling em GET /watch
+     * @param {Function} onChange - Recebe os serviços (formato de listServices) a cada mudança
+     * @param {Object} options - serviceName para acompanhar um só serviço
+     * @returns {Function} Encerra o acompanhamento
+     */
+    watch(onChange, options = {}) {
+        let running = true;
+        let index = 0;
+
+        const poll = async () => {
+            while (running) {
+                try {
+                    const data = await this.request({
+                        method: 'get',
+                        url: '/watch',
+                        params: { index, timeout: 30000, ...(options.serviceName ? { service: options.serviceName } : {}) },
+                        timeout: 35000
+                    });
+                    if (running && data.index !== index) {
+                        index = data.index;
+                        onChange(data.services);
+                    }
+                } catch (error) {
+                    console.error('Erro ao acompanhar o registry:', error.message);
+                    await new Promise(resolve => setTimeout(resolve, 1000));
+                }
+            }
+        };
+        poll();
+
+        return () => {
+            running = false;
+        };
+    }
+
+    // Cleanup na saída do processo: remove as instâncias deste processo
+    async cleanup() {
+        const own = [...this.ownInstances.entries()];
+        this.ownInstances.clear();
+
+        await Promise.all(own.map(async ([id, { serviceName, timer }]) => {
+            if (timer) clearInterval(timer);
+            try {
+                await this.request({ method: 'delete', url: `/instances/${encodeURIComponent(id)}` });
+                console.log(`Removendo instância ${id} de ${serviceName} do PID ${process.pid}`);
+            } catch (error) {
+                console.error(`Erro ao remover ${id} do registry server:`, error.message);
+            }
+        }));
+    }
+}
+
+module.exports = HttpServiceRegistry;
@@ -0,0 +1,340 @@
+const QueryMatcher = require('./QueryMatcher');
+
+// Versão do formato dos índices persistidos (arquivos de outra versão são reconstruídos)
+const INDEX_FORMAT = 2;
+
+/**
+ * Índices secundários (simples e compostos, opcionalmente únicos) do JsonDatabase
+ *
+ * Cada índice mapeia a chave (valores dos campos serializados) para os ids
+ * dos documentos. O índice "id" é sempre criado. Documentos sem nenhum dos
+ * campos indexados não entram no índice (índice esparso). Caminhos que
+ * atravessam arrays (ex.: 'items.itemId') indexam o valor de cada elemento,
+ * como o QueryMatcher os coleta.
+ *
+ * Um índice TTL ({ fields: ['expiresAt'], expireAfterSeconds: 0 }) é um índice
+ * comum de um campo de data; o JsonDatabase usa expireAfterSeconds para
+ * esconder e remover os documentos vencidos.
+ */
+class IndexManager {
+    constructor(definitions = []) {
+        this.indexes = new Map();
+        this.count = 0;
+
+        [{ fields: ['id'], unique: true }, ...definitions].forEach(definition => {
+            const index = IndexManager.normalizeDefinition(definition);
+            if (!this.indexes.has(index.name)) {
+                this.indexes.set(index.name, index);
+            }
+        });
+    }
+
+    /**
+     * Normaliza a declaração de um índice
+     * @param {string|Array|Object} definition - 'email', ['userId', 'status'] ou
+     *   { fields, unique, name, expireAfterSeconds }
+     * @returns {Object} Índice vazio com name, fields, unique, expireAfterSeconds e entries
+     */
+    static normalizeDefinition(definition) {
+        let fields;
+        let unique = false;
+        let name;
+        let expireAfterSeconds = null;
+
+        if (typeof definition === 'string') {
+            fields = [definition];
+        } else if (Array.isArray(definition)) {
+            fields = definition;
+        } else if (definition && Array.isArray(definition.fields)) {
+            fields = definition.fields;
+            unique = Boolean(definition.unique);
+            name = definition.name;
+            if (definition.expireAfterSeconds !== undefined) {
+                expireAfterSeconds = definition.expireAfterSeconds;
+            }
+        }
+
+        if (!fields || fields.length === 0 || !fields.every(field => typeof field === 'string')) {
+            throw new Error(`Definição de índice inválida: ${JSON.stringify(definition)}`);
+        }
+
+        // TTL só faz sentido em um único campo de data
+        if (expireAfterSeconds !== null &&
+            (fields.length !== 1 || typeof expireAfterSeconds !== 'number' || !(expireAfterSeconds >= 0))) {
+            throw new Error(`Índice TTL inválido (um campo e expireAfterSeconds >= 0): ${JSON.stringify(definition)}`);
+        }
+
+        return {
+            name: name || fields.join('_'),
+            fields: [...fields],
+            unique,
+            expireAfterSeconds,
+            multikey: false,
+            entries: new Map()
+        };
+    }
+
+    static build(definitions, documents) {
+        const manager = new IndexManager(definitions);
+        documents.forEach(document => manager.add(document));
+        return manager;
+    }
+
+    static getValue(document, field) {
+        return field.split('.').reduce((current, key) => {
+            return current !== null && current !== undefined ? current[key] : undefined;
+        }, document);
+    }
+
+    // Valores do campo no documento: um por elemento quando o caminho atravessa ou termina em um array
+    static valuesFor(document, field) {
+        return QueryMatcher.collectValues(document, field)
+            .flatMap(value => Array.isArray(value) ? value : [value]);
+    }
+
+    // Arrays e objetos não podem ser respondidos só pela chave serializada
+    static isMultikey(document, field) {
+        const values = QueryMatcher.collectValues(document, field);
+        return values.length > 1 || values.some(value => typeof value === 'object' && value !== null);
+    }
+
+    // Chaves do documento no índice (várias quando algum campo tem vários valores)
+    static keysFor(index, document) {
+        const values = index.fields.map(field => {
+            const found = this.valuesFor(document, field);
+            return found.length > 0 ? found : [undefined];
+        });
+
+        if (values.every(fieldValues => fieldValues.every(value => value === undefined))) {
+            return [];
+        }
+
+        const combinations = values.reduce((result, fieldValues) => {
+            return result.flatMap(prefix => fieldValues.map(value => [...prefix, value === undefined ? null : value]));
+        }, [[]]);
+        return [...new Set(combinations.map(combination => JSON.stringify(combination)))];
+    }
+
+    add(document) {
+        this.indexes.forEach(index => {
+            if (index.fields.some(field => IndexManager.isMultikey(document, field))) {
+                index.multikey = true;
+            }
+
+            IndexManager.keysFor(index, document).forEach(key => {
+                if (!index.entries.has(key)) {
+                    index.entries.set(key, new Set());
+                }
+                index.entries.get(key).add(document.id);
+            });
+        });
+        this.count++;
+    }
+
+    remove(document) {
+        this.indexes.forEach(index => {
+            IndexManager.keysFor(index, document).forEach(key => {
+                const ids = index.entries.get(key);
+                if (!ids) return;
+                ids.delete(document.id);
+                if (ids.size === 0) {
+                    index.entries.delete(key);
+                }
+            });
+        });
+        this.count--;
+    }
+
+    has(id) {
+        return this.indexes.get('id').entries.has(JSON.stringify([id]));
+    }
+
+    /**
+     * Garante que o documento não viola nenhum índice único
+     * @param {Object} document - Documento a inserir/atualizar
+     * @param {Set} ignoredIds - Ids que não contam como conflito (ex.: documentos expirados)
+     * @throws {Error} Erro com code DUPLICATE_KEY
+     */
+    assertUnique(document, ignoredIds = null) {
+        this.indexes.forEach(index => {
+            if (!index.unique) return;
+
+            IndexManager.keysFor(index, document).forEach(key => {
+                const ids = index.entries.get(key);
+                if (ids && [...ids].some(id => id !== document.id && !(ignoredIds && ignoredIds.has(id)))) {
+                    const keyValue = {};
+                    index.fields.forEach(field => {
+                        keyValue[field] = IndexManager.getValue(document, field);
+                    });
+
+                    const error = new Error(`Chave duplicada no índice ${index.name}: ${JSON.stringify(keyValue)}`);
+                    error.code = 'DUPLICATE_KEY';
+                    error.index = index.name;
+                    error.fields = index.fields;
+                    error.keyValue = keyValue;
+                    throw error;
+                }
+            });
+        });
+    }
+
+    /**
+     * Calcula os ids candidatos para um filtro usando os índices
+     * @param {Object} filter - Filtro no estilo MongoDB
+     * @returns {Set|null} Superconjunto dos ids que atendem ao filtro, ou null se nenhum índice se aplica
+     */
+    candidates(filter = {}) {
+        const sets = [];
+
+        const fieldCandidates = this.lookupEqualities(filter);
+        if (fieldCandidates) sets.push(fieldCandidates);
+
+        if (Array.isArray(filter.$or) && filter.$or.length > 0) {
+            const branches = filter.$or.map(branch => this.candidates(branch));
+            if (branches.every(branch => branch !== null)) {
+                sets.push(new Set(branches.flatMap(branch => [...branch])));
+            }
+        }
+
+        if (Array.isArray(filter.$and)) {
+            filter.$and
+                .map(branch => this.candidates(branch))
+                .filter(branch => branch !== null)
+                .forEach(branch => sets.push(branch));
+        }
+
+        if (sets.length === 0) {
+            return null;
+        }
+
+        return sets.reduce((result, set) => new Set([...result].filter(id => set.has(id))));
+    }
+
+    /**
+     * Indica se o filtro é respondido exatamente pelo índice (sem reavaliar documentos)
+     * @param {Object} filter - Filtro no estilo MongoDB
+     * @returns {boolean} True se o filtro contém apenas igualdades cobertas por um índice
+     */
+    covers(filter = {}) {
+        const equalities = IndexManager.extractEqualities(filter);
+        const keys = Object.keys(filter);
+        if (keys.length === 0 || keys.length !== Object.keys(equalities).length) {
+            return false;
+        }
+
+        // Condições com outros operadores além da igualdade precisam dos documentos
+        const onlyEqualities = keys.every(key => {
+            const condition = filter[key];
+            return typeof condition !== 'object' || Object.keys(condition).length === 1;
+        });
+        if (!onlyEqualities) {
+            return false;
+        }
+
+        return [...this.indexes.values()].some(index =>
+            !index.multikey &&
+            index.fields.length === keys.length &&
+            index.fields.every(field => field in equalities)
+        );
+    }
+
+    lookupEqualities(filter) {
+        const equalities = IndexManager.extractEqualities(filter);
+
+        // Preferir o índice que cobre mais campos do filtro
+        const index = [...this.indexes.values()]
+            .filter(candidate => candidate.fields.every(field => field in equalities))
+            .filter(candidate => !candidate.multikey || candidate.fields.length === 1)
+            .sort((a, b) => b.fields.length - a.fields.length || Number(b.unique) - Number(a.unique))[0];
+
+        if (!index) {
+            return null;
+        }
+
+        const combinations = index.fields.reduce((result, field) => {
+            return result.flatMap(prefix => equalities[field].map(value => [...prefix, value]));
+        }, [[]]);
+
+        const ids = new Set();
+        combinations.forEach(values => {
+            const entry = index.entries.get(JSON.stringify(values));
+            if (entry) entry.forEach(id => ids.add(id));
+        });
+        return ids;
+    }
+
+    // Campos do filtro com igualdade a valores primitivos (literal, $eq ou $in)
+    static extractEqualities(filter) {
+        const equalities = {};
+        const isIndexable = value => ['string', 'number', 'boolean'].includes(typeof value);
+
+        Object.entries(filter).forEach(([field, condition]) => {
+            if (field.startsWith('$')) return;
+
+            if (isIndexable(condition)) {
+                equalities[field] = [condition];
+            } else if (condition && typeof condition === 'object' && !Array.isArray(condition)) {
+                if ('$eq' in condition && isIndexable(condition.$eq)) {
+                    equalities[field] = [condition.$eq];
+                } else if (Array.isArray(condition.$in) && condition.$in.every(isIndexable)) {
+                    equalities[field] = condition.$in;
+                }
+            }
+        });
+
+        return equalities;
+    }
+
+    toJSON(signature) {
+        const indexes = {};
+        this.indexes.forEach((index, name) => {
+            const entries = {};
+            index.entries.forEach((ids, key) => {
+                entries[key] = [...ids];
+            });
+            indexes[name] = {
+                fields: index.fields,
+                unique: index.unique,
+                multikey: index.multikey,
+                entries
+            };
+        });
+
+        return {
+            _meta: {
+                format: INDEX_FORMAT,
+                signature,
+                count: this.count,
+                updatedAt: new Date().toISOString()
+            },
+            indexes
+        };
+    }
+
+    /**
+     * Restaura índices persistidos, se corresponderem às definições atuais
+     * @returns {IndexManager|null} null se o arquivo não tiver algum índice declarado
+     */
+    static fromJSON(data, definitions) {
+        const manager = new IndexManager(definitions);
+        if (!data || !data._meta || data._meta.format !== INDEX_FORMAT || !data.indexes) {
+            return null;
+        }
+
+        for (const [name, index] of manager.indexes) {
+            const stored = data.indexes[name];
+            if (!stored || stored.unique !== index.unique || stored.fields.join() !== index.fields.join()) {
+                return null;
+            }
+            index.multikey = Boolean(stored.multikey);
+            Object.entries(stored.entries).forEach(([key, ids]) => {
+                index.entries.set(key, new Set(ids));
+            });
+        }
+
+        manager.count = data._meta.count;
+        return manager;
+    }
+}
+
+module.exports = IndexManager;
@@ -0,0 +1,182 @@
+const fs = require('fs-extra');
+const path = require('path');
+const FileLock = require('./FileLock');
+const SnapshotStorage = require('./SnapshotStorage');
+const Encryption = require('./Encryption');
+
+/**
+ * Armazenamento em journal (write-ahead log) do JsonDatabase
+ *
+ * Cada mutação é anexada como um registro NDJSON em <coleção>.journal.ndjson
+ * com a imagem completa do documento ({ seq, ts, op: 'put', doc } ou
+ * { seq, ts, op: 'del', id }). O estado é o snapshot <coleção>.json mais a
+ * reaplicação do journal. A compactação grava um novo snapshot e reinicia
+ * o journal com um registro "checkpoint" que preserva a sequência.
+ *
+ * Reaplicar um registro duas vezes dá o mesmo resultado, então uma queda
+ * entre a gravação do snapshot e a do journal não corrompe a coleção.
+ */
+class JournalStorage extends SnapshotStorage {
+    /**
+     * @param {string} dbPath - Diretório do banco
+     * @param {string} collectionName - Nome da coleção
+     * @param {Object} options - options.compactAfter: registros no journal que disparam a compactação (0 desativa);
+     *   options.encryption: Encryption que cifra cada registro
+     */
+    constructor(dbPath, collectionName, options = {}) {
+        super(dbPath, collectionName, options);
+        this.mode = 'journal';
+        this.journalPath = path.join(dbPath, `${collectionName}.journal.ndjson`);
+        // Índices só são persistidos na compactação (reescrevê-los a cada registro anularia o ganho)
+        this.appendOnly = true;
+        this.compactAfter = options.compactAfter !== undefined ? options.compactAfter : 1000;
+    }
+
+    async ensure() {
+        await super.ensure();
+        await FileLock.createIfMissing(this.journalPath, '');
+    }
+
+    async signature() {
+        const snapshot = await SnapshotStorage.statSignature(this.filePath);
+        const journal = await SnapshotStorage.statSignature(this.journalPath);
+        return snapshot === null && journal === null ? null : `${snapshot}|${journal}`;
+    }
+
+    /**
+     * Reconstruir a coleção a partir do snapshot e do journal
+     * @returns {Object} { documents, meta: { seq, records, tornAt?, unterminated? } }
+     */
+    async read() {
+        const { documents } = await super.read();
+        const byId = new Map(documents.map(document => [document.id, document]));
+        const meta = { seq: 0, records: 0 };
+
+        let content = '';
+        try {
+            content = await fs.readFile(this.journalPath, 'utf8');
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+        }
+
+        const lines = content.split('\n');
+        let offset = 0;
+
+        lines.forEach((line, position) => {
+            const start = offset;
+            offset += Buffer.byteLength(line) + 1;
+            if (!line.trim()) return;
+
+            let record;
+            try {
+                record = JSON.parse(this.decode(line, this.journalPath));
+            } catch (error) {
+                if (Encryption.isKeyError(error)) throw error;
+                // Só a última linha pode estar incompleta (escrita interrompida)
+                if (position === lines.length - 1) {
+                    console.warn(`Registro incompleto ignorado no fim do journal: ${this.journalPath}`);
+                    meta.tornAt = start;
+                    return;
+                }
+                throw new Error(`Journal corrompido em ${this.journalPath}, linha ${position + 1}`);
+            }
+
+            JournalStorage.applyRecord(byId, record);
+            meta.seq = Math.max(meta.seq, record.seq || 0);
+            if (record.op !== 'checkpoint') {
+                meta.records++;
+            }
+            if (position === lines.length - 1) {
+                meta.unterminated = true;
+            }
+        });
+
+        return { documents: [...byId.values()], meta };
+    }
+
+    static applyRecord(byId, record) {
+        switch (record.op) {
+            case 'put':
+                // Map preserva a posição de documentos já existentes
+                byId.set(record.doc.id, record.doc);
+                break;
+            case 'del':
+                byId.delete(record.id);
+                break;
+            case 'checkpoint':
+                break;
+            default:
+                throw new Error(`Operação desconhecida no journal: ${record.op}`);
+        }
+    }
+
+    /**
+     * Anexar as mutações ao journal
+     * @param {Array} documents - Estado completo (não usado; o journal guarda só as mudanças)
+     * @param {Array} changes - [{ op: 'put', doc }] ou [{ op: 'del', id }]
+     * @param {Object} meta - Metadados do estado atual (retornados por read/write)
+     * @returns {Object} { signature, meta }
+     */
+    async write(documents, changes, meta = {}) {
+        const ts = new Date().toISOString();
+        let seq = meta.seq || 0;
+        const records = changes
+            .map(change => `${this.encode(JSON.stringify({ seq: ++seq, ts, ...change }))}\n`)
+            .join('');
+
+        // Descartar registro incompleto deixado por uma queda anterior
+        if (meta.tornAt !== undefined) {
+            await fs.truncate(this.journalPath, meta.tornAt);
+        }
+
+        const fd = await fs.open(this.journalPath, 'a');
+        try {
+            await fs.writeFile(fd, (meta.unterminated ? '\n' : '') + records);
+            await fs.fsync(fd);
+        } finally {
+            await fs.close(fd);
+        }
+
+        return {
+            signature: await this.signature(),
+            meta: { seq, records: (meta.records || 0) + changes.length }
+        };
+    }
+
+    /**
+     * Gravar novo snapshot e reiniciar o journal
+     * @returns {Object|null} { signature, meta, compacted } ou null se não houver o que compactar
+     */
+    async compact(documents, meta = {}) {
+        if (!meta.records && meta.tornAt === undefined && !meta.unterminated) {
+            return null;
+        }
+
+        return { ...(await this.rewrite(documents, meta)), compacted: meta.records || 0 };
+    }
+
+    // Novo snapshot e journal reiniciado com o checkpoint, mesmo sem registros pendentes
+    async rewrite(documents, meta = {}) {
+        await FileLock.writeAtomic(this.filePath, this.encode(JSON.stringify(documents, null, 2)));
+        await FileLock.writeAtomic(this.journalPath, `${this.encode(JSON.stringify({
+            seq: meta.seq || 0,
+            ts: new Date().toISOString(),
+            op: 'checkpoint'
+        }))}\n`);
+
+        return {
+            signature: await this.signature(),
+            meta: { seq: meta.seq || 0, records: 0 }
+        };
+    }
+
+    async hasPlaintext() {
+        return await super.hasPlaintext() || Encryption.hasPlaintext(this.journalPath, { lines: true });
+    }
+
+    shouldCompact(meta = {}) {
+        return this.compactAfter > 0 && meta.records >= this.compactAfter;
+    }
+}
+
+module.exports = JournalStorage;
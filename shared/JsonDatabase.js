@@ -1,30 +1,181 @@
 const fs = require('fs-extra');
 const path = require('path');
 const { v4: uuidv4 } = require('uuid');
+const FileLock = require('./FileLock');
+const QueryMatcher = require('./QueryMatcher');
+const IndexManager = require('./IndexManager');
+const UpdateOperators = require('./UpdateOperators');
+const Aggregation = require('./Aggregation');
+const Projection = require('./Projection');
+const Cursor = require('./Cursor');
+const SnapshotStorage = require('./SnapshotStorage');
+const JournalStorage = require('./JournalStorage');
+const MemoryStorage = require('./MemoryStorage');
+const ChangeLog = require('./ChangeLog');
+const ChangeStream = require('./ChangeStream');
+const Transaction = require('./Transaction');
+const SchemaValidator = require('./SchemaValidator');
+const TextIndex = require('./TextIndex');
+const Encryption = require('./Encryption');
 
+// Fila de escrita por arquivo de coleção (compartilhada entre instâncias do processo)
+const writeQueues = new Map();
+
+/**
+ * Coleção de documentos JSON (repositório dos serviços)
+ *
+ * Contrato: todos os métodos de dados (create, findById, findOne, find,
+ * findAll, findPage, count, aggregate, update, updateOne, updateMany,
+ * delete, restore, purge, search, textSearch, transaction) são assíncronos
+ * e sempre devem ser aguardados; métodos de estatísticas (get*Stats) e
+ * close() são síncronos. Os documentos retornados são cópias.
+ */
 class JsonDatabase {
-    constructor(dbPath, collectionName) {
+    /**
+     * @param {string} dbPath - Diretório do banco
+     * @param {string} collectionName - Nome da coleção (arquivo <dbPath>/<collectionName>.json)
+     * @param {Object} options - Opções da coleção
+     * @param {Array} options.indexes - Índices secundários, ex.: [{ fields: ['email'], unique: true }];
+     *   com expireAfterSeconds o índice é TTL: ex.: [{ fields: ['expiresAt'], expireAfterSeconds: 0 }]
+     * @param {number} options.ttlInterval - Intervalo da remoção de documentos expirados (ms, padrão 60000)
+     * @param {Object} options.schema - JSON Schema (subconjunto do 2020-12, ver SchemaValidator) exigido em
+     *   inserções e atualizações; documentos inválidos são recusados com SCHEMA_VALIDATION
+     * @param {boolean} options.softDelete - delete() move o documento para a lixeira (deletedAt) em vez de
+     *   removê-lo; consultas ignoram a lixeira, restore() recupera e purge() remove de vez
+     * @param {Object|Array} options.textIndex - Campos do índice de texto usado por search(), com peso:
+     *   ex.: { name: 3, brand: 2, description: 1 } (ver TextIndex)
+     * @param {string} options.storage - 'snapshot' (padrão, arquivo JSON reescrito; 'json' é sinônimo),
+     *   'journal' (NDJSON append-only), 'memory' (sem arquivos, só no processo) ou 'sqlite' (<coleção>.sqlite,
+     *   requer o pacote opcional better-sqlite3); ver JsonDatabase.storageFromEnv
+     * @param {Object|Encryption} options.encryption - Cifrar em repouso (AES-256-GCM) a coleção, o journal e o
+     *   registro de mudanças: { keyEnv, keyFile, generate } (ver Encryption); índices não são persistidos
+     * @param {number} options.compactAfter - Modo journal: registros que disparam a compactação (padrão 1000)
+     * @param {number} options.compactInterval - Modo journal: compactar periodicamente (ms)
+     * @param {Object|boolean} options.changeLog - Registro de mudanças para watch() ({ retain }); false desativa
+     * @param {boolean} options.recover - Concluir transações interrompidas do diretório ao abrir (padrão true)
+     */
+    constructor(dbPath, collectionName, options = {}) {
+        if (typeof collectionName !== 'string' || !collectionName) {
+            const error = new Error(`Informe o nome da coleção (recebido: ${collectionName})`);
+            error.code = 'INVALID_COLLECTION';
+            throw error;
+        }
+
         this.dbPath = dbPath;
         this.collectionName = collectionName;
-        this.filePath = path.join(dbPath, `${collectionName}.json`);
-        this.indexPath = path.join(dbPath, `${collectionName}_index.json`);
+        this.storage = JsonDatabase.createStorage(dbPath, collectionName, options);
+        this.encryption = this.storage.encryption || null;
+        this.filePath = this.storage.filePath;
+        // Sem índice persistido no modo memória (não há arquivos) nem com criptografia (as chaves
+        // dos índices, ex.: e-mails, ficariam em texto claro); sem lock entre processos na memória
+        this.indexPath = this.storage.inMemory || this.encryption ? null : path.join(dbPath, `${collectionName}_index.json`);
+        this.changeLog = options.changeLog === false
+            ? null
+            : this.createChangeLog(options.changeLog || {});
+        this.fileLock = this.storage.inMemory ? null : new FileLock(this.filePath);
+        this.indexDefinitions = [...(options.indexes || [])];
+        this.recoverTransactions = options.recover !== false;
+        this.siblings = new Map();
+
+        // Validar definições já na construção
+        new IndexManager(this.indexDefinitions);
+        this.ttlIndexes = JsonDatabase.ttlIndexesOf(this.indexDefinitions);
+        this.ttlInterval = options.ttlInterval || 60000;
+        this.ttlStats = { purged: 0, lastPurgeAt: null, lastPurgeCount: 0 };
+        this.schema = options.schema ? SchemaValidator.compile(options.schema) : null;
+        this.softDelete = Boolean(options.softDelete);
+        this.textFields = options.textIndex ? TextIndex.normalizeDefinition(options.textIndex) : null;
+        // Construído na primeira busca e mantido a cada commit deste processo
+        this.textIndex = null;
+
+        // Cópia em memória da coleção, invalidada quando o arquivo muda
+        this.cache = null;
+        this.reloading = null;
+        this.cacheStats = { hits: 0, reloads: 0 };
+
+        this.ready = this.ensureDatabase();
+        this.ready.catch(() => {});
+
+        // O timer não impede o processo de encerrar
+        this.compactionTimer = null;
+        if (this.storage.appendOnly && options.compactInterval > 0) {
+            this.compactionTimer = setInterval(() => this.compact().catch(() => {}), options.compactInterval);
+            this.compactionTimer.unref();
+        }
+
+        this.ttlTimer = null;
+        this.startTtlSweep();
+    }
 
-        this.ensureDatabase();
+    static createStorage(dbPath, collectionName, options) {
+        const encryption = options.encryption ? Encryption.from(options.encryption) : null;
+        switch (options.storage || 'snapshot') {
+            case 'snapshot':
+            case 'json':
+                return new SnapshotStorage(dbPath, collectionName, { encryption });
+            case 'journal':
+                return new JournalStorage(dbPath, collectionName, { compactAfter: options.compactAfter, encryption });
+            case 'memory':
+                return new MemoryStorage(dbPath, collectionName);
+            case 'sqlite':
+                // Carregado sob demanda: better-sqlite3 é dependência opcional
+                return new (require('./SqliteStorage'))(dbPath, collectionName, { encryption });
+            default:
+                throw new Error(`Modo de armazenamento desconhecido: ${options.storage}`);
+        }
+    }
+
+    /**
+     * Modo de armazenamento configurado no ambiente: <PREFIXO>_DB_STORAGE
+     * (ex.: USER_DB_STORAGE=sqlite) ou DB_STORAGE para todos os serviços
+     * @param {string} prefix - Prefixo do serviço, ex.: 'USER'
+     * @returns {string} Modo para options.storage (padrão 'snapshot')
+     */
+    static storageFromEnv(prefix) {
+        return process.env[`${prefix}_DB_STORAGE`] || process.env.DB_STORAGE || 'snapshot';
+    }
+
+    // O armazenamento pode trazer o próprio registro de mudanças (ex.: memória)
+    createChangeLog(options) {
+        return typeof this.storage.createChangeLog === 'function'
+            ? this.storage.createChangeLog(options)
+            : new ChangeLog(this.dbPath, this.collectionName, { ...options, encryption: this.encryption });
     }
 
     async ensureDatabase() {
         try {
+            if (this.storage.inMemory) {
+                await this.storage.ensure();
+                if (this.changeLog) {
+                    await this.changeLog.ensure();
+                }
+                return;
+            }
+
             // Criar diretório do banco se não existir
             await fs.ensureDir(this.dbPath);
 
-            // Criar arquivo da coleção se não existir
-            if (!await fs.pathExists(this.filePath)) {
-                await fs.writeJson(this.filePath, []);
+            // Criar arquivos da coleção e índice se não existirem (sem sobrescrever)
+            await this.storage.ensure();
+            if (this.indexPath) {
+                await FileLock.createIfMissing(this.indexPath, '{}');
+            }
+            if (this.changeLog) {
+                await this.changeLog.ensure();
+            }
+
+            // Transação que caiu no meio do commit é concluída antes de qualquer leitura
+            if (this.recoverTransactions) {
+                await Transaction.recover(this.dbPath, entry =>
+                    new JsonDatabase(this.dbPath, entry.name, { ...entry.options, recover: false }));
             }
 
-            // Criar índice se não existir
-            if (!await fs.pathExists(this.indexPath)) {
-                await fs.writeJson(this.indexPath, {});
+            if (this.encryption) {
+                // Índice gravado antes da criptografia e arquivos ainda em texto claro
+                await fs.remove(path.join(this.dbPath, `${this.collectionName}_index.json`));
+                if (await this.hasPlaintext()) {
+                    await this.fileLock.run(() => this.encryptPlaintext());
+                }
             }
         } catch (error) {
             console.error('Erro ao inicializar banco:', error);
@@ -32,33 +183,142 @@ class JsonDatabase {
         }
     }
 
+    async hasPlaintext() {
+        return await this.storage.hasPlaintext() || Boolean(this.changeLog && await this.changeLog.hasPlaintext());
+    }
+
+    // Cifrar a coleção existente ao abri-la com criptografia (com o lock adquirido)
+    async encryptPlaintext() {
+        if (!await this.hasPlaintext()) {
+            return;
+        }
+        await this.rewriteFiles();
+        console.log(`🔒 Coleção ${this.collectionName} cifrada`);
+    }
+
+    // Regravar coleção e registro de mudanças com a chave atual (com o lock adquirido)
+    async rewriteFiles() {
+        const { documents, meta } = await this.storage.read();
+        await this.storage.rewrite(documents, meta);
+        if (this.changeLog) {
+            await this.changeLog.rewrite();
+        }
+        // Próxima leitura recarrega (a assinatura dos arquivos mudou)
+        this.cache = null;
+        return documents.length;
+    }
+
+    /**
+     * Cifrar novamente todos os arquivos com a chave atual (a primeira do chaveiro).
+     * Usada na rotação: com a chave nova na frente e a antiga ainda no chaveiro,
+     * depois desta chamada a antiga pode ser removida.
+     * @returns {number} Documentos regravados
+     */
+    async reencrypt() {
+        if (!this.encryption) {
+            const error = new Error(`Coleção ${this.collectionName} não usa criptografia`);
+            error.code = 'ENCRYPTION_DISABLED';
+            throw error;
+        }
+
+        try {
+            return await this.withWriteLock(() => this.rewriteFiles());
+        } catch (error) {
+            console.error('Erro ao cifrar novamente a coleção:', error);
+            throw error;
+        }
+    }
+
+    // Serializar mutações: fila em processo + lock de arquivo entre processos.
+    // Com o lock, transações interrompidas são concluídas na coleção antes da escrita
+    async withWriteLock(fn) {
+        await this.ready;
+
+        const previous = writeQueues.get(this.filePath) || Promise.resolve();
+        const task = previous.then(() => (this.fileLock
+            ? this.fileLock.run(async () => {
+                await Transaction.recoverCollection(this);
+                return fn();
+            })
+            : fn()));
+        const tail = task.catch(() => {});
+        writeQueues.set(this.filePath, tail);
+        tail.then(() => {
+            if (writeQueues.get(this.filePath) === tail) {
+                writeQueues.delete(this.filePath);
+            }
+        });
+
+        return task;
+    }
+
+    // Declarar um novo índice (falha se os documentos existentes violarem a unicidade)
+    async createIndex(fields, options = {}) {
+        const definition = { fields: Array.isArray(fields) ? fields : [fields], unique: Boolean(options.unique) };
+        if (options.name) definition.name = options.name;
+        if (options.expireAfterSeconds !== undefined) definition.expireAfterSeconds = options.expireAfterSeconds;
+        const { name } = IndexManager.normalizeDefinition(definition);
+
+        try {
+            return await this.withWriteLock(async () => {
+                const { documents, signature } = await this.load();
+                const indexes = IndexManager.build([definition], documents);
+                const expired = this.expiredIds(documents);
+                documents.forEach(document => indexes.assertUnique(document, expired));
+
+                this.indexDefinitions = this.indexDefinitions
+                    .filter(existing => IndexManager.normalizeDefinition(existing).name !== name)
+                    .concat(definition);
+                this.ttlIndexes = JsonDatabase.ttlIndexesOf(this.indexDefinitions);
+                this.startTtlSweep();
+
+                const rebuilt = IndexManager.build(this.indexDefinitions, documents);
+                await this.writeIndexes(rebuilt, signature);
+                this.cache = { ...this.cache, indexes: rebuilt, nextExpiry: this.nextExpiryOf(documents) };
+                return name;
+            });
+        } catch (error) {
+            console.error('Erro ao criar índice:', error);
+            throw error;
+        }
+    }
+
     // Criar documento
     async create(data) {
         try {
-            const documents = await this.readAll();
-            const document = {
-                id: data.id || uuidv4(),
-                ...data,
-                createdAt: data.createdAt || new Date().toISOString(),
-                updatedAt: new Date().toISOString()
-            };
+            return await this.withWriteLock(async () => {
+                const cache = await this.load();
+                const { documents, indexes } = cache;
+                const document = this.buildDocument(data);
+
+                this.assertValid(document);
+                indexes.assertUnique(document, this.expiredIdsOf(cache));
 
-            documents.push(document);
-            await this.writeAll(documents);
-            await this.updateIndex(document);
+                await this.commit([...documents, document], [{ op: 'put', doc: document }], () => {
+                    indexes.add(document);
+                    return indexes;
+                });
 
-            return document;
+                return this.clone(document);
+            });
         } catch (error) {
             console.error('Erro ao criar documento:', error);
             throw error;
         }
     }
 
-    // Buscar por ID
-    async findById(id) {
+    // Buscar por ID (options.withDeleted inclui a lixeira)
+    async findById(id, options = {}) {
         try {
-            const documents = await this.readAll();
-            return documents.find(doc => doc.id === id) || null;
+            const { documents, indexes } = await this.load();
+            if (!indexes.has(id)) {
+                return null;
+            }
+            const document = documents.find(doc => doc.id === id);
+            if (!document || this.isExpired(document) || (this.isDeleted(document) && !options.withDeleted)) {
+                return null;
+            }
+            return this.clone(document);
         } catch (error) {
             console.error('Erro ao buscar documento:', error);
             throw error;
@@ -66,197 +326,969 @@ class JsonDatabase {
     }
 
     // Buscar um documento com filtro
-    async findOne(filter) {
+    async findOne(filter = {}, options = {}) {
         try {
-            const documents = await this.readAll();
-            return documents.find(doc => this.matchesFilter(doc, filter)) || null;
+            const documents = await this.queryDocuments(this.scopeFilter(filter, options));
+            return this.clone(documents[0] || null);
         } catch (error) {
             console.error('Erro ao buscar documento:', error);
             throw error;
         }
     }
 
-    // Buscar múltiplos documentos
+    /**
+     * Buscar múltiplos documentos
+     * @param {Object} filter - Filtro no estilo MongoDB
+     * @param {Object} options - sort ({ campo: 1|-1 }, desempate por id), skip, limit,
+     *   after (cursor retornado por findPage), projection ({ campo: 1 } ou { campo: 0 })
+     *   e withDeleted (inclui a lixeira; um filtro em deletedAt também a inclui)
+     * @returns {Array} Documentos encontrados
+     */
     async find(filter = {}, options = {}) {
         try {
-            let documents = await this.readAll();
-
-            // Aplicar filtro
-            if (Object.keys(filter).length > 0) {
-                documents = documents.filter(doc => this.matchesFilter(doc, filter));
-            }
+            const { documents } = await this.select(this.scopeFilter(filter, options), options);
+            return this.clone(this.project(documents, options.projection));
+        } catch (error) {
+            console.error('Erro ao buscar documentos:', error);
+            throw error;
+        }
+    }
 
-            // Aplicar ordenação
-            if (options.sort) {
-                documents = this.sortDocuments(documents, options.sort);
-            }
+    // Alias de find (interface de repositório)
+    async findAll(filter = {}, options = {}) {
+        return this.find(filter, options);
+    }
 
-            // Aplicar paginação
-            if (options.skip || options.limit) {
-                const skip = options.skip || 0;
-                const limit = options.limit || documents.length;
-                documents = documents.slice(skip, skip + limit);
-            }
+    /**
+     * Buscar uma página de documentos com paginação por cursor
+     * @param {Object} filter - Filtro no estilo MongoDB
+     * @param {Object} options - Mesmas opções de find (limit define o tamanho da página)
+     * @returns {Object} { documents, nextCursor } (nextCursor null na última página)
+     */
+    async findPage(filter = {}, options = {}) {
+        try {
+            const { documents, hasMore, sortFields } = await this.select(this.scopeFilter(filter, options), options);
+            const last = documents[documents.length - 1];
 
-            return documents;
+            return {
+                documents: this.clone(this.project(documents, options.projection)),
+                nextCursor: hasMore && last ? Cursor.encode(last, sortFields) : null
+            };
         } catch (error) {
-            console.error('Erro ao buscar documentos:', error);
+            console.error('Erro ao buscar página de documentos:', error);
             throw error;
         }
     }
 
     // Contar documentos
-    async count(filter = {}) {
+    async count(filter = {}, options = {}) {
+        filter = this.scopeFilter(filter, options);
+
         try {
-            const documents = await this.readAll();
+            // Filtros cobertos por um índice não precisam avaliar os documentos
+            const cache = await this.load();
+            const { documents, indexes } = cache;
+            if (this.mayHaveExpired(cache)) {
+                return (await this.queryDocuments(filter)).length;
+            }
             if (Object.keys(filter).length === 0) {
                 return documents.length;
             }
-            return documents.filter(doc => this.matchesFilter(doc, filter)).length;
+            if (indexes.covers(filter)) {
+                return indexes.candidates(filter).size;
+            }
+
+            return (await this.queryDocuments(filter)).length;
         } catch (error) {
             console.error('Erro ao contar documentos:', error);
             throw error;
         }
     }
 
-    // Atualizar documento
-    async update(id, updates) {
+    /**
+     * Executar pipeline de agregação (ver Aggregation)
+     * @param {Array} pipeline - Estágios, ex.: [{ $match: { userId } }, { $unwind: '$items' }, { $group: {...} }]
+     * @returns {Array} Documentos resultantes
+     */
+    async aggregate(pipeline = []) {
         try {
-            const documents = await this.readAll();
-            const index = documents.findIndex(doc => doc.id === id);
+            // Um $match inicial usa os índices para reduzir a entrada
+            const [first, ...rest] = Array.isArray(pipeline) ? pipeline : [];
+            const startsWithMatch = first && Object.keys(first).length === 1 && first.$match;
 
-            if (index === -1) {
-                return null;
-            }
+            const documents = await this.queryDocuments(this.scopeFilter(startsWithMatch ? first.$match : {}));
 
-            documents[index] = {
-                ...documents[index],
-                ...updates,
-                id: documents[index].id, // Preservar ID
-                createdAt: documents[index].createdAt, // Preservar data de criação
-                updatedAt: new Date().toISOString()
-            };
+            return this.clone(Aggregation.run(documents, startsWithMatch ? rest : pipeline));
+        } catch (error) {
+            console.error('Erro ao executar agregação:', error);
+            throw error;
+        }
+    }
 
-            await this.writeAll(documents);
-            await this.updateIndex(documents[index]);
+    /**
+     * Atualizar documento (merge raso ou operadores como $set/$inc/$push)
+     * @param {string} id - ID do documento
+     * @param {Object} updates - Campos a mesclar ou operadores de atualização
+     * @param {Object} options - options.expectedVersion falha com VERSION_CONFLICT se _version for outra
+     * @returns {Object|null} Documento atualizado ou null se não existir
+     */
+    async update(id, updates, options = {}) {
+        if (UpdateOperators.isOperatorUpdate(updates)) {
+            return this.updateOne({ id }, updates, options);
+        }
+
+        try {
+            return await this.withWriteLock(async () => {
+                const cache = await this.load();
+                const { indexes } = cache;
+                const documents = [...cache.documents];
+                const index = documents.findIndex(doc => doc.id === id);
+
+                if (index === -1 || this.isExpired(documents[index]) || this.isDeleted(documents[index])) {
+                    return null;
+                }
+
+                this.assertVersion(documents[index], options.expectedVersion);
+
+                const previous = documents[index];
+                const updated = this.mergeDocument(previous, updates);
+
+                this.assertValid(updated);
+                indexes.assertUnique(updated, this.expiredIdsOf(cache));
+
+                documents[index] = updated;
+                await this.commit(documents, [{ op: 'put', doc: updated, before: previous }], () => {
+                    indexes.remove(previous);
+                    indexes.add(updated);
+                    return indexes;
+                });
+
+                return this.clone(updated);
+            });
+        } catch (error) {
+            console.error('Erro ao atualizar documento:', error);
+            throw error;
+        }
+    }
 
-            return documents[index];
+    /**
+     * Atualizar atomicamente o primeiro documento que atende ao filtro
+     * @param {Object} filter - Filtro no estilo MongoDB
+     * @param {Object} update - Operadores ($set, $unset, $inc, $push, $pull, $addToSet)
+     * @param {Object} options - options.derive(doc) recalcula campos derivados dentro do mesmo lock;
+     *                           options.expectedVersion exige que o documento esteja nessa _version
+     *                           options.withDeleted também considera os documentos na lixeira
+     * @returns {Object|null} Documento atualizado ou null se nenhum atender ao filtro
+     */
+    async updateOne(filter, update, options = {}) {
+        try {
+            const result = await this.applyUpdate(filter, update, { ...options, multi: false });
+            return result.documents[0] || null;
         } catch (error) {
             console.error('Erro ao atualizar documento:', error);
             throw error;
         }
     }
 
-    // Deletar documento
-    async delete(id) {
+    // Atualizar atomicamente todos os documentos que atendem ao filtro
+    async updateMany(filter, update, options = {}) {
         try {
-            const documents = await this.readAll();
-            const index = documents.findIndex(doc => doc.id === id);
+            const { matchedCount, modifiedCount } = await this.applyUpdate(filter, update, { ...options, multi: true });
+            return { matchedCount, modifiedCount };
+        } catch (error) {
+            console.error('Erro ao atualizar documentos:', error);
+            throw error;
+        }
+    }
+
+    async applyUpdate(filter, update, options) {
+        UpdateOperators.validate(update);
 
-            if (index === -1) {
-                return false;
+        return this.withWriteLock(async () => {
+            // Estado completo (inclusive expirados, que continuam no arquivo até a remoção)
+            const cache = await this.load();
+            const documents = [...cache.documents];
+            const indexes = IndexManager.build(this.indexDefinitions, documents);
+            const scoped = this.scopeFilter(filter, options);
+            const ids = indexes.candidates(scoped);
+            const expired = this.expiredIdsOf(cache);
+
+            let positions = [];
+            documents.forEach((doc, position) => {
+                if ((!ids || ids.has(doc.id)) && !(expired && expired.has(doc.id)) && this.matchesFilter(doc, scoped)) {
+                    positions.push(position);
+                }
+            });
+            if (!options.multi) {
+                positions = positions.slice(0, 1);
+            }
+
+            const results = [];
+            const changes = [];
+            let modifiedCount = 0;
+
+            for (const position of positions) {
+                const current = documents[position];
+                if (!options.multi) {
+                    this.assertVersion(current, options.expectedVersion);
+                }
+
+                const updated = this.applyOperators(current, update, filter, options.derive);
+                if (!updated) {
+                    results.push(current);
+                    continue;
+                }
+
+                this.assertValid(updated);
+                indexes.remove(current);
+                indexes.assertUnique(updated, expired);
+                indexes.add(updated);
+
+                documents[position] = updated;
+                results.push(updated);
+                changes.push({ op: 'put', doc: updated, before: current });
+                modifiedCount++;
             }
 
-            documents.splice(index, 1);
-            await this.writeAll(documents);
-            await this.removeFromIndex(id);
+            if (modifiedCount > 0) {
+                await this.commit(documents, changes, () => indexes);
+            }
+
+            return {
+                matchedCount: results.length,
+                modifiedCount,
+                documents: this.clone(results)
+            };
+        });
+    }
 
-            return true;
+    /**
+     * Deletar documento (options.expectedVersion como em update)
+     *
+     * Com softDelete o documento vai para a lixeira (deletedAt); options.hard
+     * remove de vez, inclusive um documento que já está na lixeira.
+     * @returns {boolean} false se não existir (ou já estiver na lixeira)
+     */
+    async delete(id, options = {}) {
+        try {
+            return await this.withWriteLock(async () => {
+                const { documents: current, indexes } = await this.load();
+                const documents = [...current];
+                const index = documents.findIndex(doc => doc.id === id);
+                const hard = !this.softDelete || options.hard;
+
+                if (index === -1 || this.isExpired(documents[index]) || (this.isDeleted(documents[index]) && !hard)) {
+                    return false;
+                }
+
+                this.assertVersion(documents[index], options.expectedVersion);
+
+                if (!hard) {
+                    const previous = documents[index];
+                    const trashed = this.applyOperators(previous, { $set: { deletedAt: new Date().toISOString() } }, {});
+                    documents[index] = trashed;
+                    await this.commit(documents, [{ op: 'put', doc: trashed, before: previous }], () => {
+                        indexes.remove(previous);
+                        indexes.add(trashed);
+                        return indexes;
+                    });
+                    return true;
+                }
+
+                const [removed] = documents.splice(index, 1);
+                await this.commit(documents, [{ op: 'del', id, before: removed }], () => {
+                    indexes.remove(removed);
+                    return indexes;
+                });
+
+                return true;
+            });
         } catch (error) {
             console.error('Erro ao deletar documento:', error);
             throw error;
         }
     }
 
-    // Busca de texto
+    /**
+     * Tirar um documento da lixeira (softDelete)
+     * @param {string} id - ID do documento
+     * @param {Object} options - options.expectedVersion como em update
+     * @returns {Object|null} Documento restaurado ou null se não estiver na lixeira
+     */
+    async restore(id, options = {}) {
+        try {
+            return await this.withWriteLock(async () => {
+                const { documents: current, indexes } = await this.load();
+                const documents = [...current];
+                const index = documents.findIndex(doc => doc.id === id);
+
+                if (index === -1 || this.isExpired(documents[index]) || !this.isDeleted(documents[index])) {
+                    return null;
+                }
+
+                this.assertVersion(documents[index], options.expectedVersion);
+
+                const previous = documents[index];
+                const restored = this.applyOperators(previous, { $unset: { deletedAt: '' } }, {});
+                this.assertValid(restored);
+
+                documents[index] = restored;
+                await this.commit(documents, [{ op: 'put', doc: restored, before: previous }], () => {
+                    indexes.remove(previous);
+                    indexes.add(restored);
+                    return indexes;
+                });
+
+                return this.clone(restored);
+            });
+        } catch (error) {
+            console.error('Erro ao restaurar documento:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Remover de vez os documentos que estão na lixeira há pelo menos olderThan
+     * @param {number|Date|string} olderThan - Idade mínima em ms, ou data limite de deletedAt (padrão 0: todos)
+     * @param {Object} filter - Restringe os documentos removidos (ex.: { userId })
+     * @returns {number} Documentos removidos
+     */
+    async purge(olderThan = 0, filter = {}) {
+        const cutoff = typeof olderThan === 'number' ? Date.now() - olderThan : new Date(olderThan).getTime();
+        if (!Number.isFinite(cutoff)) {
+            throw new Error(`Limite inválido para purge: ${olderThan}`);
+        }
+
+        try {
+            return await this.withWriteLock(async () => {
+                const { documents, indexes } = await this.load();
+                const removed = documents.filter(document => this.isDeleted(document)
+                    && Date.parse(document.deletedAt) <= cutoff
+                    && this.matchesFilter(document, filter));
+                if (removed.length === 0) {
+                    return 0;
+                }
+
+                const ids = new Set(removed.map(document => document.id));
+                await this.commit(documents.filter(document => !ids.has(document.id)),
+                    removed.map(document => ({ op: 'del', id: document.id, before: document })), () => {
+                        removed.forEach(document => indexes.remove(document));
+                        return indexes;
+                    });
+
+                console.log(`🗑️  ${removed.length} documento(s) removido(s) da lixeira de ${this.collectionName}`);
+                return removed.length;
+            });
+        } catch (error) {
+            console.error('Erro ao esvaziar lixeira:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Executar operações em várias coleções do mesmo diretório como uma unidade (tudo ou nada)
+     * @param {Function} fn - async (tx) => resultado; tx.collection(nome ou instância) dá acesso
+     *   às coleções. Uma exceção (ou tx.rollback()) descarta todas as escritas
+     * @param {Object} options - options.retries: novas tentativas em TRANSACTION_CONFLICT (padrão 0)
+     * @returns {*} Valor retornado por fn
+     */
+    async transaction(fn, options = {}) {
+        const retries = options.retries || 0;
+
+        for (let attempt = 0; ; attempt++) {
+            const tx = new Transaction(this);
+            try {
+                const result = await fn(tx);
+                if (tx.status === 'active') {
+                    await tx.commit();
+                }
+                return result;
+            } catch (error) {
+                if (tx.status === 'active') {
+                    tx.status = 'rolledBack';
+                }
+                if (error.code === 'TRANSACTION_CONFLICT' && attempt < retries) {
+                    continue;
+                }
+                console.error('Erro na transação:', error);
+                throw error;
+            }
+        }
+    }
+
+    // Outra coleção do mesmo diretório, aberta com as opções padrão
+    sibling(collectionName) {
+        if (collectionName === this.collectionName) {
+            return this;
+        }
+        if (!this.siblings.has(collectionName)) {
+            this.siblings.set(collectionName, new JsonDatabase(this.dbPath, collectionName));
+        }
+        return this.siblings.get(collectionName);
+    }
+
+    // Opções necessárias para reabrir a coleção (gravadas no registro de commit)
+    describeOptions() {
+        return {
+            storage: this.storage.mode,
+            ...(this.storage.appendOnly ? { compactAfter: this.storage.compactAfter } : {}),
+            indexes: this.indexDefinitions,
+            changeLog: this.changeLog ? { retain: this.changeLog.retain } : false,
+            ...(this.encryption ? { encryption: this.encryption.describe() } : {})
+        };
+    }
+
+    /**
+     * Busca de texto
+     *
+     * Com options.textIndex na coleção, usa o índice invertido (sem acentos,
+     * com stemming e prefixo) e devolve os documentos em ordem de relevância.
+     * Sem índice, ou com campos fora dele, compara substrings sem diferenciar acentos.
+     * @param {string} query - Texto buscado
+     * @param {Array<string>} fields - Campos pesquisados (padrão: os do índice ou o documento inteiro)
+     */
     async search(query, fields = []) {
         try {
-            const documents = await this.readAll();
-            const searchTerm = query.toLowerCase();
+            if (this.textFields && fields.every(field => this.textFields[field] !== undefined)) {
+                const results = await this.textSearch(query, { fields });
+                return results.map(result => result.document);
+            }
 
-            return documents.filter(doc => {
+            const documents = this.alive(await this.load()).filter(doc => !this.isDeleted(doc));
+            const searchTerm = TextIndex.normalize(query);
+
+            return this.clone(documents.filter(doc => {
                 // Se campos específicos foram fornecidos, buscar apenas neles
                 if (fields.length > 0) {
                     return fields.some(field => {
                         const value = this.getNestedValue(doc, field);
-                        return value && value.toString().toLowerCase().includes(searchTerm);
+                        return value && TextIndex.normalize(value).includes(searchTerm);
                     });
                 }
 
                 // Buscar em todos os campos de string do documento
                 return this.searchInObject(doc, searchTerm);
-            });
+            }));
         } catch (error) {
             console.error('Erro na busca:', error);
             throw error;
         }
     }
 
+    /**
+     * Busca ranqueada pelo índice de texto (BM25 com peso por campo)
+     * @param {string} query - Texto buscado
+     * @param {Object} options - fields, filter (aplicado aos encontrados), limit,
+     *   operator ('and' exige todos os termos, padrão; 'or' aceita qualquer um), prefix
+     * @returns {Array} [{ document, score }] em ordem decrescente de escore
+     */
+    async textSearch(query, options = {}) {
+        if (!this.textFields) {
+            const error = new Error(`Coleção ${this.collectionName} não tem índice de texto`);
+            error.code = 'NO_TEXT_INDEX';
+            throw error;
+        }
+
+        try {
+            const cache = await this.load();
+            const byId = new Map(this.alive(cache).map(document => [document.id, document]));
+
+            const results = [];
+            for (const { id, score } of this.textIndexFor(cache).search(String(query), options)) {
+                const document = byId.get(id);
+                if (!document || this.isDeleted(document)) continue;
+                if (options.filter && !this.matchesFilter(document, options.filter)) continue;
+
+                results.push({ document: this.clone(document), score });
+                if (options.limit && results.length >= options.limit) break;
+            }
+            return results;
+        } catch (error) {
+            console.error('Erro na busca de texto:', error);
+            throw error;
+        }
+    }
+
+    // Índice de texto da versão em cache (reconstruído se a coleção mudou em outro processo)
+    textIndexFor(cache) {
+        if (!this.textIndex || this.textIndex.signature !== cache.signature) {
+            this.textIndex = TextIndex.build(this.textFields, cache.documents);
+            this.textIndex.signature = cache.signature;
+        }
+        return this.textIndex;
+    }
+
+    // Acompanhar um commit deste processo sem reconstruir o índice de texto
+    syncTextIndex(signature, changes) {
+        if (!this.textIndex) return;
+
+        if (this.cache && this.textIndex.signature === this.cache.signature) {
+            this.textIndex.apply(changes);
+            this.textIndex.signature = signature;
+        } else {
+            this.textIndex = null;
+        }
+    }
+
     // Métodos auxiliares
+
+    // Novo documento com id, datas e versão inicial
+    buildDocument(data) {
+        return {
+            id: data.id || uuidv4(),
+            ...data,
+            createdAt: data.createdAt || new Date().toISOString(),
+            updatedAt: new Date().toISOString(),
+            _version: 1
+        };
+    }
+
+    // Merge raso preservando id e data de criação
+    mergeDocument(current, updates) {
+        return {
+            ...current,
+            ...updates,
+            id: current.id, // Preservar ID
+            createdAt: current.createdAt, // Preservar data de criação
+            updatedAt: new Date().toISOString(),
+            _version: this.versionOf(current) + 1
+        };
+    }
+
+    // Aplicar operadores (e derive); null se o documento não mudou
+    applyOperators(current, update, filter, derive) {
+        let updated = UpdateOperators.apply(current, update, filter);
+        if (derive) {
+            updated = derive(updated) || updated;
+        }
+        updated.id = current.id;
+        updated.createdAt = current.createdAt;
+        delete updated._version;
+        if ('_version' in current) updated._version = current._version;
+
+        if (QueryMatcher.deepEqual(current, updated)) {
+            return null;
+        }
+
+        updated.updatedAt = new Date().toISOString();
+        updated._version = this.versionOf(current) + 1;
+        return updated;
+    }
+
+    // Documento na lixeira (softDelete)
+    isDeleted(document) {
+        return this.softDelete && document.deletedAt !== undefined;
+    }
+
+    // Consultas não veem a lixeira, exceto com withDeleted ou um filtro explícito em deletedAt
+    scopeFilter(filter = {}, options = {}) {
+        if (!this.softDelete || options.withDeleted || Object.prototype.hasOwnProperty.call(filter, 'deletedAt')) {
+            return filter;
+        }
+        return { ...filter, deletedAt: { $exists: false } };
+    }
+
+    // Recusar documento que não atende ao schema da coleção
+    assertValid(document) {
+        if (!this.schema) {
+            return;
+        }
+
+        const errors = SchemaValidator.validate(this.schema, document);
+        if (errors.length > 0) {
+            throw SchemaValidator.validationError(this.collectionName, errors);
+        }
+    }
+
+    // Documentos anteriores ao controle de versão são tratados como versão 0
+    versionOf(document) {
+        return Number.isInteger(document._version) ? document._version : 0;
+    }
+
+    // Controle de concorrência otimista
+    assertVersion(document, expectedVersion) {
+        if (expectedVersion === undefined || expectedVersion === null) {
+            return;
+        }
+
+        const currentVersion = this.versionOf(document);
+        if (currentVersion !== Number(expectedVersion)) {
+            const error = new Error(`Conflito de versão no documento ${document.id}: esperada ${expectedVersion}, atual ${currentVersion}`);
+            error.code = 'VERSION_CONFLICT';
+            error.expectedVersion = Number(expectedVersion);
+            error.currentVersion = currentVersion;
+            throw error;
+        }
+    }
+
+    // Todos os documentos, sem os expirados (cópias, como em find)
     async readAll() {
+        return this.clone(this.alive(await this.load()));
+    }
+
+    /**
+     * Retorna o estado atual da coleção, relendo o arquivo apenas se ele
+     * tiver sido alterado (por outro processo) desde a última leitura
+     * @returns {Object} { signature, documents, indexes, meta, nextExpiry }
+     */
+    async load() {
+        await this.ready;
+        const signature = await this.storage.signature();
+
+        if (this.cache && this.cache.signature === signature) {
+            this.cacheStats.hits++;
+            return this.cache;
+        }
+
+        // Leituras concorrentes da mesma versão do arquivo compartilham o recarregamento
+        if (!this.reloading || this.reloading.signature !== signature) {
+            const reloading = {
+                signature,
+                promise: this.reload(signature).finally(() => {
+                    if (this.reloading === reloading) {
+                        this.reloading = null;
+                    }
+                })
+            };
+            this.reloading = reloading;
+        }
+        return this.reloading.promise;
+    }
+
+    async reload(signature) {
+        const { documents, meta } = await this.storage.read();
+        const indexes = await this.loadIndexes(signature) || IndexManager.build(this.indexDefinitions, documents);
+
+        this.cacheStats.reloads++;
+        this.cache = { signature, documents, indexes, meta, nextExpiry: this.nextExpiryOf(documents) };
+        return this.cache;
+    }
+
+    /**
+     * Persistir uma mutação e atualizar o cache com o que foi escrito
+     * @param {Array} documents - Estado completo da coleção após a mutação
+     * @param {Array} changes - Mudanças aplicadas: { op: 'put', doc, before? } ou { op: 'del', id, before }
+     * @param {Function} nextIndexes - Retorna os índices do novo estado; só é chamada depois
+     *   da escrita, então pode alterar os índices do cache sem risco se a escrita falhar
+     */
+    async commit(documents, changes, nextIndexes) {
+        const records = changes.map(({ before, ...change }) => change);
+        const { signature, meta } = await this.storage.write(documents, records, this.cache.meta);
+        const indexes = nextIndexes();
+        if (!this.storage.appendOnly) {
+            await this.writeIndexes(indexes, signature);
+        }
+        this.syncTextIndex(signature, changes);
+
+        // Próximo vencimento: só recalculado por completo se o anterior já passou
+        const previousExpiry = this.cache.nextExpiry;
+        const nextExpiry = previousExpiry > Date.now()
+            ? Math.min(previousExpiry, this.nextExpiryOf(changes.filter(change => change.op === 'put').map(change => change.doc)))
+            : this.nextExpiryOf(documents);
+        this.cache = { signature, documents, indexes, meta, nextExpiry };
+
+        // Eventos só são registrados depois que a mutação foi persistida
+        if (this.changeLog) {
+            await this.changeLog.append(changes.map(change => JsonDatabase.toChangeEvent(change)));
+        }
+
+        if (this.storage.shouldCompact(meta)) {
+            await this.runCompaction();
+        }
+    }
+
+    /**
+     * Compactar a coleção (modo journal): grava um novo snapshot e reinicia o journal
+     * @returns {number} Registros do journal incorporados ao snapshot
+     */
+    async compact() {
+        try {
+            return await this.withWriteLock(() => this.runCompaction());
+        } catch (error) {
+            console.error('Erro ao compactar coleção:', error);
+            throw error;
+        }
+    }
+
+    // Deve ser chamada com o lock de escrita adquirido
+    async runCompaction() {
+        const { documents, indexes, meta, nextExpiry } = await this.load();
+        const result = await this.storage.compact(documents, meta);
+        if (!result) {
+            return 0;
+        }
+
+        await this.writeIndexes(indexes, result.signature);
+        this.syncTextIndex(result.signature, []);
+        this.cache = { signature: result.signature, documents, indexes, meta: result.meta, nextExpiry };
+        return result.compacted;
+    }
+
+    static toChangeEvent({ op, doc, id, before }) {
+        if (op === 'del') {
+            return { type: 'delete', id, before, after: null };
+        }
+        return { type: before ? 'update' : 'insert', id: doc.id, before: before || null, after: doc };
+    }
+
+    /**
+     * Observar mudanças na coleção (neste e em outros processos que usam o mesmo diretório)
+     * @param {Object} filter - Filtro aplicado à imagem anterior ou posterior do documento
+     * @param {Object} options - resumeAfter (seq do último evento recebido), types
+     *   (['insert', 'update', 'delete']) e pollInterval (ms, padrão 250)
+     * @returns {ChangeStream} EventEmitter ('change', 'error', 'close') e iterador assíncrono
+     */
+    watch(filter = {}, options = {}) {
+        if (!this.changeLog) {
+            throw new Error(`Registro de mudanças desativado na coleção ${this.collectionName}`);
+        }
+
+        // Sem resumeAfter, começa após o último evento já gravado. Passar pela fila de
+        // escrita garante que mutações iniciadas depois de watch() sejam entregues.
+        const start = options.resumeAfter !== undefined && options.resumeAfter !== null
+            ? Promise.resolve(Number(options.resumeAfter))
+            : this.withWriteLock(async () => (await this.changeLog.currentState()).lastSeq);
+
+        return new ChangeStream(this.changeLog, filter, { ...options, start });
+    }
+
+    // Encerrar a compactação e a remoção de expirados periódicas (e a conexão, no modo sqlite)
+    close() {
+        if (typeof this.storage.close === 'function') {
+            this.storage.close();
+        }
+        if (this.compactionTimer) {
+            clearInterval(this.compactionTimer);
+            this.compactionTimer = null;
+        }
+        if (this.ttlTimer) {
+            clearInterval(this.ttlTimer);
+            this.ttlTimer = null;
+        }
+    }
+
+    // Índices TTL: { field, expireAfterSeconds }
+    static ttlIndexesOf(definitions) {
+        return definitions
+            .map(definition => IndexManager.normalizeDefinition(definition))
+            .filter(index => index.expireAfterSeconds !== null)
+            .map(index => ({ field: index.fields[0], expireAfterSeconds: index.expireAfterSeconds }));
+    }
+
+    // Remoção periódica dos expirados (o timer não impede o processo de encerrar)
+    startTtlSweep() {
+        if (this.ttlTimer || this.ttlIndexes.length === 0) {
+            return;
+        }
+        this.ttlTimer = setInterval(() => this.purgeExpired().catch(() => {}), this.ttlInterval);
+        this.ttlTimer.unref();
+    }
+
+    /**
+     * Momento (ms) em que o documento expira: o menor vencimento entre os índices TTL.
+     * Campos ausentes ou que não são datas nunca expiram; em arrays vale a data mais antiga.
+     */
+    expiresAt(document) {
+        let earliest = Infinity;
+        this.ttlIndexes.forEach(({ field, expireAfterSeconds }) => {
+            IndexManager.valuesFor(document, field).forEach(date => {
+                const time = typeof date === 'number' ? date : Date.parse(date);
+                if (Number.isFinite(time)) {
+                    earliest = Math.min(earliest, time + expireAfterSeconds * 1000);
+                }
+            });
+        });
+        return earliest;
+    }
+
+    isExpired(document, now = Date.now()) {
+        return this.ttlIndexes.length > 0 && this.expiresAt(document) <= now;
+    }
+
+    nextExpiryOf(documents) {
+        if (this.ttlIndexes.length === 0) {
+            return Infinity;
+        }
+        return documents.reduce((earliest, document) => Math.min(earliest, this.expiresAt(document)), Infinity);
+    }
+
+    // Se algum documento do estado em cache pode já ter expirado
+    mayHaveExpired(cache) {
+        return cache.nextExpiry !== undefined && cache.nextExpiry <= Date.now();
+    }
+
+    // Ids dos documentos expirados (null se não houver índice TTL)
+    expiredIds(documents) {
+        if (this.ttlIndexes.length === 0) {
+            return null;
+        }
+        const now = Date.now();
+        return new Set(documents.filter(document => this.isExpired(document, now)).map(document => document.id));
+    }
+
+    expiredIdsOf(cache) {
+        return this.mayHaveExpired(cache) ? this.expiredIds(cache.documents) : null;
+    }
+
+    // Documentos do cache visíveis para consultas (o próprio array se nada expirou)
+    alive(cache) {
+        if (!this.mayHaveExpired(cache)) {
+            return cache.documents;
+        }
+        const now = Date.now();
+        return cache.documents.filter(document => !this.isExpired(document, now));
+    }
+
+    /**
+     * Remover do arquivo os documentos expirados (executada periodicamente quando há índice TTL)
+     * @returns {number} Documentos removidos
+     */
+    async purgeExpired() {
+        if (this.ttlIndexes.length === 0) {
+            return 0;
+        }
+
         try {
-            return await fs.readJson(this.filePath);
+            // Sem vencimento no passado, não há por que disputar o lock
+            const purged = !this.mayHaveExpired(await this.load()) ? 0 : await this.withWriteLock(async () => {
+                const cache = await this.load();
+                const expired = this.expiredIds(cache.documents);
+                if (expired.size === 0) {
+                    return 0;
+                }
+
+                const removed = cache.documents.filter(document => expired.has(document.id));
+                const documents = cache.documents.filter(document => !expired.has(document.id));
+                await this.commit(documents, removed.map(document => ({ op: 'del', id: document.id, before: document })), () => {
+                    removed.forEach(document => cache.indexes.remove(document));
+                    return cache.indexes;
+                });
+                return removed.length;
+            });
+
+            this.ttlStats.purged += purged;
+            this.ttlStats.lastPurgeAt = new Date().toISOString();
+            this.ttlStats.lastPurgeCount = purged;
+            if (purged > 0) {
+                console.log(`🧹 ${purged} documento(s) expirado(s) removido(s) de ${this.collectionName}`);
+            }
+            return purged;
         } catch (error) {
-            return [];
+            console.error('Erro ao remover documentos expirados:', error);
+            throw error;
         }
     }
 
-    async writeAll(documents) {
-        await fs.writeJson(this.filePath, documents, { spaces: 2 });
+    // Índices TTL e documentos removidos por este processo
+    getTtlStats() {
+        return {
+            indexes: this.ttlIndexes,
+            ...this.ttlStats
+        };
     }
 
-    async updateIndex(document) {
+    // Persistir índices junto com a assinatura do arquivo que os originou
+    async writeIndexes(indexes, signature) {
+        if (!this.indexPath) {
+            return;
+        }
         try {
-            const index = await fs.readJson(this.indexPath);
-            index[document.id] = {
-                id: document.id,
-                updatedAt: document.updatedAt
-            };
-            await fs.writeJson(this.indexPath, index, { spaces: 2 });
+            await FileLock.writeJsonAtomic(this.indexPath, indexes.toJSON(signature));
         } catch (error) {
             console.error('Erro ao atualizar índice:', error);
         }
     }
 
-    async removeFromIndex(id) {
+    // Carregar índices persistidos; null se desatualizados em relação à coleção
+    async loadIndexes(signature) {
+        if (!this.indexPath) {
+            return null;
+        }
         try {
-            const index = await fs.readJson(this.indexPath);
-            delete index[id];
-            await fs.writeJson(this.indexPath, index, { spaces: 2 });
+            const data = await fs.readJson(this.indexPath);
+            if (!signature || !data._meta || data._meta.signature !== signature) {
+                return null;
+            }
+            return IndexManager.fromJSON(data, this.indexDefinitions);
         } catch (error) {
-            console.error('Erro ao remover do índice:', error);
+            return null;
         }
     }
 
-    matchesFilter(document, filter) {
-        return Object.entries(filter).every(([key, value]) => {
-            const docValue = this.getNestedValue(document, key);
-
-            if (typeof value === 'object' && value !== null) {
-                // Operadores especiais
-                if (value.$regex) {
-                    const regex = new RegExp(value.$regex, value.$options || 'i');
-                    return regex.test(docValue);
-                }
-                if (value.$in) {
-                    return value.$in.includes(docValue);
-                }
-                if (value.$gt) {
-                    return docValue > value.$gt;
-                }
-                if (value.$lt) {
-                    return docValue < value.$lt;
-                }
-                if (value.$gte) {
-                    return docValue >= value.$gte;
-                }
-                if (value.$lte) {
-                    return docValue <= value.$lte;
-                }
-            }
+    // Documentos que atendem ao filtro, restringindo a busca pelos índices
+    async queryDocuments(filter = {}) {
+        const cache = await this.load();
+        const documents = this.alive(cache);
+        if (Object.keys(filter).length === 0) {
+            return [...documents];
+        }
 
-            return docValue === value;
-        });
+        const ids = cache.indexes.candidates(filter);
+        const candidates = ids ? documents.filter(doc => ids.has(doc.id)) : documents;
+        return candidates.filter(doc => this.matchesFilter(doc, filter));
+    }
+
+    // Filtro, ordenação estável, cursor e paginação (sem projeção)
+    async select(filter, options) {
+        // Aplicar filtro (com índices quando possível)
+        return this.paginate(await this.queryDocuments(filter), options);
+    }
+
+    // Ordenação, cursor e paginação de documentos já filtrados
+    paginate(documents, options) {
+        // Cursores dependem de uma ordem total, então "after" sempre ordena
+        const sortFields = Cursor.normalizeSort(options.sort);
+        if (options.sort || options.after) {
+            documents = this.sortDocuments(documents, options.sort);
+        }
+
+        if (options.after) {
+            documents = Cursor.after(documents, options.after, sortFields);
+        }
+
+        // Aplicar paginação
+        const skip = options.skip || 0;
+        const limit = options.limit || documents.length;
+        const hasMore = documents.length > skip + limit;
+        documents = documents.slice(skip, skip + limit);
+
+        return { documents, hasMore, sortFields };
+    }
+
+    project(documents, projection) {
+        if (!projection) {
+            return documents;
+        }
+        return documents.map(document => Projection.apply(document, projection));
+    }
+
+    // Estatísticas do cache em memória
+    getCacheStats() {
+        return {
+            ...this.cacheStats,
+            cached: this.cache !== null,
+            documents: this.cache ? this.cache.documents.length : 0
+        };
+    }
+
+    // Modo de armazenamento e, no modo journal, sequência e registros pendentes de compactação
+    getStorageStats() {
+        const meta = this.cache ? this.cache.meta : {};
+        return {
+            mode: this.storage.mode,
+            ...(this.encryption ? { encrypted: true } : {}),
+            ...(this.storage.appendOnly ? { seq: meta.seq || 0, journalRecords: meta.records || 0 } : {})
+        };
+    }
+
+    // Documentos do cache nunca são entregues por referência
+    clone(value) {
+        return value === null || value === undefined ? value : JSON.parse(JSON.stringify(value));
+    }
+
+    // Avaliação completa de filtros no estilo MongoDB (ver QueryMatcher)
+    matchesFilter(document, filter) {
+        return QueryMatcher.matches(document, filter);
     }
 
     getNestedValue(obj, path) {
@@ -265,27 +1297,18 @@ class JsonDatabase {
         }, obj);
     }
 
+    // Ordenação estável por vários campos, com desempate por id
     sortDocuments(documents, sortOptions) {
-        return documents.sort((a, b) => {
-            for (const [field, direction] of Object.entries(sortOptions)) {
-                const valueA = this.getNestedValue(a, field);
-                const valueB = this.getNestedValue(b, field);
-
-                let comparison = 0;
-                if (valueA < valueB) comparison = -1;
-                if (valueA > valueB) comparison = 1;
-
-                if (comparison !== 0) {
-                    return direction === -1 ? -comparison : comparison;
-                }
-            }
-            return 0;
-        });
+        const sortFields = Cursor.normalizeSort(sortOptions);
+        return documents
+            .map(document => ({ document, key: Cursor.sortKey(document, sortFields) }))
+            .sort((a, b) => Cursor.compareKeys(a.key, b.key, sortFields))
+            .map(entry => entry.document);
     }
 
     searchInObject(obj, searchTerm) {
         for (const value of Object.values(obj)) {
-            if (typeof value === 'string' && value.toLowerCase().includes(searchTerm)) {
+            if (typeof value === 'string' && TextIndex.normalize(value).includes(searchTerm)) {
                 return true;
             }
             if (typeof value === 'object' && value !== null && this.searchInObject(value, searchTerm)) {
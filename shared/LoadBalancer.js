@@ -0,0 +1,138 @@
+const semver = require('semver');
+
+// Estratégias de escolha de instância no discover()
+const STRATEGIES = ['round-robin', 'least-recently-failed', 'random', 'weighted'];
+
+/**
+ * Escolha da instância de um serviço no discover(), comum aos registries
+ * (arquivo e registry server): filtra por versão (faixa semver) e tags,
+ * descarta instâncias não saudáveis ou já tentadas e aplica a estratégia
+ * (options.strategy ou a padrão, de SERVICE_DISCOVERY_STRATEGY). A posição
+ * do round-robin é por processo.
+ */
+class LoadBalancer {
+    constructor(strategy = process.env.SERVICE_DISCOVERY_STRATEGY || 'round-robin') {
+        this.strategy = strategy;
+        if (!STRATEGIES.includes(this.strategy)) {
+            console.warn(`Estratégia de descoberta inválida: ${this.strategy}. Usando round-robin`);
+            this.strategy = 'round-robin';
+        }
+        this.cursors = new Map();
+    }
+
+    static get STRATEGIES() {
+        return STRATEGIES;
+    }
+
+    static error(message, code) {
+        const error = new Error(message);
+        error.code = code;
+        return error;
+    }
+
+    // Faixa de versão aceita em options.version (ex.: '^1.2', '>=1.0.0 <2', '1.x')
+    static isValidRange(range) {
+        return semver.validRange(range) !== null;
+    }
+
+    /**
+     * Instâncias com a versão e as tags pedidas
+     * @param {Array} instances - Instâncias do serviço
+     * @param {Object} options - version (faixa semver), tags (todas obrigatórias)
+     * @returns {Array} Instâncias que atendem aos filtros
+     */
+    static matching(instances, options = {}) {
+        const { version, tags = [] } = options;
+        if (version && !LoadBalancer.isValidRange(version)) {
+            throw LoadBalancer.error(`Faixa de versão inválida: ${version}`, 'INVALID_VERSION_RANGE');
+        }
+
+        return instances.filter(instance => {
+            if (version && !(semver.valid(instance.version) && semver.satisfies(instance.version, version))) {
+                return false;
+            }
+            const instanceTags = instance.tags || [];
+            return tags.every(tag => instanceTags.includes(tag));
+        });
+    }
+
+    // Descrição dos filtros para logs e mensagens de erro
+    static describeFilters(options = {}) {
+        const filters = [];
+        if (options.version) filters.push(`versão ${options.version}`);
+        if (options.tags && options.tags.length > 0) filters.push(`tags ${options.tags.join(', ')}`);
+        return filters.join(' e ');
+    }
+
+    /**
+     * Escolher uma instância saudável
+     * @param {string} serviceName - Nome do serviço
+     * @param {Array} instances - Todas as instâncias registradas do serviço
+     * @param {Object} options - strategy, exclude (ids já tentados),
+     *   version (faixa semver, ex.: '^1.2'), tags (ex.: ['canary'])
+     * @returns {Object} Instância escolhida
+     */
+    pick(serviceName, instances, options = {}) {
+        if (instances.length === 0) {
+            console.error(`Serviço não encontrado: ${serviceName}`);
+            throw LoadBalancer.error(`Serviço não encontrado: ${serviceName}`, 'SERVICE_NOT_FOUND');
+        }
+
+        const filters = LoadBalancer.describeFilters(options);
+        const matching = LoadBalancer.matching(instances, options);
+        if (matching.length === 0) {
+            console.error(`Nenhuma instância de ${serviceName} com ${filters} (${instances.length} registrada(s))`);
+            throw LoadBalancer.error(`Nenhuma instância de ${serviceName} com ${filters}`, 'NO_MATCHING_INSTANCE');
+        }
+
+        const exclude = options.exclude || [];
+        const candidates = matching
+            .filter(instance => instance.healthy && !exclude.includes(instance.id))
+            .sort((a, b) => a.id.localeCompare(b.id));
+
+        if (candidates.length === 0) {
+            console.error(`Serviço indisponível: ${serviceName} (nenhuma de ${matching.length} instância(s) saudável)`);
+            throw LoadBalancer.error(`Serviço indisponível: ${serviceName}`, 'SERVICE_UNAVAILABLE');
+        }
+
+        const strategy = options.strategy || this.strategy;
+        // Rotação própria por conjunto de filtros: um discover filtrado não desloca o dos demais
+        const rotationKey = filters ? `${serviceName} (${filters})` : serviceName;
+        const instance = this.choose(rotationKey, candidates, strategy);
+        console.log(`Serviço encontrado: ${serviceName} [${instance.id}] - ${instance.url} (${strategy}${filters ? `; ${filters}` : ''})`);
+        return instance;
+    }
+
+    // Aplicar a estratégia de balanceamento aos candidatos (já saudáveis)
+    choose(rotationKey, candidates, strategy) {
+        switch (strategy) {
+            case 'round-robin':
+                return this.nextInRotation(rotationKey, candidates);
+            case 'least-recently-failed': {
+                // Nunca falhou vem primeiro; empates seguem o round-robin
+                const oldest = Math.min(...candidates.map(instance => instance.lastFailureAt || 0));
+                return this.nextInRotation(rotationKey, candidates.filter(instance => (instance.lastFailureAt || 0) === oldest));
+            }
+            case 'random':
+                return candidates[Math.floor(Math.random() * candidates.length)];
+            case 'weighted': {
+                const total = candidates.reduce((sum, instance) => sum + instance.weight, 0);
+                let point = Math.random() * total;
+                return candidates.find(instance => (point -= instance.weight) < 0) || candidates[candidates.length - 1];
+            }
+            default:
+                throw LoadBalancer.error(
+                    `Estratégia de descoberta inválida: ${strategy}. Use: ${STRATEGIES.join(', ')}`,
+                    'INVALID_STRATEGY'
+                );
+        }
+    }
+
+    nextInRotation(rotationKey, candidates) {
+        const cursor = this.cursors.get(rotationKey) || 0;
+        this.cursors.set(rotationKey, cursor + 1);
+        return candidates[cursor % candidates.length];
+    }
+}
+
+module.exports = LoadBalancer;
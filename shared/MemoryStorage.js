@@ -0,0 +1,140 @@
+const path = require('path');
+const ChangeLog = require('./ChangeLog');
+
+// Coleções e registros de mudanças do processo, por caminho (compartilhados entre instâncias)
+const collections = new Map();
+const changeLogs = new Map();
+
+/**
+ * Armazenamento em memória do JsonDatabase (sem nenhum arquivo)
+ *
+ * Pensado para testes e ambientes efêmeros: os dados vivem apenas no
+ * processo e somem ao encerrá-lo. Instâncias abertas com o mesmo diretório
+ * e coleção compartilham os dados, como acontece com os arquivos. Como nada
+ * vai para o disco, options.encryption não se aplica.
+ */
+class MemoryStorage {
+    constructor(dbPath, collectionName) {
+        this.mode = 'memory';
+        this.dbPath = dbPath;
+        this.collectionName = collectionName;
+        // Caminho apenas identifica a coleção; nada é gravado nele
+        this.filePath = path.resolve(dbPath, `${collectionName}.json`);
+        this.appendOnly = false;
+        this.inMemory = true;
+    }
+
+    async ensure() {
+        if (!collections.has(this.filePath)) {
+            collections.set(this.filePath, { documents: [], version: 0 });
+        }
+    }
+
+    async signature() {
+        const state = collections.get(this.filePath);
+        return state ? `memory:${state.version}` : null;
+    }
+
+    async read() {
+        const state = collections.get(this.filePath);
+        return { documents: state ? [...state.documents] : [], meta: {} };
+    }
+
+    async write(documents) {
+        const state = collections.get(this.filePath) || { version: 0 };
+        collections.set(this.filePath, { documents: [...documents], version: state.version + 1 });
+        return { signature: await this.signature(), meta: {} };
+    }
+
+    async rewrite(documents) {
+        return this.write(documents);
+    }
+
+    async hasPlaintext() {
+        return false;
+    }
+
+    async compact() {
+        return null;
+    }
+
+    shouldCompact() {
+        return false;
+    }
+
+    // Registro de mudanças também em memória (usado pelo JsonDatabase no lugar do arquivo .changes.ndjson)
+    createChangeLog(options = {}) {
+        return new MemoryChangeLog(this.dbPath, this.collectionName, options);
+    }
+
+    // Descartar os dados de um diretório (ou de todos), ex.: entre testes
+    static reset(dbPath = null) {
+        const prefix = dbPath ? `${path.resolve(dbPath)}${path.sep}` : '';
+        [collections, changeLogs].forEach(store => {
+            [...store.keys()].filter(key => key.startsWith(prefix)).forEach(key => store.delete(key));
+        });
+    }
+}
+
+/**
+ * Registro de mudanças em memória (mesma interface do ChangeLog, para watch())
+ */
+class MemoryChangeLog extends ChangeLog {
+    constructor(dbPath, collectionName, options = {}) {
+        super(dbPath, collectionName, options);
+        this.filePath = path.resolve(this.filePath);
+    }
+
+    get events() {
+        if (!changeLogs.has(this.filePath)) {
+            changeLogs.set(this.filePath, []);
+        }
+        return changeLogs.get(this.filePath);
+    }
+
+    async ensure() {}
+
+    async rewrite() {}
+
+    async hasPlaintext() {
+        return false;
+    }
+
+    async signature() {
+        const events = this.events;
+        return `memory:${events.length}:${events.length > 0 ? events[events.length - 1].seq : 0}`;
+    }
+
+    async read() {
+        const events = [...this.events];
+        const state = {
+            signature: await this.signature(),
+            lastSeq: events.length > 0 ? events[events.length - 1].seq : 0,
+            count: events.length
+        };
+        this.state = state;
+        return { events, state };
+    }
+
+    async append(changes) {
+        const events = this.events;
+        const ts = new Date().toISOString();
+        let seq = events.length > 0 ? events[events.length - 1].seq : 0;
+
+        const appended = changes.map(change => ({
+            seq: ++seq,
+            ts,
+            collection: this.collectionName,
+            ...change
+        }));
+        events.push(...appended);
+        if (events.length > this.retain * 2) {
+            events.splice(0, events.length - this.retain);
+        }
+
+        ChangeLog.notifier(this.filePath).emit('change');
+        return appended;
+    }
+}
+
+module.exports = MemoryStorage;
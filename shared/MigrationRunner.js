@@ -0,0 +1,264 @@
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const path = require('path');
+const JsonDatabase = require('./JsonDatabase');
+
+// Coleção (no mesmo diretório do banco) com as migrações já aplicadas
+const MIGRATIONS_COLLECTION = '_migrations';
+const FILE_PATTERN = /^(\d+)[-_].+\.js$/;
+
+/**
+ * Migrações versionadas de dados de um serviço
+ *
+ * Cada arquivo em <serviço>/migrations se chama NNN-descricao.js e exporta
+ * { description, up(context), down(context) }. O contexto oferece
+ * collection(nome), que devolve a coleção dentro de uma transação
+ * (mesma interface de leitura e escrita do JsonDatabase), e a própria
+ * transaction. A migração e o registro em _migrations são gravados na
+ * mesma transação: ou tudo é aplicado, ou nada.
+ *
+ * Dois processos aplicando a mesma migração ao mesmo tempo entram em
+ * conflito em _migrations; o segundo repete a transação, vê a migração
+ * registrada e não faz nada.
+ */
+class MigrationRunner {
+    static COLLECTION = MIGRATIONS_COLLECTION;
+
+    /**
+     * @param {string} dbPath - Diretório do banco do serviço
+     * @param {string} migrationsDir - Diretório com os arquivos de migração
+     * @param {Object} options - Opções
+     * @param {Array<JsonDatabase>} options.collections - Instâncias usadas por collection(nome)
+     *   (para migrar com os índices e o modo de armazenamento do serviço); as demais são abertas pelo nome
+     */
+    constructor(dbPath, migrationsDir, options = {}) {
+        this.dbPath = dbPath;
+        this.migrationsDir = migrationsDir;
+        this.collections = new Map((options.collections || []).map(database => [database.collectionName, database]));
+        this.database = new JsonDatabase(dbPath, MIGRATIONS_COLLECTION, {
+            indexes: [{ fields: ['name'], unique: true }]
+        });
+    }
+
+    /**
+     * Carregar os arquivos de migração em ordem de versão
+     * @returns {Array} [{ version, name, description, checksum, up, down }]
+     */
+    async load() {
+        let files;
+        try {
+            files = await fs.readdir(this.migrationsDir);
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+
+        const migrations = [];
+        for (const file of files.filter(name => FILE_PATTERN.test(name))) {
+            const filePath = path.join(this.migrationsDir, file);
+            const source = await fs.readFile(filePath);
+            const migration = require(filePath);
+
+            if (typeof migration.up !== 'function') {
+                throw new Error(`Migração ${file} não exporta a função up`);
+            }
+
+            migrations.push({
+                version: parseInt(file.match(FILE_PATTERN)[1], 10),
+                name: path.basename(file, '.js'),
+                description: migration.description || '',
+                checksum: crypto.createHash('sha256').update(source).digest('hex'),
+                up: migration.up,
+                down: migration.down
+            });
+        }
+
+        migrations.sort((a, b) => a.version - b.version);
+        migrations.forEach((migration, position) => {
+            const previous = migrations[position - 1];
+            if (previous && previous.version === migration.version) {
+                throw new Error(`Versão de migração repetida: ${previous.name} e ${migration.name}`);
+            }
+        });
+        return migrations;
+    }
+
+    /**
+     * Situação de cada migração (arquivos e registros de _migrations)
+     * @returns {Array} [{ version, name, description, status, appliedAt }]
+     *   status: 'aplicada', 'pendente', 'alterada' (arquivo mudou depois de aplicado)
+     *   ou 'ausente' (registrada, mas sem arquivo)
+     */
+    async status() {
+        const migrations = await this.load();
+        const applied = await this.database.find({}, { sort: { version: 1 } });
+        const byName = new Map(applied.map(record => [record.name, record]));
+
+        const rows = migrations.map(migration => {
+            const record = byName.get(migration.name);
+            byName.delete(migration.name);
+
+            let status = 'pendente';
+            if (record) {
+                status = record.checksum === migration.checksum ? 'aplicada' : 'alterada';
+            }
+            return {
+                version: migration.version,
+                name: migration.name,
+                description: migration.description,
+                status,
+                appliedAt: record ? record.appliedAt : null
+            };
+        });
+
+        byName.forEach(record => rows.push({
+            version: record.version,
+            name: record.name,
+            description: record.description,
+            status: 'ausente',
+            appliedAt: record.appliedAt
+        }));
+
+        return rows.sort((a, b) => a.version - b.version);
+    }
+
+    /**
+     * Aplicar as migrações pendentes
+     * @param {Object} options - to: versão ou nome da última migração a aplicar
+     * @returns {Array<string>} Nomes das migrações aplicadas
+     */
+    async up(options = {}) {
+        const migrations = await this.load();
+        const target = options.to !== undefined ? this.resolve(migrations, options.to) : null;
+        const pending = migrations.filter(migration => !target || migration.version <= target.version);
+
+        const applied = [];
+        for (const migration of pending) {
+            const started = Date.now();
+            const ran = await this.database.transaction(async tx => {
+                const records = tx.collection();
+                if (await records.findOne({ name: migration.name })) {
+                    return false;
+                }
+
+                await migration.up(this.context(tx));
+                await records.create({
+                    version: migration.version,
+                    name: migration.name,
+                    description: migration.description,
+                    checksum: migration.checksum,
+                    appliedAt: new Date().toISOString(),
+                    durationMs: Date.now() - started
+                });
+                return true;
+            }, { retries: 3 });
+
+            if (ran) {
+                applied.push(migration.name);
+                console.log(`⬆️  Migração ${migration.name} aplicada (${Date.now() - started}ms)`);
+            }
+        }
+
+        return applied;
+    }
+
+    /**
+     * Reverter migrações aplicadas, da mais recente para a mais antiga
+     * @param {Object} options - steps: quantas reverter (padrão 1);
+     *   to: versão ou nome da migração que deve permanecer como a última aplicada (0 reverte todas)
+     * @returns {Array<string>} Nomes das migrações revertidas
+     */
+    async down(options = {}) {
+        const migrations = await this.load();
+        const byName = new Map(migrations.map(migration => [migration.name, migration]));
+        const applied = await this.database.find({}, { sort: { version: -1 } });
+
+        let selected;
+        if (options.to !== undefined) {
+            const keep = String(options.to) === '0' ? 0 : this.resolve(migrations, options.to).version;
+            selected = applied.filter(record => record.version > keep);
+        } else {
+            selected = applied.slice(0, options.steps === undefined ? 1 : options.steps);
+        }
+
+        const reverted = [];
+        for (const record of selected) {
+            const migration = byName.get(record.name);
+            if (!migration || typeof migration.down !== 'function') {
+                const error = new Error(`Migração ${record.name} não pode ser revertida: ${migration ? 'sem função down' : 'arquivo não encontrado'}`);
+                error.code = 'MIGRATION_IRREVERSIBLE';
+                throw error;
+            }
+
+            const ran = await this.database.transaction(async tx => {
+                const records = tx.collection();
+                const current = await records.findOne({ name: record.name });
+                if (!current) {
+                    return false;
+                }
+
+                await migration.down(this.context(tx));
+                await records.delete(current.id);
+                return true;
+            }, { retries: 3 });
+
+            if (ran) {
+                reverted.push(record.name);
+                console.log(`⬇️  Migração ${record.name} revertida`);
+            }
+        }
+
+        return reverted;
+    }
+
+    // Localizar uma migração pela versão (número) ou pelo nome do arquivo
+    resolve(migrations, target) {
+        const migration = migrations.find(candidate => (
+            candidate.name === String(target) || candidate.version === Number(target)
+        ));
+        if (!migration) {
+            const error = new Error(`Migração não encontrada: ${target}`);
+            error.code = 'MIGRATION_NOT_FOUND';
+            throw error;
+        }
+        return migration;
+    }
+
+    context(tx) {
+        return {
+            transaction: tx,
+            collection: name => tx.collection(this.collections.get(name) || name)
+        };
+    }
+
+    close() {
+        this.database.siblings.forEach(database => database.close());
+        this.database.close();
+    }
+
+    /**
+     * Aplicar as pendentes na inicialização do serviço quando RUN_MIGRATIONS=true
+     * @returns {Array<string>} Nomes das migrações aplicadas
+     */
+    static async runOnStartup(serviceName, dbPath, migrationsDir, options = {}) {
+        if (process.env.RUN_MIGRATIONS !== 'true') {
+            return [];
+        }
+
+        const runner = new MigrationRunner(dbPath, migrationsDir, options);
+        try {
+            const applied = await runner.up();
+            console.log(applied.length > 0
+                ? `✅ ${serviceName}: ${applied.length} migração(ões) aplicada(s)`
+                : `✅ ${serviceName}: nenhuma migração pendente`);
+            return applied;
+        } catch (error) {
+            console.error(`Erro ao aplicar migrações do ${serviceName}:`, error);
+            throw error;
+        } finally {
+            runner.close();
+        }
+    }
+}
+
+module.exports = MigrationRunner;
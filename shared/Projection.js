@@ -0,0 +1,129 @@
+const QueryMatcher = require('./QueryMatcher');
+
+/**
+ * Projeção de campos dos documentos retornados pelo JsonDatabase
+ *
+ * { name: 1, 'profile.city': 1 } inclui apenas os campos (o "id" é incluído
+ * a menos que seja excluído) e { password: 0 } exclui. Caminhos com ponto
+ * atravessam arrays de subdocumentos (ex.: 'items.itemName').
+ */
+class Projection {
+    /**
+     * Aplica a projeção a um documento
+     * @param {Object} document - Documento original (não é alterado)
+     * @param {Object} projection - Campos com 1/true (inclusão) ou 0/false (exclusão)
+     * @returns {Object} Documento projetado
+     */
+    static apply(document, projection) {
+        if (!projection || Object.keys(projection).length === 0) {
+            return document;
+        }
+
+        const { inclusion, tree } = this.compile(projection);
+        return inclusion ? this.include(document, tree) : this.exclude(document, tree);
+    }
+
+    /**
+     * Valida a projeção e a converte em árvore de caminhos
+     * @returns {Object} { inclusion, tree }, ex.: tree = { items: { itemName: true } }
+     */
+    static compile(projection) {
+        if (!QueryMatcher.isPlainObject(projection)) {
+            throw new Error('Projeção deve ser um objeto');
+        }
+
+        const entries = Object.entries(projection);
+        entries.forEach(([field, value]) => {
+            if (![0, 1, true, false].includes(value)) {
+                throw new Error(`Valor de projeção inválido para ${field}: use 1 ou 0`);
+            }
+        });
+
+        const isIncluded = value => value === 1 || value === true;
+        // O "id" pode ser excluído mesmo em projeções de inclusão
+        const fields = entries.filter(([field]) => field !== 'id');
+        const inclusion = fields.length > 0
+            ? isIncluded(fields[0][1])
+            : isIncluded(projection.id);
+
+        if (fields.some(([, value]) => isIncluded(value) !== inclusion)) {
+            throw new Error('Projeção não pode misturar inclusão e exclusão de campos');
+        }
+
+        const paths = entries
+            .filter(([field, value]) => field !== 'id' || isIncluded(value) === inclusion)
+            .map(([field]) => field);
+        if (inclusion && fields.length > 0 && !('id' in projection)) {
+            paths.push('id');
+        }
+
+        const tree = {};
+        paths.forEach(field => {
+            const parts = field.split('.');
+            let node = tree;
+            for (let position = 0; position < parts.length; position++) {
+                const part = parts[position];
+                // O caminho pai prevalece sobre seus subcaminhos
+                if (node[part] === true) break;
+
+                if (position === parts.length - 1) {
+                    node[part] = true;
+                } else {
+                    node[part] = node[part] || {};
+                    node = node[part];
+                }
+            }
+        });
+
+        return { inclusion, tree };
+    }
+
+    static include(value, tree) {
+        if (Array.isArray(value)) {
+            return value
+                .filter(element => QueryMatcher.isPlainObject(element) || Array.isArray(element))
+                .map(element => this.include(element, tree));
+        }
+        if (!QueryMatcher.isPlainObject(value)) {
+            return undefined;
+        }
+
+        const result = {};
+        Object.entries(tree).forEach(([key, node]) => {
+            if (!(key in value)) return;
+
+            if (node === true) {
+                result[key] = value[key];
+            } else {
+                const included = this.include(value[key], node);
+                if (included !== undefined) {
+                    result[key] = included;
+                }
+            }
+        });
+        return result;
+    }
+
+    static exclude(value, tree) {
+        if (Array.isArray(value)) {
+            return value.map(element => this.exclude(element, tree));
+        }
+        if (!QueryMatcher.isPlainObject(value)) {
+            return value;
+        }
+
+        const result = { ...value };
+        Object.entries(tree).forEach(([key, node]) => {
+            if (!(key in result)) return;
+
+            if (node === true) {
+                delete result[key];
+            } else {
+                result[key] = this.exclude(value[key], node);
+            }
+        });
+        return result;
+    }
+}
+
+module.exports = Projection;
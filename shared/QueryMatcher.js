@@ -0,0 +1,240 @@
+/**
+ * Avaliador de filtros no estilo MongoDB para o JsonDatabase
+ *
+ * Suporta operadores lógicos ($and, $or, $nor, $not), de comparação
+ * ($eq, $ne, $gt, $gte, $lt, $lte, $in, $nin), de elemento ($exists)
+ * e de array ($size, $all, $elemMatch), além de $regex/$options.
+ */
+class QueryMatcher {
+    static LOGICAL_OPERATORS = ['$and', '$or', '$nor', '$not'];
+
+    /**
+     * Verifica se o documento atende ao filtro
+     * @param {Object} document - Documento a avaliar
+     * @param {Object} filter - Filtro no estilo MongoDB
+     * @returns {boolean} True se o documento atende ao filtro
+     */
+    static matches(document, filter = {}) {
+        if (!this.isPlainObject(filter)) {
+            throw new Error('Filtro deve ser um objeto');
+        }
+
+        return Object.entries(filter).every(([key, condition]) => {
+            if (key.startsWith('$')) {
+                return this.matchLogical(document, key, condition);
+            }
+            return this.matchCondition(this.collectValues(document, key), condition);
+        });
+    }
+
+    static matchLogical(document, operator, condition) {
+        switch (operator) {
+            case '$and':
+                return this.expectArray(operator, condition).every(sub => this.matches(document, sub));
+            case '$or':
+                return this.expectArray(operator, condition).some(sub => this.matches(document, sub));
+            case '$nor':
+                return !this.expectArray(operator, condition).some(sub => this.matches(document, sub));
+            case '$not':
+                return !this.matches(document, condition);
+            default:
+                throw new Error(`Operador de consulta desconhecido: ${operator}`);
+        }
+    }
+
+    /**
+     * Avalia a condição de um campo contra os valores encontrados no caminho
+     * @param {Array} values - Valores do campo (vários quando o caminho atravessa arrays)
+     * @param {*} condition - Valor literal, RegExp ou objeto de operadores
+     * @returns {boolean} True se a condição for atendida
+     */
+    static matchCondition(values, condition) {
+        if (condition instanceof RegExp) {
+            return values.some(value => this.expand(value).some(item => this.testRegex(condition, item)));
+        }
+
+        if (!this.isOperatorObject(condition)) {
+            return values.some(value => this.equalsOrContains(value, condition));
+        }
+
+        // Todos os operadores do campo precisam ser atendidos
+        return Object.entries(condition).every(([operator, operand]) => {
+            if (operator === '$options') {
+                if (!('$regex' in condition)) {
+                    throw new Error('$options requer $regex');
+                }
+                return true;
+            }
+            return this.matchOperator(values, operator, operand, condition);
+        });
+    }
+
+    static matchOperator(values, operator, operand, condition) {
+        switch (operator) {
+            case '$eq':
+                return values.some(value => this.equalsOrContains(value, operand));
+            case '$ne':
+                return !values.some(value => this.equalsOrContains(value, operand));
+            case '$gt':
+                return this.someCompared(values, operand, result => result > 0);
+            case '$gte':
+                return this.someCompared(values, operand, result => result >= 0);
+            case '$lt':
+                return this.someCompared(values, operand, result => result < 0);
+            case '$lte':
+                return this.someCompared(values, operand, result => result <= 0);
+            case '$in':
+                return this.matchIn(values, this.expectArray(operator, operand));
+            case '$nin':
+                return !this.matchIn(values, this.expectArray(operator, operand));
+            case '$exists':
+                return values.some(value => value !== undefined) === Boolean(operand);
+            case '$regex': {
+                const regex = operand instanceof RegExp
+                    ? operand
+                    : new RegExp(operand, condition.$options !== undefined ? condition.$options : 'i');
+                return values.some(value => this.expand(value).some(item => this.testRegex(regex, item)));
+            }
+            case '$size':
+                return values.some(value => Array.isArray(value) && value.length === operand);
+            case '$all':
+                return this.expectArray(operator, operand)
+                    .every(expected => values.some(value => this.equalsOrContains(value, expected)));
+            case '$elemMatch':
+                return values.some(value => Array.isArray(value) && value.some(element => this.matchElement(element, operand)));
+            case '$not':
+                return !this.matchCondition(values, operand);
+            default:
+                throw new Error(`Operador de consulta desconhecido: ${operator}`);
+        }
+    }
+
+    // $elemMatch aceita tanto filtros de subdocumento quanto operadores sobre o próprio elemento
+    static matchElement(element, condition) {
+        if (this.isOperatorObject(condition) && !Object.keys(condition).some(key => this.LOGICAL_OPERATORS.includes(key))) {
+            return this.matchCondition([element], condition);
+        }
+        return this.isPlainObject(element) && this.matches(element, condition);
+    }
+
+    static matchIn(values, candidates) {
+        return candidates.some(candidate => {
+            if (candidate instanceof RegExp) {
+                return values.some(value => this.expand(value).some(item => this.testRegex(candidate, item)));
+            }
+            return values.some(value => this.equalsOrContains(value, candidate));
+        });
+    }
+
+    static someCompared(values, operand, predicate) {
+        return values.some(value => this.expand(value).some(item => {
+            const result = this.compare(item, operand);
+            return result !== null && predicate(result);
+        }));
+    }
+
+    /**
+     * Compara valores do mesmo tipo (números, strings ou datas)
+     * @returns {number|null} Negativo, zero, positivo ou null se incomparáveis
+     */
+    static compare(a, b) {
+        if (b instanceof Date) {
+            const time = a instanceof Date ? a.getTime() : Date.parse(a);
+            return isNaN(time) ? null : time - b.getTime();
+        }
+        if (typeof a === 'number' && typeof b === 'number') {
+            return a - b;
+        }
+        if (typeof a === 'string' && typeof b === 'string') {
+            return a < b ? -1 : (a > b ? 1 : 0);
+        }
+        if (typeof a === 'boolean' && typeof b === 'boolean') {
+            return Number(a) - Number(b);
+        }
+        return null;
+    }
+
+    /**
+     * Coleta os valores de um caminho com notação de ponto, atravessando arrays
+     * (ex.: "items.purchased" retorna o campo de cada item da lista)
+     * @param {Object} obj - Documento
+     * @param {string} path - Caminho do campo
+     * @returns {Array} Valores encontrados (undefined quando ausente)
+     */
+    static collectValues(obj, path) {
+        const walk = (current, parts) => {
+            if (parts.length === 0) {
+                return [current];
+            }
+            if (current === null || typeof current !== 'object') {
+                return [undefined];
+            }
+
+            const [head, ...rest] = parts;
+            if (Array.isArray(current) && !/^\d+$/.test(head)) {
+                const values = current.flatMap(element => walk(element, parts));
+                return values.length > 0 ? values : [undefined];
+            }
+            return walk(current[head], rest);
+        };
+
+        return walk(obj, path.split('.'));
+    }
+
+    static equalsOrContains(value, expected) {
+        if (this.deepEqual(value, expected)) {
+            return true;
+        }
+        return Array.isArray(value) && value.some(element => this.deepEqual(element, expected));
+    }
+
+    static deepEqual(a, b) {
+        if (a === b) return true;
+        if (a instanceof Date || b instanceof Date) {
+            return new Date(a).getTime() === new Date(b).getTime();
+        }
+        if (typeof a !== 'object' || typeof b !== 'object' || a === null || b === null) {
+            return false;
+        }
+        if (Array.isArray(a) !== Array.isArray(b)) {
+            return false;
+        }
+
+        const keysA = Object.keys(a);
+        const keysB = Object.keys(b);
+        return keysA.length === keysB.length && keysA.every(key => this.deepEqual(a[key], b[key]));
+    }
+
+    static testRegex(regex, value) {
+        if (typeof value !== 'string') {
+            return false;
+        }
+        regex.lastIndex = 0;
+        return regex.test(value);
+    }
+
+    static expand(value) {
+        return Array.isArray(value) ? value : [value];
+    }
+
+    static expectArray(operator, operand) {
+        if (!Array.isArray(operand)) {
+            throw new Error(`${operator} requer um array`);
+        }
+        return operand;
+    }
+
+    static isPlainObject(value) {
+        return typeof value === 'object' && value !== null && !Array.isArray(value)
+            && !(value instanceof Date) && !(value instanceof RegExp);
+    }
+
+    // Objeto cujas chaves são todas operadores ($gt, $in, ...)
+    static isOperatorObject(value) {
+        if (!this.isPlainObject(value)) return false;
+        const keys = Object.keys(value);
+        return keys.length > 0 && keys.every(key => key.startsWith('$'));
+    }
+}
+
+module.exports = QueryMatcher;
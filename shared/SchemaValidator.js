@@ -0,0 +1,327 @@
+const QueryMatcher = require('./QueryMatcher');
+
+/**
+ * Validação de documentos com JSON Schema (subconjunto do draft 2020-12)
+ *
+ * Palavras-chave suportadas:
+ * - gerais: type, enum, const, allOf, anyOf, oneOf, not, if/then/else, $ref (#/$defs/...), $defs
+ * - strings: minLength, maxLength, pattern, format (date-time, date, email, uuid, uri)
+ * - números: minimum, maximum, exclusiveMinimum, exclusiveMaximum, multipleOf
+ * - objetos: required, properties, patternProperties, additionalProperties, minProperties, maxProperties
+ * - arrays: items, prefixItems, minItems, maxItems, uniqueItems
+ *
+ * Palavras-chave fora desse conjunto fazem compile() falhar, para que um
+ * schema nunca seja aceito com regras que não são aplicadas.
+ */
+class SchemaValidator {
+    static KEYWORDS = new Set([
+        'type', 'enum', 'const', 'allOf', 'anyOf', 'oneOf', 'not', 'if', 'then', 'else', '$ref', '$defs',
+        'minLength', 'maxLength', 'pattern', 'format',
+        'minimum', 'maximum', 'exclusiveMinimum', 'exclusiveMaximum', 'multipleOf',
+        'required', 'properties', 'patternProperties', 'additionalProperties', 'minProperties', 'maxProperties',
+        'items', 'prefixItems', 'minItems', 'maxItems', 'uniqueItems',
+        // Anotações (sem efeito na validação)
+        '$schema', '$id', '$comment', 'title', 'description', 'default', 'examples', 'deprecated', 'readOnly', 'writeOnly'
+    ]);
+
+    static TYPES = ['string', 'number', 'integer', 'boolean', 'object', 'array', 'null'];
+
+    static FORMATS = {
+        'date-time': value => /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:\d{2})$/i.test(value) && !isNaN(Date.parse(value)),
+        date: value => /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(Date.parse(value)),
+        email: value => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value),
+        uuid: value => /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(value),
+        uri: value => /^[a-z][a-z0-9+.-]*:\S+$/i.test(value)
+    };
+
+    /**
+     * Verificar se o schema usa apenas o subconjunto suportado
+     * @param {Object} schema - JSON Schema
+     * @returns {Object} O próprio schema
+     * @throws {Error} Se houver palavra-chave, tipo, formato ou $ref não suportado
+     */
+    static compile(schema, root = schema, location = '#') {
+        if (typeof schema === 'boolean') {
+            return schema;
+        }
+        if (!schema || typeof schema !== 'object' || Array.isArray(schema)) {
+            throw new Error(`Schema inválido em ${location}: deve ser objeto ou booleano`);
+        }
+
+        Object.keys(schema).forEach(keyword => {
+            if (!this.KEYWORDS.has(keyword)) {
+                throw new Error(`Palavra-chave de schema não suportada em ${location}: ${keyword}`);
+            }
+        });
+
+        const types = schema.type === undefined ? [] : [].concat(schema.type);
+        types.forEach(type => {
+            if (!this.TYPES.includes(type)) {
+                throw new Error(`Tipo de schema desconhecido em ${location}: ${type}`);
+            }
+        });
+        if (schema.format !== undefined && !this.FORMATS[schema.format]) {
+            throw new Error(`Formato de schema não suportado em ${location}: ${schema.format}`);
+        }
+        if (schema.pattern !== undefined) {
+            new RegExp(schema.pattern, 'u');
+        }
+        if (schema.$ref !== undefined) {
+            this.resolveRef(root, schema.$ref);
+        }
+
+        ['not', 'if', 'then', 'else', 'items', 'additionalProperties'].forEach(keyword => {
+            if (schema[keyword] !== undefined) {
+                this.compile(schema[keyword], root, `${location}/${keyword}`);
+            }
+        });
+        ['allOf', 'anyOf', 'oneOf', 'prefixItems'].forEach(keyword => {
+            (schema[keyword] || []).forEach((subschema, position) => {
+                this.compile(subschema, root, `${location}/${keyword}/${position}`);
+            });
+        });
+        ['properties', 'patternProperties', '$defs'].forEach(keyword => {
+            Object.entries(schema[keyword] || {}).forEach(([name, subschema]) => {
+                this.compile(subschema, root, `${location}/${keyword}/${name}`);
+            });
+        });
+
+        return schema;
+    }
+
+    /**
+     * Validar um valor
+     * @param {Object} schema - JSON Schema (já verificado por compile)
+     * @param {*} value - Documento ou valor
+     * @returns {Array} Violações: [{ path, keyword, message }] (path em JSON Pointer, '' = raiz)
+     */
+    static validate(schema, value) {
+        const errors = [];
+        this.check(schema, value, '', errors, schema);
+        return errors;
+    }
+
+    static check(schema, value, path, errors, root) {
+        if (schema === true) return;
+        if (schema === false) {
+            errors.push(this.error(path, 'false', 'valor não permitido'));
+            return;
+        }
+
+        if (schema.$ref !== undefined) {
+            this.check(this.resolveRef(root, schema.$ref), value, path, errors, root);
+        }
+
+        if (schema.type !== undefined) {
+            const types = [].concat(schema.type);
+            if (!types.some(type => this.isType(value, type))) {
+                errors.push(this.error(path, 'type', `deve ser do tipo ${types.join(' ou ')}`));
+            }
+        }
+
+        if (schema.enum !== undefined && !schema.enum.some(option => QueryMatcher.deepEqual(option, value))) {
+            errors.push(this.error(path, 'enum', `deve ser um dos valores: ${schema.enum.map(option => JSON.stringify(option)).join(', ')}`));
+        }
+        if (schema.const !== undefined && !QueryMatcher.deepEqual(schema.const, value)) {
+            errors.push(this.error(path, 'const', `deve ser igual a ${JSON.stringify(schema.const)}`));
+        }
+
+        if (typeof value === 'string') {
+            this.checkString(schema, value, path, errors);
+        } else if (typeof value === 'number') {
+            this.checkNumber(schema, value, path, errors);
+        } else if (Array.isArray(value)) {
+            this.checkArray(schema, value, path, errors, root);
+        } else if (value !== null && typeof value === 'object') {
+            this.checkObject(schema, value, path, errors, root);
+        }
+
+        this.checkCombinators(schema, value, path, errors, root);
+    }
+
+    static checkString(schema, value, path, errors) {
+        const length = [...value].length;
+        if (schema.minLength !== undefined && length < schema.minLength) {
+            errors.push(this.error(path, 'minLength', `deve ter pelo menos ${schema.minLength} caractere(s)`));
+        }
+        if (schema.maxLength !== undefined && length > schema.maxLength) {
+            errors.push(this.error(path, 'maxLength', `deve ter no máximo ${schema.maxLength} caractere(s)`));
+        }
+        if (schema.pattern !== undefined && !new RegExp(schema.pattern, 'u').test(value)) {
+            errors.push(this.error(path, 'pattern', `deve corresponder ao padrão ${schema.pattern}`));
+        }
+        if (schema.format !== undefined && !this.FORMATS[schema.format](value)) {
+            errors.push(this.error(path, 'format', `deve estar no formato ${schema.format}`));
+        }
+    }
+
+    static checkNumber(schema, value, path, errors) {
+        if (schema.minimum !== undefined && value < schema.minimum) {
+            errors.push(this.error(path, 'minimum', `deve ser maior ou igual a ${schema.minimum}`));
+        }
+        if (schema.maximum !== undefined && value > schema.maximum) {
+            errors.push(this.error(path, 'maximum', `deve ser menor ou igual a ${schema.maximum}`));
+        }
+        if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+            errors.push(this.error(path, 'exclusiveMinimum', `deve ser maior que ${schema.exclusiveMinimum}`));
+        }
+        if (schema.exclusiveMaximum !== undefined && value >= schema.exclusiveMaximum) {
+            errors.push(this.error(path, 'exclusiveMaximum', `deve ser menor que ${schema.exclusiveMaximum}`));
+        }
+        if (schema.multipleOf !== undefined) {
+            const quotient = value / schema.multipleOf;
+            if (Math.abs(quotient - Math.round(quotient)) > 1e-9) {
+                errors.push(this.error(path, 'multipleOf', `deve ser múltiplo de ${schema.multipleOf}`));
+            }
+        }
+    }
+
+    static checkArray(schema, value, path, errors, root) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            errors.push(this.error(path, 'minItems', `deve ter pelo menos ${schema.minItems} elemento(s)`));
+        }
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+            errors.push(this.error(path, 'maxItems', `deve ter no máximo ${schema.maxItems} elemento(s)`));
+        }
+        if (schema.uniqueItems && value.some((element, position) =>
+            value.findIndex(other => QueryMatcher.deepEqual(other, element)) !== position)) {
+            errors.push(this.error(path, 'uniqueItems', 'não pode ter elementos repetidos'));
+        }
+
+        const prefix = schema.prefixItems || [];
+        value.forEach((element, position) => {
+            const subschema = position < prefix.length ? prefix[position] : schema.items;
+            if (subschema !== undefined) {
+                this.check(subschema, element, `${path}/${position}`, errors, root);
+            }
+        });
+    }
+
+    static checkObject(schema, value, path, errors, root) {
+        const keys = Object.keys(value);
+
+        (schema.required || []).forEach(name => {
+            if (!(name in value)) {
+                errors.push(this.error(this.child(path, name), 'required', 'campo obrigatório ausente'));
+            }
+        });
+        if (schema.minProperties !== undefined && keys.length < schema.minProperties) {
+            errors.push(this.error(path, 'minProperties', `deve ter pelo menos ${schema.minProperties} campo(s)`));
+        }
+        if (schema.maxProperties !== undefined && keys.length > schema.maxProperties) {
+            errors.push(this.error(path, 'maxProperties', `deve ter no máximo ${schema.maxProperties} campo(s)`));
+        }
+
+        const properties = schema.properties || {};
+        const patterns = Object.entries(schema.patternProperties || {})
+            .map(([pattern, subschema]) => ({ regex: new RegExp(pattern, 'u'), subschema }));
+
+        keys.forEach(name => {
+            const location = this.child(path, name);
+            let evaluated = false;
+
+            if (Object.prototype.hasOwnProperty.call(properties, name)) {
+                evaluated = true;
+                this.check(properties[name], value[name], location, errors, root);
+            }
+            patterns.forEach(({ regex, subschema }) => {
+                if (regex.test(name)) {
+                    evaluated = true;
+                    this.check(subschema, value[name], location, errors, root);
+                }
+            });
+
+            if (!evaluated && schema.additionalProperties !== undefined) {
+                if (schema.additionalProperties === false) {
+                    errors.push(this.error(location, 'additionalProperties', 'campo não permitido'));
+                } else {
+                    this.check(schema.additionalProperties, value[name], location, errors, root);
+                }
+            }
+        });
+    }
+
+    static checkCombinators(schema, value, path, errors, root) {
+        if (schema.allOf) {
+            schema.allOf.forEach(subschema => this.check(subschema, value, path, errors, root));
+        }
+        if (schema.anyOf && !schema.anyOf.some(subschema => this.isValid(subschema, value, root))) {
+            errors.push(this.error(path, 'anyOf', 'não atende a nenhum dos schemas de anyOf'));
+        }
+        if (schema.oneOf) {
+            const matches = schema.oneOf.filter(subschema => this.isValid(subschema, value, root)).length;
+            if (matches !== 1) {
+                errors.push(this.error(path, 'oneOf', `deve atender a exatamente um schema de oneOf (atende a ${matches})`));
+            }
+        }
+        if (schema.not !== undefined && this.isValid(schema.not, value, root)) {
+            errors.push(this.error(path, 'not', 'não deve atender ao schema de not'));
+        }
+        if (schema.if !== undefined) {
+            const branch = this.isValid(schema.if, value, root) ? schema.then : schema.else;
+            if (branch !== undefined) {
+                this.check(branch, value, path, errors, root);
+            }
+        }
+    }
+
+    static isValid(schema, value, root) {
+        const errors = [];
+        this.check(schema, value, '', errors, root);
+        return errors.length === 0;
+    }
+
+    static isType(value, type) {
+        switch (type) {
+            case 'string': return typeof value === 'string';
+            case 'number': return typeof value === 'number' && Number.isFinite(value);
+            case 'integer': return Number.isInteger(value);
+            case 'boolean': return typeof value === 'boolean';
+            case 'array': return Array.isArray(value);
+            case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+            case 'null': return value === null;
+            default: return false;
+        }
+    }
+
+    // Apenas referências locais: "#" ou "#/$defs/nome" (JSON Pointer no próprio schema)
+    static resolveRef(root, ref) {
+        if (typeof ref !== 'string' || !ref.startsWith('#')) {
+            throw new Error(`$ref não suportado (apenas referências locais): ${ref}`);
+        }
+
+        const target = ref.slice(1).split('/').filter(Boolean).reduce((current, token) => {
+            const key = token.replace(/~1/g, '/').replace(/~0/g, '~');
+            return current && typeof current === 'object' ? current[key] : undefined;
+        }, root);
+
+        if (target === undefined) {
+            throw new Error(`$ref não encontrado no schema: ${ref}`);
+        }
+        return target;
+    }
+
+    static child(path, name) {
+        return `${path}/${String(name).replace(/~/g, '~0').replace(/\//g, '~1')}`;
+    }
+
+    static error(path, keyword, message) {
+        return { path, keyword, message };
+    }
+
+    /**
+     * Erro estruturado para documentos inválidos
+     * @param {string} collectionName - Coleção que recusou o documento
+     * @param {Array} errors - Violações retornadas por validate()
+     * @returns {Error} Erro com code SCHEMA_VALIDATION e errors
+     */
+    static validationError(collectionName, errors) {
+        const summary = errors.map(error => `${error.path || '/'}: ${error.message}`).join('; ');
+        const error = new Error(`Documento inválido para o schema de ${collectionName}: ${summary}`);
+        error.code = 'SCHEMA_VALIDATION';
+        error.errors = errors;
+        return error;
+    }
+}
+
+module.exports = SchemaValidator;
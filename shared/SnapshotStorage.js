@@ -0,0 +1,96 @@
+const fs = require('fs-extra');
+const path = require('path');
+const FileLock = require('./FileLock');
+const Encryption = require('./Encryption');
+
+/**
+ * Armazenamento padrão do JsonDatabase: a coleção inteira em um arquivo
+ * JSON, reescrito de forma atômica a cada mutação.
+ */
+class SnapshotStorage {
+    /**
+     * @param {string} dbPath - Diretório do banco
+     * @param {string} collectionName - Nome da coleção
+     * @param {Object} options - options.encryption: Encryption que cifra os arquivos gravados
+     */
+    constructor(dbPath, collectionName, options = {}) {
+        this.mode = 'snapshot';
+        this.filePath = path.join(dbPath, `${collectionName}.json`);
+        // Índices podem ser persistidos a cada escrita (o arquivo já é reescrito)
+        this.appendOnly = false;
+        this.encryption = options.encryption || null;
+    }
+
+    async ensure() {
+        await FileLock.createIfMissing(this.filePath, this.encode('[]'));
+    }
+
+    encode(text) {
+        return Encryption.encode(this.encryption, text);
+    }
+
+    decode(text, source = this.filePath) {
+        return Encryption.decode(this.encryption, text, source);
+    }
+
+    // Assinatura do arquivo da coleção (muda a cada escrita atômica)
+    async signature() {
+        return SnapshotStorage.statSignature(this.filePath);
+    }
+
+    /**
+     * Ler a coleção
+     * @returns {Object} { documents, meta }
+     */
+    async read() {
+        try {
+            return { documents: JSON.parse(this.decode(await fs.readFile(this.filePath, 'utf8'))), meta: {} };
+        } catch (error) {
+            // Arquivo inexistente equivale a coleção vazia; conteúdo corrompido não
+            if (error.code !== 'ENOENT') {
+                throw error;
+            }
+            return { documents: [], meta: {} };
+        }
+    }
+
+    /**
+     * Persistir o novo estado da coleção
+     * @param {Array} documents - Todos os documentos após a mutação
+     * @returns {Object} { signature, meta }
+     */
+    async write(documents) {
+        await FileLock.writeAtomic(this.filePath, this.encode(JSON.stringify(documents, null, 2)));
+        return { signature: await this.signature(), meta: {} };
+    }
+
+    // Regravar todos os arquivos a partir do estado completo (ex.: com a chave nova)
+    async rewrite(documents) {
+        return this.write(documents);
+    }
+
+    // Algum arquivo ainda em texto claro? (coleção anterior à criptografia)
+    async hasPlaintext() {
+        return Encryption.hasPlaintext(this.filePath);
+    }
+
+    // Nada a compactar: o arquivo já é o estado completo
+    async compact() {
+        return null;
+    }
+
+    shouldCompact() {
+        return false;
+    }
+
+    static async statSignature(filePath) {
+        try {
+            const stat = await fs.stat(filePath);
+            return `${stat.ino}:${stat.size}:${stat.mtimeMs}`;
+        } catch (error) {
+            return null;
+        }
+    }
+}
+
+module.exports = SnapshotStorage;
@@ -0,0 +1,131 @@
+const crypto = require('crypto');
+const path = require('path');
+const Encryption = require('./Encryption');
+
+/**
+ * Armazenamento SQLite do JsonDatabase (<coleção>.sqlite)
+ *
+ * Cada documento é uma linha (id, doc em JSON), na ordem de inserção. Uma
+ * escrita aplica apenas os registros da mutação ({ op: 'put', doc } /
+ * { op: 'del', id }) em uma transação do SQLite e incrementa a versão da
+ * tabela meta, que serve de assinatura para o cache dos outros processos.
+ * Com options.encryption a coluna doc guarda o documento cifrado.
+ *
+ * Usa o pacote opcional better-sqlite3, carregado só quando o modo é
+ * escolhido; sem ele a coleção falha ao abrir com STORAGE_UNAVAILABLE.
+ */
+class SqliteStorage {
+    constructor(dbPath, collectionName, options = {}) {
+        this.mode = 'sqlite';
+        this.filePath = path.join(dbPath, `${collectionName}.sqlite`);
+        // Índices podem ser persistidos a cada escrita, como no modo snapshot
+        this.appendOnly = false;
+        this.encryption = options.encryption || null;
+        this.Database = SqliteStorage.driver();
+        this.db = null;
+    }
+
+    static driver() {
+        try {
+            return require('better-sqlite3');
+        } catch (error) {
+            const unavailable = new Error('Armazenamento sqlite requer o pacote better-sqlite3 (npm install better-sqlite3)');
+            unavailable.code = 'STORAGE_UNAVAILABLE';
+            throw unavailable;
+        }
+    }
+
+    // Abrir (ou criar) o arquivo e as tabelas; chamada pelo JsonDatabase depois de criar o diretório
+    async ensure() {
+        if (this.db) return;
+
+        const db = new this.Database(this.filePath);
+        db.pragma('journal_mode = WAL');
+        db.pragma('busy_timeout = 5000');
+        db.exec(`
+            CREATE TABLE IF NOT EXISTS documents (id TEXT PRIMARY KEY, doc TEXT NOT NULL);
+            CREATE TABLE IF NOT EXISTS meta (key TEXT PRIMARY KEY, value TEXT NOT NULL);
+        `);
+        // Identificador do arquivo: recriá-lo não reaproveita assinaturas antigas
+        db.prepare('INSERT OR IGNORE INTO meta (key, value) VALUES (?, ?)').run('uid', crypto.randomUUID());
+        db.prepare('INSERT OR IGNORE INTO meta (key, value) VALUES (?, ?)').run('version', '0');
+
+        this.statements = {
+            signature: db.prepare("SELECT group_concat(value, ':') AS signature FROM (SELECT value FROM meta WHERE key IN ('uid', 'version') ORDER BY key)"),
+            read: db.prepare('SELECT doc FROM documents ORDER BY rowid'),
+            put: db.prepare('INSERT INTO documents (id, doc) VALUES (?, ?) ON CONFLICT(id) DO UPDATE SET doc = excluded.doc'),
+            del: db.prepare('DELETE FROM documents WHERE id = ?'),
+            clear: db.prepare('DELETE FROM documents'),
+            plaintext: db.prepare("SELECT 1 FROM documents WHERE doc NOT LIKE 'jsondb:%' LIMIT 1"),
+            bump: db.prepare("UPDATE meta SET value = CAST(value AS INTEGER) + 1 WHERE key = 'version'")
+        };
+        this.apply = db.transaction(records => {
+            records.forEach(record => {
+                if (record.op === 'del') this.statements.del.run(record.id);
+                else this.statements.put.run(record.doc.id, Encryption.encode(this.encryption, JSON.stringify(record.doc)));
+            });
+            this.statements.bump.run();
+        });
+        this.replace = db.transaction(documents => {
+            this.statements.clear.run();
+            this.apply(documents.map(doc => ({ op: 'put', doc })));
+        });
+        this.db = db;
+    }
+
+    // Versão gravada pelo último commit (de qualquer processo)
+    async signature() {
+        if (!this.db) return null;
+        return `sqlite:${this.statements.signature.get().signature}`;
+    }
+
+    /**
+     * Ler a coleção
+     * @returns {Object} { documents, meta }
+     */
+    async read() {
+        return {
+            documents: this.statements.read.all().map(row => JSON.parse(Encryption.decode(this.encryption, row.doc, this.filePath))),
+            meta: {}
+        };
+    }
+
+    /**
+     * Persistir uma mutação (apenas os registros alterados)
+     * @param {Array} documents - Todos os documentos após a mutação (não usados)
+     * @param {Array} records - [{ op: 'put', doc } / { op: 'del', id }]
+     * @returns {Object} { signature, meta }
+     */
+    async write(documents, records) {
+        this.apply(records);
+        return { signature: await this.signature(), meta: {} };
+    }
+
+    // Regravar todas as linhas (ex.: com a chave nova), mantendo a ordem
+    async rewrite(documents) {
+        this.replace(documents);
+        return { signature: await this.signature(), meta: {} };
+    }
+
+    async hasPlaintext() {
+        return Boolean(this.statements.plaintext.get());
+    }
+
+    // O SQLite cuida do próprio arquivo
+    async compact() {
+        return null;
+    }
+
+    shouldCompact() {
+        return false;
+    }
+
+    close() {
+        if (this.db) {
+            this.db.close();
+            this.db = null;
+        }
+    }
+}
+
+module.exports = SqliteStorage;
@@ -0,0 +1,229 @@
+/**
+ * Índice invertido de texto com ranking BM25 (usado por JsonDatabase.search)
+ *
+ * Os textos passam pelo mesmo analisador na indexação e na consulta:
+ * normalização Unicode sem acentos ("Açúcar" -> "acucar"), minúsculas,
+ * remoção de stopwords e um stemmer leve de português (plural e gênero),
+ * então "feijões pretos" encontra "Feijão Preto". O último termo da
+ * consulta também casa por prefixo ("choc" -> "chocolate"), com peso menor.
+ *
+ * O escore é BM25 calculado por campo e multiplicado pelo peso do campo,
+ * ex.: { name: 3, brand: 2, description: 1 }.
+ */
+
+// Stopwords já sem acentos (comparadas depois da normalização)
+const STOPWORDS = new Set([
+    'a', 'o', 'as', 'os', 'um', 'uma', 'uns', 'umas', 'de', 'da', 'do', 'das', 'dos',
+    'em', 'na', 'no', 'nas', 'nos', 'num', 'numa', 'ao', 'aos', 'e', 'ou', 'com',
+    'sem', 'para', 'pra', 'por', 'pela', 'pelo', 'pelas', 'pelos', 'que', 'se', 'mais',
+    'muito', 'ja', 'ate', 'entre', 'sobre', 'seu', 'sua', 'seus', 'suas'
+]);
+
+// Sufixos de plural e a forma singular correspondente (o primeiro que casar vence)
+const PLURALS = [
+    ['oes', 'ao'], ['aes', 'ao'], ['ais', 'al'], ['eis', 'el'], ['ois', 'ol'],
+    ['uis', 'ul'], ['ns', 'm'], ['res', 'r'], ['les', 'l'], ['zes', 'z'], ['is', 'il']
+];
+
+const K1 = 1.2;
+const B = 0.75;
+// Peso de um termo encontrado apenas por prefixo
+const PREFIX_WEIGHT = 0.5;
+
+class TextIndex {
+    /**
+     * @param {Object|Array} definition - { campo: peso } ou lista de campos (peso 1)
+     */
+    constructor(definition) {
+        this.fields = TextIndex.normalizeDefinition(definition);
+        // termo -> (id -> { campo: frequência })
+        this.postings = new Map();
+        // id -> { terms: Set, lengths: { campo: termos } }
+        this.documents = new Map();
+        this.totalLengths = Object.fromEntries(Object.keys(this.fields).map(field => [field, 0]));
+        // Assinatura da versão da coleção refletida pelo índice (mantida pelo JsonDatabase)
+        this.signature = null;
+    }
+
+    static normalizeDefinition(definition) {
+        const fields = Array.isArray(definition)
+            ? Object.fromEntries(definition.map(field => [field, 1]))
+            : { ...(definition && definition.fields ? definition.fields : definition) };
+
+        const entries = Object.entries(fields);
+        if (entries.length === 0 || entries.some(([field, weight]) => !field || !(typeof weight === 'number' && weight > 0))) {
+            throw new Error('Índice de texto inválido: informe os campos e pesos positivos, ex.: { name: 3, description: 1 }');
+        }
+        return fields;
+    }
+
+    // Remover acentos e passar para minúsculas
+    static normalize(text) {
+        return String(text).normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+    }
+
+    // Stemmer leve: reduz plural e remove a vogal temática final (preto/preta/pretos -> pret)
+    static stem(term) {
+        if (term.length < 4 || /^\d/.test(term)) {
+            return term;
+        }
+
+        let stemmed = term;
+        const plural = PLURALS.find(([suffix]) => stemmed.endsWith(suffix) && stemmed.length > suffix.length);
+        if (plural) {
+            stemmed = stemmed.slice(0, -plural[0].length) + plural[1];
+        } else if (stemmed.endsWith('s') && !stemmed.endsWith('ss')) {
+            stemmed = stemmed.slice(0, -1);
+        }
+
+        if (stemmed.length > 3 && /[aeo]$/.test(stemmed)) {
+            stemmed = stemmed.slice(0, -1);
+        }
+        return stemmed;
+    }
+
+    /**
+     * Texto -> termos indexáveis
+     * @returns {Array<string>} Termos na ordem do texto (com repetições)
+     */
+    static analyze(text) {
+        return TextIndex.normalize(text)
+            .split(/[^a-z0-9]+/)
+            .filter(token => token && !STOPWORDS.has(token))
+            .map(token => TextIndex.stem(token));
+    }
+
+    static build(definition, documents) {
+        const index = new TextIndex(definition);
+        documents.forEach(document => index.add(document));
+        return index;
+    }
+
+    // Texto de um campo (notação de ponto; arrays são concatenados)
+    static fieldText(document, field) {
+        const value = field.split('.').reduce((current, key) => (current == null ? undefined : current[key]), document);
+        if (value == null) return '';
+        return Array.isArray(value) ? value.filter(item => typeof item !== 'object').join(' ') : String(value);
+    }
+
+    add(document) {
+        this.remove(document.id);
+
+        const terms = new Set();
+        const lengths = {};
+        Object.keys(this.fields).forEach(field => {
+            const tokens = TextIndex.analyze(TextIndex.fieldText(document, field));
+            lengths[field] = tokens.length;
+            this.totalLengths[field] += tokens.length;
+
+            tokens.forEach(term => {
+                terms.add(term);
+                if (!this.postings.has(term)) this.postings.set(term, new Map());
+                const postings = this.postings.get(term);
+                if (!postings.has(document.id)) postings.set(document.id, {});
+                const frequencies = postings.get(document.id);
+                frequencies[field] = (frequencies[field] || 0) + 1;
+            });
+        });
+
+        this.documents.set(document.id, { terms, lengths });
+    }
+
+    remove(id) {
+        const entry = this.documents.get(id);
+        if (!entry) return;
+
+        entry.terms.forEach(term => {
+            const postings = this.postings.get(term);
+            postings.delete(id);
+            if (postings.size === 0) this.postings.delete(term);
+        });
+        Object.entries(entry.lengths).forEach(([field, length]) => {
+            this.totalLengths[field] -= length;
+        });
+        this.documents.delete(id);
+    }
+
+    /**
+     * Aplicar as mudanças de um commit ({ op: 'put', doc } / { op: 'del', id })
+     */
+    apply(changes) {
+        changes.forEach(change => {
+            if (change.op === 'del') this.remove(change.id);
+            else this.add(change.doc);
+        });
+    }
+
+    /**
+     * Buscar e ranquear documentos
+     * @param {string} query - Texto da consulta
+     * @param {Object} options - fields (subconjunto dos campos indexados), operator ('and' padrão ou 'or'),
+     *   prefix (último termo casa por prefixo, padrão true)
+     * @returns {Array} [{ id, score }] em ordem decrescente de escore
+     */
+    search(query, options = {}) {
+        const fields = options.fields && options.fields.length > 0
+            ? options.fields.filter(field => this.fields[field] !== undefined)
+            : Object.keys(this.fields);
+        const terms = [...new Set(TextIndex.analyze(query))];
+        if (terms.length === 0 || fields.length === 0) {
+            return [];
+        }
+
+        const total = this.documents.size;
+        const averages = Object.fromEntries(fields.map(field => [field, total > 0 ? this.totalLengths[field] / total : 0]));
+        const scores = new Map();
+        const matchedTerms = new Map();
+
+        terms.forEach((term, position) => {
+            const isLast = position === terms.length - 1;
+            const expansions = [[term, 1]];
+            if (isLast && options.prefix !== false) {
+                this.postings.forEach((postings, candidate) => {
+                    if (candidate !== term && candidate.startsWith(term)) expansions.push([candidate, PREFIX_WEIGHT]);
+                });
+            }
+
+            // Um documento conta o termo uma vez (a melhor expansão)
+            const termScores = new Map();
+            expansions.forEach(([candidate, weight]) => {
+                const postings = this.postings.get(candidate);
+                if (!postings) return;
+
+                const idf = Math.log(1 + (total - postings.size + 0.5) / (postings.size + 0.5));
+                postings.forEach((frequencies, id) => {
+                    const lengths = this.documents.get(id).lengths;
+                    let score = 0;
+                    fields.forEach(field => {
+                        const frequency = frequencies[field];
+                        if (!frequency) return;
+                        const norm = averages[field] > 0 ? lengths[field] / averages[field] : 1;
+                        score += this.fields[field] * idf * (frequency * (K1 + 1)) / (frequency + K1 * (1 - B + B * norm));
+                    });
+                    if (score > 0) termScores.set(id, Math.max(termScores.get(id) || 0, score * weight));
+                });
+            });
+
+            termScores.forEach((score, id) => {
+                scores.set(id, (scores.get(id) || 0) + score);
+                matchedTerms.set(id, (matchedTerms.get(id) || 0) + 1);
+            });
+        });
+
+        const requireAll = options.operator !== 'or';
+        return [...scores.entries()]
+            .filter(([id]) => !requireAll || matchedTerms.get(id) === terms.length)
+            .map(([id, score]) => ({ id, score }))
+            .sort((a, b) => b.score - a.score);
+    }
+
+    getStats() {
+        return {
+            fields: this.fields,
+            documents: this.documents.size,
+            terms: this.postings.size
+        };
+    }
+}
+
+module.exports = TextIndex;
@@ -0,0 +1,479 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const FileLock = require('./FileLock');
+const QueryMatcher = require('./QueryMatcher');
+const IndexManager = require('./IndexManager');
+const UpdateOperators = require('./UpdateOperators');
+const Encryption = require('./Encryption');
+
+// Registros de commit ficam em um subdiretório do banco
+const LOG_DIR = '_transactions';
+
+/**
+ * Transação entre coleções do mesmo diretório, criada por JsonDatabase.transaction()
+ *
+ * Leituras usam um snapshot de cada coleção (tirado no primeiro acesso) mais
+ * as escritas da própria transação, que ficam em memória até o commit.
+ * No commit os locks das coleções alteradas são adquiridos em ordem fixa;
+ * se alguma mudou desde o snapshot, a transação falha com TRANSACTION_CONFLICT.
+ *
+ * Antes de tocar nas coleções, as mudanças são gravadas (com imagem completa
+ * dos documentos) em _transactions/<id>.json. Se o processo cair no meio do
+ * commit, cada coleção conclui a sua parte a partir desse registro antes da
+ * próxima escrita nela (em qualquer processo), e a abertura de qualquer
+ * coleção do diretório conclui a transação inteira; sem o registro, nada
+ * foi aplicado.
+ */
+class Transaction {
+    /**
+     * @param {JsonDatabase} database - Coleção que abriu a transação
+     */
+    constructor(database) {
+        this.database = database;
+        this.id = uuidv4();
+        this.status = 'active';
+        this.collections = new Map();
+    }
+
+    /**
+     * Acessar uma coleção dentro da transação
+     * @param {string|JsonDatabase} target - Nome da coleção no mesmo diretório ou instância
+     *   (use a instância para coleções com índices ou modo journal); padrão: a coleção da transação
+     * @returns {TransactionCollection}
+     */
+    collection(target = this.database) {
+        this.assertActive();
+
+        const database = typeof target === 'string' ? this.database.sibling(target) : target;
+        if (path.resolve(database.dbPath) !== path.resolve(this.database.dbPath)) {
+            const error = new Error(`Coleção ${database.collectionName} não pertence ao diretório da transação`);
+            error.code = 'TRANSACTION_SCOPE';
+            throw error;
+        }
+
+        if (!this.collections.has(database.filePath)) {
+            this.collections.set(database.filePath, new TransactionCollection(this, database));
+        }
+        return this.collections.get(database.filePath);
+    }
+
+    // Descartar as escritas; a função da transação pode retornar normalmente
+    rollback() {
+        this.assertActive();
+        this.status = 'rolledBack';
+    }
+
+    assertActive() {
+        if (this.status !== 'active') {
+            const error = new Error(`Transação ${this.id} já foi encerrada (${this.status})`);
+            error.code = 'TRANSACTION_CLOSED';
+            throw error;
+        }
+    }
+
+    // Persistir as escritas de todas as coleções (tudo ou nada)
+    async commit() {
+        this.assertActive();
+        this.status = 'committing';
+
+        const pending = [...this.collections.values()]
+            .filter(collection => collection.writes.size > 0)
+            .sort((a, b) => a.database.filePath.localeCompare(b.database.filePath));
+
+        try {
+            if (pending.length > 0) {
+                await Transaction.withLocks(pending.map(collection => collection.database), async () => {
+                    const entries = [];
+                    for (const collection of pending) {
+                        entries.push(await collection.prepare());
+                    }
+
+                    // Coleções em memória não sobrevivem a uma queda: não há o que recuperar
+                    const durable = pending.some(collection => !collection.database.storage.inMemory);
+                    const logPath = Transaction.logPath(this.database.dbPath, this.id);
+                    if (durable) {
+                        await fs.ensureDir(path.dirname(logPath));
+                        await FileLock.writeJsonAtomic(logPath, {
+                            id: this.id,
+                            createdAt: new Date().toISOString(),
+                            collections: entries
+                        });
+                    }
+
+                    for (const collection of pending) {
+                        await Transaction.applyRecords(collection.database, collection.records());
+                    }
+                    if (durable) {
+                        await fs.remove(logPath);
+                    }
+                });
+            }
+            this.status = 'committed';
+        } catch (error) {
+            this.status = 'failed';
+            throw error;
+        }
+    }
+
+    // Adquirir os locks de escrita das coleções na ordem recebida (evita deadlock)
+    static withLocks(databases, fn) {
+        return databases.reduceRight((next, database) => () => database.withWriteLock(next), fn)();
+    }
+
+    static logPath(dbPath, id) {
+        return path.join(dbPath, LOG_DIR, `${id}.json`);
+    }
+
+    /**
+     * Aplicar registros { op: 'put', doc } / { op: 'del', id } a uma coleção
+     * (com o lock adquirido). Documentos já no estado final são ignorados,
+     * então reaplicar o mesmo registro após uma queda não duplica nada.
+     * @returns {number} Mudanças efetivamente aplicadas
+     */
+    static async applyRecords(database, records) {
+        const { documents } = await database.load();
+        const byId = new Map(documents.map(document => [document.id, document]));
+        const changes = [];
+
+        records.forEach(record => {
+            const id = record.op === 'del' ? record.id : record.doc.id;
+            const before = byId.get(id);
+
+            if (record.op === 'del') {
+                if (!before) return;
+                byId.delete(id);
+                changes.push({ op: 'del', id, before });
+            } else {
+                if (before && QueryMatcher.deepEqual(before, record.doc)) return;
+                byId.set(id, record.doc);
+                changes.push({ op: 'put', doc: record.doc, before });
+            }
+        });
+
+        if (changes.length === 0) {
+            return 0;
+        }
+
+        const next = [...byId.values()];
+        await database.commit(next, changes, () => IndexManager.build(database.indexDefinitions, next));
+        return changes.length;
+    }
+
+    /**
+     * Concluir transações interrompidas no diretório (chamada na abertura das coleções)
+     * @param {string} dbPath - Diretório do banco
+     * @param {Function} open - (entry) => JsonDatabase da coleção registrada, sem recuperação
+     * @returns {number} Transações concluídas
+     */
+    static async recover(dbPath, open) {
+        let recovered = 0;
+
+        for (const logPath of await Transaction.pendingLogs(dbPath)) {
+            const log = await Transaction.readLog(logPath);
+            if (!log) continue;
+
+            // Cada coleção conclui a própria parte ao adquirir o lock de escrita
+            for (const entry of log.collections) {
+                const database = open(entry);
+                try {
+                    await database.withWriteLock(() => {});
+                } finally {
+                    database.close();
+                }
+            }
+            if (!await fs.pathExists(logPath)) {
+                recovered++;
+            }
+        }
+
+        return recovered;
+    }
+
+    /**
+     * Aplicar a uma coleção a parte dela nas transações interrompidas
+     * (com o lock de escrita da coleção adquirido, antes de qualquer escrita).
+     *
+     * Quem grava o registro mantém os locks até removê-lo; se o lock está
+     * conosco e o registro ainda inclui a coleção, o processo caiu no meio do
+     * commit. A entrada sai do registro assim que aplicada: uma recuperação
+     * posterior não reaplica imagens antigas sobre escritas mais novas.
+     * @param {JsonDatabase} database - Coleção com o lock adquirido
+     * @returns {number} Registros de commit aplicados à coleção
+     */
+    static async recoverCollection(database) {
+        let recovered = 0;
+
+        for (const logPath of await Transaction.pendingLogs(database.dbPath)) {
+            // Leitura sem lock só para ignorar registros de outras coleções
+            const log = await Transaction.readLog(logPath);
+            if (!log || !log.collections.some(entry => entry.name === database.collectionName)) {
+                continue;
+            }
+
+            // Outras coleções do mesmo registro podem estar sendo concluídas por outros processos
+            await new FileLock(logPath).run(async () => {
+                const current = await Transaction.readLog(logPath);
+                const position = current ? current.collections.findIndex(entry => entry.name === database.collectionName) : -1;
+                if (position === -1) return;
+
+                const { records } = current.collections[position];
+                await Transaction.applyRecords(database, typeof records === 'string'
+                    ? JSON.parse(Encryption.decode(database.encryption, records, logPath))
+                    : records);
+
+                const remaining = current.collections.filter((entry, index) => index !== position);
+                if (remaining.length > 0) {
+                    await FileLock.writeJsonAtomic(logPath, { ...current, collections: remaining });
+                } else {
+                    await fs.remove(logPath);
+                    console.log(`🔁 Transação ${current.id} concluída a partir do registro de commit`);
+                }
+                recovered++;
+            });
+        }
+
+        return recovered;
+    }
+
+    // Registros de commit presentes no diretório do banco
+    static async pendingLogs(dbPath) {
+        let files;
+        try {
+            files = await fs.readdir(path.join(dbPath, LOG_DIR));
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+
+        // Arquivos temporários (.*.tmp) são escritas do registro que não chegaram ao rename
+        return files
+            .filter(file => file.endsWith('.json') && !file.startsWith('.'))
+            .sort()
+            .map(file => path.join(dbPath, LOG_DIR, file));
+    }
+
+    // Registro de commit, ou null se já foi removido
+    static async readLog(logPath) {
+        try {
+            return await fs.readJson(logPath);
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+    }
+}
+
+/**
+ * Visão de uma coleção dentro da transação (mesma interface básica do JsonDatabase)
+ */
+class TransactionCollection {
+    constructor(transaction, database) {
+        this.transaction = transaction;
+        this.database = database;
+        this.snapshot = null;
+        // id -> documento final (null = removido), na ordem das escritas
+        this.writes = new Map();
+    }
+
+    // Snapshot tirado no primeiro acesso à coleção
+    state() {
+        if (!this.snapshot) {
+            this.snapshot = this.database.load().then(({ signature, documents }) => ({ signature, documents }));
+        }
+        return this.snapshot;
+    }
+
+    // Documentos vistos pela transação: snapshot + escritas próprias, sem os expirados (TTL)
+    async view() {
+        this.transaction.assertActive();
+        const { documents } = await this.state();
+        const now = Date.now();
+
+        const result = [];
+        const seen = new Set();
+        documents.forEach(document => {
+            seen.add(document.id);
+            const current = this.writes.has(document.id) ? this.writes.get(document.id) : document;
+            if (current && !this.database.isExpired(current, now)) result.push(current);
+        });
+        this.writes.forEach((document, id) => {
+            if (document && !seen.has(id) && !this.database.isExpired(document, now)) result.push(document);
+        });
+        return result;
+    }
+
+    // Documento visível pelo id (options.withDeleted inclui a lixeira)
+    async current(id, options = {}) {
+        const document = (await this.view()).find(candidate => candidate.id === id);
+        if (!document || (this.database.isDeleted(document) && !options.withDeleted)) {
+            return null;
+        }
+        return document;
+    }
+
+    async findById(id, options = {}) {
+        return this.database.clone(await this.current(id, options));
+    }
+
+    async matching(filter, options = {}) {
+        const scoped = this.database.scopeFilter(filter, options);
+        return (await this.view()).filter(document => this.database.matchesFilter(document, scoped));
+    }
+
+    async findOne(filter = {}, options = {}) {
+        return this.database.clone((await this.matching(filter, options))[0] || null);
+    }
+
+    async find(filter = {}, options = {}) {
+        const { documents } = this.database.paginate(await this.matching(filter, options), options);
+        return this.database.clone(this.database.project(documents, options.projection));
+    }
+
+    async count(filter = {}, options = {}) {
+        return (await this.matching(filter, options)).length;
+    }
+
+    async create(data) {
+        const document = this.database.buildDocument(data);
+        this.database.assertValid(document);
+        await this.view();
+        this.writes.set(document.id, document);
+        return this.database.clone(document);
+    }
+
+    async update(id, updates, options = {}) {
+        if (UpdateOperators.isOperatorUpdate(updates)) {
+            return this.updateOne({ id }, updates, options);
+        }
+
+        const current = await this.current(id);
+        if (!current) {
+            return null;
+        }
+
+        this.database.assertVersion(current, options.expectedVersion);
+        const updated = this.database.mergeDocument(current, updates);
+        this.database.assertValid(updated);
+        this.writes.set(id, updated);
+        return this.database.clone(updated);
+    }
+
+    async updateOne(filter, update, options = {}) {
+        const result = await this.applyUpdate(filter, update, { ...options, multi: false });
+        return result.documents[0] || null;
+    }
+
+    async updateMany(filter, update, options = {}) {
+        const { matchedCount, modifiedCount } = await this.applyUpdate(filter, update, { ...options, multi: true });
+        return { matchedCount, modifiedCount };
+    }
+
+    async applyUpdate(filter, update, options) {
+        UpdateOperators.validate(update);
+
+        let matched = await this.matching(filter);
+        if (!options.multi) {
+            matched = matched.slice(0, 1);
+        }
+
+        // Só registra as escritas depois de validar todos os documentos (a operação é atômica)
+        const results = [];
+        const modified = [];
+        matched.forEach(current => {
+            if (!options.multi) {
+                this.database.assertVersion(current, options.expectedVersion);
+            }
+
+            const updated = this.database.applyOperators(current, update, filter, options.derive);
+            if (!updated) {
+                results.push(current);
+                return;
+            }
+
+            this.database.assertValid(updated);
+            modified.push(updated);
+            results.push(updated);
+        });
+        modified.forEach(document => this.writes.set(document.id, document));
+
+        return {
+            matchedCount: results.length,
+            modifiedCount: modified.length,
+            documents: this.database.clone(results)
+        };
+    }
+
+    async delete(id, options = {}) {
+        const current = await this.current(id, { withDeleted: options.hard });
+        if (!current) {
+            return false;
+        }
+
+        this.database.assertVersion(current, options.expectedVersion);
+        if (this.database.softDelete && !options.hard) {
+            this.writes.set(id, this.database.applyOperators(current, { $set: { deletedAt: new Date().toISOString() } }, {}));
+        } else {
+            this.writes.set(id, null);
+        }
+        return true;
+    }
+
+    async restore(id) {
+        const current = await this.current(id, { withDeleted: true });
+        if (!current || !this.database.isDeleted(current)) {
+            return null;
+        }
+
+        const restored = this.database.applyOperators(current, { $unset: { deletedAt: '' } }, {});
+        this.database.assertValid(restored);
+        this.writes.set(id, restored);
+        return this.database.clone(restored);
+    }
+
+    // Escritas como registros de commit
+    records() {
+        return [...this.writes.entries()].map(([id, document]) => (
+            document ? { op: 'put', doc: document } : { op: 'del', id }
+        ));
+    }
+
+    /**
+     * Validar o commit (com o lock adquirido): a coleção não pode ter mudado
+     * desde o snapshot e o estado final precisa respeitar os índices únicos
+     * @returns {Object} Entrada do registro de commit
+     */
+    async prepare() {
+        const snapshot = await this.state();
+        const { signature, documents } = await this.database.load();
+
+        if (signature !== snapshot.signature) {
+            const error = new Error(`Conflito na transação ${this.transaction.id}: coleção ${this.database.collectionName} foi alterada por outra operação`);
+            error.code = 'TRANSACTION_CONFLICT';
+            error.collection = this.database.collectionName;
+            throw error;
+        }
+
+        const byId = new Map(documents.map(document => [document.id, document]));
+        this.writes.forEach((document, id) => {
+            if (document) byId.set(id, document);
+            else byId.delete(id);
+        });
+        const next = [...byId.values()];
+        const indexes = IndexManager.build(this.database.indexDefinitions, next);
+        const expired = this.database.expiredIds(next);
+        this.writes.forEach(document => {
+            if (document) indexes.assertUnique(document, expired);
+        });
+
+        // Coleção cifrada: os documentos também ficam cifrados no registro de commit
+        const records = this.records();
+        return {
+            name: this.database.collectionName,
+            options: this.database.describeOptions(),
+            records: this.database.encryption ? this.database.encryption.encrypt(JSON.stringify(records)) : records
+        };
+    }
+}
+
+module.exports = Transaction;
@@ -0,0 +1,230 @@
+const QueryMatcher = require('./QueryMatcher');
+
+/**
+ * Aplicação de operadores de atualização no estilo MongoDB
+ * ($set, $unset, $inc, $push, $pull, $addToSet)
+ *
+ * Caminhos aceitam notação de ponto e os operadores posicionais
+ * "$" (primeiro elemento do array que atende ao filtro) e "$[]" (todos).
+ */
+class UpdateOperators {
+    static OPERATORS = ['$set', '$unset', '$inc', '$push', '$pull', '$addToSet'];
+    static PROTECTED_FIELDS = ['id', 'createdAt', '_version'];
+
+    // Objeto de atualização composto apenas por operadores
+    static isOperatorUpdate(update) {
+        const keys = Object.keys(update || {});
+        return keys.length > 0 && keys.every(key => key.startsWith('$'));
+    }
+
+    /**
+     * Aplica os operadores a uma cópia do documento
+     * @param {Object} document - Documento original (não é alterado)
+     * @param {Object} update - Operadores, ex.: { $set: { 'items.$.purchased': true } }
+     * @param {Object} filter - Filtro usado para localizar o documento (resolve o "$" posicional)
+     * @returns {Object} Novo documento atualizado
+     */
+    static apply(document, update, filter = {}) {
+        this.validate(update);
+        const result = JSON.parse(JSON.stringify(document));
+
+        Object.entries(update).forEach(([operator, fields]) => {
+            Object.entries(fields).forEach(([path, operand]) => {
+                this.resolvePaths(result, path, filter).forEach(parts => {
+                    this.applyOperator(result, operator, parts, operand, path);
+                });
+            });
+        });
+
+        return result;
+    }
+
+    static validate(update) {
+        if (!this.isOperatorUpdate(update)) {
+            throw new Error('Atualização deve conter apenas operadores ($set, $inc, ...)');
+        }
+
+        Object.entries(update).forEach(([operator, fields]) => {
+            if (!this.OPERATORS.includes(operator)) {
+                throw new Error(`Operador de atualização desconhecido: ${operator}`);
+            }
+            if (!QueryMatcher.isPlainObject(fields)) {
+                throw new Error(`${operator} requer um objeto de campos`);
+            }
+            Object.keys(fields).forEach(path => {
+                if (this.PROTECTED_FIELDS.includes(path.split('.')[0])) {
+                    throw new Error(`Campo não pode ser alterado: ${path}`);
+                }
+            });
+        });
+    }
+
+    static applyOperator(document, operator, parts, operand, path) {
+        const current = this.getValue(document, parts);
+
+        switch (operator) {
+            case '$set':
+                this.setValue(document, parts, operand);
+                break;
+            case '$unset':
+                this.unsetValue(document, parts);
+                break;
+            case '$inc':
+                if (typeof operand !== 'number') {
+                    throw new Error(`$inc requer valor numérico: ${path}`);
+                }
+                if (current !== undefined && typeof current !== 'number') {
+                    throw new Error(`$inc aplicado a campo não numérico: ${path}`);
+                }
+                this.setValue(document, parts, (current || 0) + operand);
+                break;
+            case '$push':
+                this.setValue(document, parts, [...this.expectArray(current, path), ...this.eachValues(operand)]);
+                break;
+            case '$addToSet': {
+                const values = [...this.expectArray(current, path)];
+                this.eachValues(operand).forEach(value => {
+                    if (!values.some(existing => QueryMatcher.deepEqual(existing, value))) {
+                        values.push(value);
+                    }
+                });
+                this.setValue(document, parts, values);
+                break;
+            }
+            case '$pull':
+                if (current === undefined) break;
+                this.setValue(document, parts, this.expectArray(current, path)
+                    .filter(element => !this.matchesPull(element, operand)));
+                break;
+        }
+    }
+
+    // $pull remove elementos iguais ao valor ou que atendem à condição
+    static matchesPull(element, condition) {
+        if (QueryMatcher.isOperatorObject(condition)) {
+            return QueryMatcher.matchCondition([element], condition);
+        }
+        if (QueryMatcher.isPlainObject(condition) && QueryMatcher.isPlainObject(element)) {
+            return QueryMatcher.matches(element, condition);
+        }
+        return QueryMatcher.deepEqual(element, condition);
+    }
+
+    static eachValues(operand) {
+        if (QueryMatcher.isPlainObject(operand) && '$each' in operand) {
+            if (!Array.isArray(operand.$each)) {
+                throw new Error('$each requer um array');
+            }
+            return operand.$each;
+        }
+        return [operand];
+    }
+
+    static expectArray(value, path) {
+        if (value === undefined) return [];
+        if (!Array.isArray(value)) {
+            throw new Error(`Operador de array aplicado a campo que não é array: ${path}`);
+        }
+        return value;
+    }
+
+    /**
+     * Expande os operadores posicionais de um caminho em caminhos concretos
+     * @returns {Array<Array<string>>} Lista de caminhos (segmentos)
+     */
+    static resolvePaths(document, path, filter) {
+        const parts = path.split('.');
+        let paths = [[]];
+
+        parts.forEach((part, position) => {
+            if (part !== '$' && part !== '$[]') {
+                paths = paths.map(prefix => [...prefix, part]);
+                return;
+            }
+
+            paths = paths.flatMap(prefix => {
+                const array = this.getValue(document, prefix);
+                if (!Array.isArray(array)) {
+                    throw new Error(`Operador posicional requer array em: ${prefix.join('.')}`);
+                }
+
+                if (part === '$[]') {
+                    return array.map((_, index) => [...prefix, String(index)]);
+                }
+
+                if (parts.indexOf('$') !== position) {
+                    throw new Error('Apenas um operador posicional "$" é permitido por caminho');
+                }
+                return [[...prefix, String(this.findPositionalIndex(array, prefix.join('.'), filter))]];
+            });
+        });
+
+        return paths;
+    }
+
+    // Índice do primeiro elemento do array que atende às condições do filtro sobre ele
+    static findPositionalIndex(array, arrayPath, filter) {
+        const conditions = this.collectArrayConditions(arrayPath, filter);
+        if (conditions.length === 0) {
+            throw new Error(`Operador posicional "$" requer condição sobre ${arrayPath} no filtro`);
+        }
+
+        const index = array.findIndex(element => conditions.every(condition => condition(element)));
+        if (index === -1) {
+            throw new Error(`Nenhum elemento de ${arrayPath} atende ao filtro`);
+        }
+        return index;
+    }
+
+    static collectArrayConditions(arrayPath, filter) {
+        const conditions = [];
+
+        Object.entries(filter).forEach(([key, condition]) => {
+            if (key === '$and' && Array.isArray(condition)) {
+                condition.forEach(sub => conditions.push(...this.collectArrayConditions(arrayPath, sub)));
+            } else if (key === arrayPath && QueryMatcher.isPlainObject(condition) && condition.$elemMatch) {
+                conditions.push(element => QueryMatcher.matchElement(element, condition.$elemMatch));
+            } else if (key.startsWith(`${arrayPath}.`)) {
+                const subPath = key.slice(arrayPath.length + 1);
+                conditions.push(element => QueryMatcher.matches(element, { [subPath]: condition }));
+            }
+        });
+
+        return conditions;
+    }
+
+    static getValue(document, parts) {
+        return parts.reduce((current, key) => {
+            return current !== null && current !== undefined ? current[key] : undefined;
+        }, document);
+    }
+
+    static setValue(document, parts, value) {
+        const parent = parts.slice(0, -1).reduce((current, key, position) => {
+            if (current[key] === undefined || current[key] === null) {
+                current[key] = /^\d+$/.test(parts[position + 1]) ? [] : {};
+            }
+            if (typeof current[key] !== 'object') {
+                throw new Error(`Não é possível criar campo dentro de valor primitivo: ${parts.slice(0, position + 1).join('.')}`);
+            }
+            return current[key];
+        }, document);
+
+        parent[parts[parts.length - 1]] = value;
+    }
+
+    static unsetValue(document, parts) {
+        const parent = this.getValue(document, parts.slice(0, -1));
+        if (parent === null || typeof parent !== 'object') return;
+
+        const key = parts[parts.length - 1];
+        if (Array.isArray(parent)) {
+            // Como no MongoDB, $unset em elemento de array o torna null
+            if (key in parent) parent[key] = null;
+        } else {
+            delete parent[key];
+        }
+    }
+}
+
+module.exports = UpdateOperators;
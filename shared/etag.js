@@ -0,0 +1,49 @@
+/**
+ * Helpers HTTP de controle de concorrência otimista (ETag / If-Match)
+ * baseados no campo _version dos documentos do JsonDatabase
+ */
+
+// ETag forte derivado da versão do documento
+function formatETag(document) {
+    return `"${Number.isInteger(document._version) ? document._version : 0}"`;
+}
+
+// Lista de ETags do header If-Match ('*' aceita qualquer versão).
+// Os ETags fracos mantêm o prefixo W/ para nunca satisfazerem a comparação
+// forte exigida pelo If-Match (RFC 9110, seção 13.1.1)
+function parseIfMatch(header) {
+    if (!header) return null;
+    if (header.trim() === '*') return '*';
+
+    return header
+        .split(',')
+        .map(tag => tag.trim())
+        .filter(tag => tag.length > 0);
+}
+
+/**
+ * Verifica o If-Match da requisição contra o documento atual
+ * @param {Object} req - Requisição Express
+ * @param {Object} document - Documento atual
+ * @returns {Object} { satisfied, expectedVersion } - expectedVersion deve ser
+ *                   repassada ao JsonDatabase para a verificação atômica
+ */
+function checkIfMatch(req, document) {
+    const tags = parseIfMatch(req.header('If-Match'));
+
+    if (tags === null || tags === '*') {
+        return { satisfied: true, expectedVersion: undefined };
+    }
+
+    const currentTag = formatETag(document);
+    if (!tags.includes(currentTag)) {
+        return { satisfied: false, expectedVersion: undefined };
+    }
+    return { satisfied: true, expectedVersion: Number(currentTag.slice(1, -1)) };
+}
+
+module.exports = {
+    formatETag,
+    parseIfMatch,
+    checkIfMatch
+};